@@ -7,6 +7,10 @@ import http from 'http';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { REVIEW_QUEUE_FILE, listReviewItems, resolveReviewItem } from './src/reviewQueue.js';
+import { describeFarmBiases } from './src/learnedBias.js';
+import { TRAINING_FILE, loadTrainingStore, summarizeSessions } from './src/trainingStore.js';
+import { buildTrainingReport, renderTrainingReport } from './src/trainingReport.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -102,6 +106,30 @@ class DashboardServer {
     else if (url.pathname === '/learning-data') {
       this.serveLearningData(res);
     }
+    // Training analytics report (HTML)
+    else if (url.pathname === '/training-report') {
+      this.serveTrainingReport(res);
+    }
+    // Review queue (low-confidence dates waiting for a manager)
+    else if (url.pathname === '/api/review-queue' && req.method === 'GET') {
+      this.serveReviewQueue(url.searchParams.get('status'), res);
+    }
+    else if (url.pathname === '/api/review-queue/resolve' && req.method === 'POST') {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        try {
+          const { id, status, first, last, zones, note } = JSON.parse(body);
+          const item = resolveReviewItem(id, { status, first, last, zones, note }, REVIEW_QUEUE_FILE);
+          console.log(`📥 Review resolved: ${item.farmName} ${item.date} → ${item.status}`);
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ success: true, item }));
+        } catch (error) {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ success: false, error: error.message }));
+        }
+      });
+    }
     // Control endpoints
     else if (url.pathname === '/control/start' && req.method === 'POST') {
       let body = '';
@@ -289,8 +317,31 @@ class DashboardServer {
     });
   }
 
+  serveReviewQueue(status, res) {
+    const items = listReviewItems(status ? { status } : {}, REVIEW_QUEUE_FILE);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      pending: items.filter(item => item.status === 'pending').length,
+      items
+    }));
+  }
+
+  serveTrainingReport(res) {
+    try {
+      const store = loadTrainingStore(path.join(__dirname, TRAINING_FILE));
+      const html = renderTrainingReport(buildTrainingReport(store), {
+        screenshotUrl: screenshotPath => `/screenshot?path=${encodeURIComponent(screenshotPath)}`
+      });
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(html);
+    } catch (error) {
+      res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end(`Could not build training report: ${error.message}`);
+    }
+  }
+
   serveLearningData(res) {
-    const trainingFile = path.join(__dirname, 'training', 'training-data.json');
+    const trainingFile = path.join(__dirname, TRAINING_FILE);
     
     if (!fs.existsSync(trainingFile)) {
       res.writeHead(200, { 'Content-Type': 'application/json' });
@@ -304,46 +355,42 @@ class DashboardServer {
     }
 
     try {
-      const trainingData = JSON.parse(fs.readFileSync(trainingFile));
-      const corrected = trainingData.filter(entry => entry.userCorrections);
+      const store = loadTrainingStore(trainingFile);
       
-      if (corrected.length === 0) {
+      // Overlay corrections (learned in minutes, per farm with a global fallback)
+      if (store.corrections.length > 0) {
+        const { statistics, learnedAdjustments } = store;
         res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ 
-          count: 0, 
-          firstX: 0, firstY: 0, 
-          lastX: 0, lastY: 0,
-          status: 'no_corrections'
+        res.end(JSON.stringify({
+          count: statistics.totalCorrections,
+          unit: 'minutes',
+          firstMinutes: statistics.avgFirstOffset,
+          lastMinutes: statistics.avgLastOffset,
+          firstMinuteBias: learnedAdjustments.firstMinuteBias,
+          lastMinuteBias: learnedAdjustments.lastMinuteBias,
+          farms: describeFarmBiases(learnedAdjustments),
+          status: statistics.usableCorrections > 0 ? 'active' : 'no_corrections'
         }));
         return;
       }
       
-      let firstXTotal = 0, firstYTotal = 0, firstCount = 0;
-      let lastXTotal = 0, lastYTotal = 0, lastCount = 0;
-      
-      corrected.forEach(entry => {
-        if (entry.userCorrections.first) {
-          firstXTotal += entry.userCorrections.first.svgX - entry.algorithmDetection.first.svgX;
-          firstYTotal += entry.userCorrections.first.svgY - entry.algorithmDetection.first.svgY;
-          firstCount++;
-        }
-        if (entry.userCorrections.last) {
-          lastXTotal += entry.userCorrections.last.svgX - entry.algorithmDetection.last.svgX;
-          lastYTotal += entry.userCorrections.last.svgY - entry.algorithmDetection.last.svgY;
-          lastCount++;
-        }
-      });
+      // Click sessions in screen pixels, one source at a time (F8 page coordinates, else learning-mode chart coordinates)
+      const offsets = ['f8-training', 'learning-mode']
+        .map(source => summarizeSessions(store.sessions, source))
+        .find(summary => summary.corrected > 0) || summarizeSessions(store.sessions, 'f8-training');
       
       res.writeHead(200, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify({
-        count: corrected.length,
-        firstX: firstCount > 0 ? firstXTotal / firstCount : 0,
-        firstY: firstCount > 0 ? firstYTotal / firstCount : 0,
-        lastX: lastCount > 0 ? lastXTotal / lastCount : 0,
-        lastY: lastCount > 0 ? lastYTotal / lastCount : 0,
-        firstCount,
-        lastCount,
-        status: 'active'
+        count: offsets.corrected,
+        source: offsets.source,
+        coordinates: offsets.coordinates,
+        firstX: offsets.firstX,
+        firstY: offsets.firstY,
+        lastX: offsets.lastX,
+        lastY: offsets.lastY,
+        firstCount: offsets.firstCount,
+        lastCount: offsets.lastCount,
+        status: offsets.corrected > 0 ? 'active' : 'no_corrections'
       }));
     } catch (error) {
       res.writeHead(500, { 'Content-Type': 'application/json' });
@@ -12,8 +12,20 @@ import fs from 'fs';
 import path from 'path';
 import { execSync } from 'child_process';
 import DashboardServer from './dashboard-server.js';
-import { setupNetworkInterception, waitForChartData, extractDataPoints } from './network-interceptor.js';
+import { setupNetworkInterception, waitForChartData, extractDataPoints, extractSensorSeries, resolveSensorKey } from './network-interceptor.js';
 import { trainAlgorithm } from './trainAlgorithm.js';
+import { extractFarmIds, getDateRange, formatTimeHM, formatDateKorean, DEFAULT_TIMEZONE } from './src/utils.js';
+import { getFarmProfile, describeProfile } from './src/farmProfiles.js';
+import { detectFusedEvents } from './src/sensorFusion.js';
+import { buildEventLog, findLastClickPoint, summarizeLastClick, resolveDetectionParams, describeDataGaps, scoreEventConfidence } from './src/chartAnalysis.js';
+import { runDetector, classifySensor } from './src/detectors.js';
+import { discoverZones, detectZoneEvents } from './src/zones.js';
+import { recordSensorHealth } from './src/sensorHealth.js';
+import { decideReview, enqueueReview, findResolvedReview, reviewedZoneTimes, markReviewApplied } from './src/reviewQueue.js';
+import { describeSunriseTiming } from './src/solar.js';
+import { resolveLearnedBias } from './src/learnedBias.js';
+import { TRAINING_FILE, loadTrainingStore, addCorrection, addSession, addReview, addEventLabel } from './src/trainingStore.js';
+import { computeSteeringMetrics, isPreviousDay, loadComputedSteering, checkNightMoistureDeviation } from './src/steering.js';
 
 // Configuration (move to config.js later)
 const CONFIG = {
@@ -26,7 +38,15 @@ const CONFIG = {
   chartLearningMode: false, // Will be set by dashboard
   watchMode: false, // Will be set by dashboard
   trainingMode: process.env.TRAINING_MODE === 'true', // F8-controlled training mode
-  visualConfirmationMode: true // Enable visual overlay and keyboard confirmation
+  eventLabelling: process.env.EVENT_LABELLING === 'true', // Mark every irrigation of each date (labels for the full event detector)
+  visualConfirmationMode: true, // Enable visual overlay and keyboard confirmation
+  sensorFusion: null, // 'agree' | 'weighted' to require weight + VWC backing (farm profile "fusion" wins)
+  archivePayloads: true, // Save every raw "node." response to data/payload-archive for offline replay
+  payloadArchiveDir: './data/payload-archive',
+  sensorHealth: true, // Check every captured day for sensor anomalies → issue tracker rows
+  sensorIssuesFile: './data/farm-issues-detected.csv',
+  autoCommitConfidence: null, // e.g. 0.75: commit dates whose FIRST and LAST both score ≥ this without the overlay (null = overlay every date)
+  lowConfidenceAction: 'queue' // 'queue' (review later from the dashboard) | 'overlay' (ask now) for dates below autoCommitConfidence
 };
 
 // Ensure output directories exist
@@ -36,9 +56,6 @@ const CONFIG = {
   }
 });
 
-// Training data file
-const TRAINING_FILE = './training/training-data.json';
-
 // Checkpoint file for resume functionality
 const CHECKPOINT_FILE = './history/checkpoint.json';
 
@@ -126,66 +143,150 @@ function clearCheckpoint() {
 // ═══════════════════════════════════════════════════════════════════════════
 
 /**
- * Load training data from JSON file
- * @returns {Object} Training data with corrections, statistics, and adjustments
+ * Load training data (training store, legacy files migrated in memory)
+ * @returns {Object} Training data with corrections, sessions, statistics, and adjustments
  */
 function loadTrainingData() {
-  try {
-    if (fs.existsSync(TRAINING_FILE)) {
-      const data = JSON.parse(fs.readFileSync(TRAINING_FILE, 'utf8'));
-      return data;
-    }
-  } catch (err) {
-    console.log(`⚠️ Could not load training data: ${err.message}`);
-  }
+  return loadTrainingStore(TRAINING_FILE);
+}
+
+/**
+ * Map a dragged marker X back to a data index, using the unadjusted FIRST/LAST
+ * screen positions of the predicted indices as the pixel-per-point scale
+ * @param {Object} scale - {firstScreenX, lastScreenX, firstIndex, lastIndex}
+ * @param {number} screenX - Marker X after dragging
+ * @param {number} totalPoints - Number of data points (for clamping)
+ * @returns {number|null} - Data index or null if the scale is degenerate
+ */
+function screenXToDataIndex(scale, screenX, totalPoints) {
+  const spanX = scale.lastScreenX - scale.firstScreenX;
+  const spanIndex = scale.lastIndex - scale.firstIndex;
+  if (screenX === undefined || screenX === null || !spanX || !spanIndex) return null;
   
-  // Return default structure
-  return {
-    version: 1,
-    corrections: [],
-    statistics: {
-      totalCorrections: 0,
-      avgFirstOffset: 0,
-      avgLastOffset: 0,
-      lastUpdated: null
-    },
-    learnedAdjustments: {
-      firstIndexBias: 0,
-      lastIndexBias: 0
+  const index = Math.round(scale.firstIndex + (screenX - scale.firstScreenX) * spanIndex / spanX);
+  return Math.max(0, Math.min(totalPoints - 1, index));
+}
+
+/**
+ * Map a data index to a screen X with the same scale as screenXToDataIndex
+ * @param {Object} scale - {firstScreenX, lastScreenX, firstIndex, lastIndex}
+ * @param {number} index - Data index
+ * @returns {number|null} - Screen X or null if the scale is degenerate
+ */
+function dataIndexToScreenX(scale, index) {
+  const spanIndex = scale.lastIndex - scale.firstIndex;
+  if (index === undefined || index === null || !spanIndex) return null;
+  return scale.firstScreenX + (index - scale.firstIndex) * (scale.lastScreenX - scale.firstScreenX) / spanIndex;
+}
+
+/**
+ * Screen X, time and value of every data point, for the overlay markers to snap to
+ * @param {Array<{x: number, y: number}>} dataPoints - Intercepted series
+ * @param {Object} scale - {firstScreenX, lastScreenX, firstIndex, lastIndex}
+ * @param {string} timeZone - Farm timezone for the HH:MM times
+ * @returns {Array<Object>|null} - [{index, screenX, time, value, timestamp}] left to right, null if the scale is degenerate
+ */
+function buildSnapSeries(dataPoints, scale, timeZone) {
+  if (!dataPoints?.length || dataIndexToScreenX(scale, 0) === null) return null;
+  return dataPoints.map((p, index) => ({
+    index,
+    screenX: dataIndexToScreenX(scale, index),
+    time: p.x > 1e11 ? formatTimeHM(p.x, timeZone) : null,
+    value: typeof p.y === 'number' ? p.y : null,
+    timestamp: p.x > 1e11 ? new Date(p.x).toISOString() : null
+  }));
+}
+
+/**
+ * Data index of a snapped marker: its timestamp when known (nearest point), else its index
+ * @param {Array<{x: number}>} dataPoints - Intercepted series
+ * @param {Object} marker - Corrected marker {index, timestamp} from the overlay
+ * @returns {number|null}
+ */
+function snappedDataIndex(dataPoints, marker) {
+  const target = marker?.timestamp ? Date.parse(marker.timestamp) : NaN;
+  if (Number.isFinite(target) && dataPoints?.[0]?.x > 1e11) {
+    let best = 0;
+    for (let i = 1; i < dataPoints.length; i++) {
+      if (Math.abs(dataPoints[i].x - target) < Math.abs(dataPoints[best].x - target)) best = i;
     }
-  };
+    return best;
+  }
+  return typeof marker?.index === 'number' && dataPoints?.[marker.index] ? marker.index : null;
 }
 
 /**
- * Save training data to JSON file
- * @param {Object} data - Training data to save
+ * Minutes between two data indices (timestamps when the series has them, else 1 point ≈ 1 minute)
+ * @param {Array<{x: number}>} dataPoints - Intercepted series
+ * @param {number|null} fromIndex - Predicted index
+ * @param {number|null} toIndex - Corrected index
+ * @returns {number|null}
  */
-function saveTrainingData(data) {
-  try {
-    fs.writeFileSync(TRAINING_FILE, JSON.stringify(data, null, 2), 'utf8');
-    console.log(`  💾 Training data saved (${data.statistics.totalCorrections} corrections)`);
-  } catch (err) {
-    console.log(`  ❌ Could not save training data: ${err.message}`);
+function minutesBetweenIndices(dataPoints, fromIndex, toIndex) {
+  if (fromIndex === null || fromIndex === undefined || toIndex === null || toIndex === undefined) return null;
+  const from = dataPoints?.[fromIndex];
+  const to = dataPoints?.[toIndex];
+  if (from?.x > 1e11 && to?.x > 1e11) {
+    return Math.round((to.x - from.x) / 600) / 100;
+  }
+  return toIndex - fromIndex;
+}
+
+/**
+ * Move a data index by a number of minutes (nearest timestamp, or 1 point per minute)
+ * @param {Array<{x: number}>} dataPoints - Intercepted series
+ * @param {number} index - Detected index
+ * @param {number} minutes - Learned bias
+ * @returns {number}
+ */
+function shiftIndexByMinutes(dataPoints, index, minutes) {
+  if (!minutes || !dataPoints?.[index]) return index;
+  if (!(dataPoints[index].x > 1e11)) {
+    return Math.max(0, Math.min(dataPoints.length - 1, index + Math.round(minutes)));
+  }
+  
+  const target = dataPoints[index].x + minutes * 60000;
+  let best = index;
+  for (let i = 0; i < dataPoints.length; i++) {
+    if (Math.abs(dataPoints[i].x - target) < Math.abs(dataPoints[best].x - target)) best = i;
   }
+  return best;
+}
+
+/**
+ * ISO timestamp of a data point, null for index-only series
+ * @param {Array<{x: number}>} dataPoints - Intercepted series
+ * @param {number|null} index - Data index
+ * @returns {string|null}
+ */
+function timestampAt(dataPoints, index) {
+  const x = typeof index === 'number' ? dataPoints?.[index]?.x : null;
+  return x > 1e11 ? new Date(x).toISOString() : null;
 }
 
 /**
  * Save a correction to the training data
- * @param {Object} predicted - Original predicted positions {firstIndex, lastIndex, firstScreenX, lastScreenX}
- * @param {Object} corrected - User-corrected positions {firstScreenX, lastScreenX}
- * @param {Object} metadata - Chart metadata {yRange, dataPoints, totalDataPoints}
+ * Deltas are learned in minutes (data space): the same pixel offset means a different time at
+ * every chart width and point count. Screen X values are kept for reference only.
+ * @param {Object} predicted - Detected positions before learned adjustments {firstIndex, lastIndex, firstScreenX, lastScreenX}
+ * @param {Object} corrected - User-corrected positions {firstScreenX, lastScreenX, firstIndex, lastIndex, firstTime, lastTime, firstTimestamp, lastTimestamp}
+ * @param {Object} metadata - Chart metadata {dataPoints, totalDataPoints, chartWidth, farmId, farmName, manager, date, sensorKey, screenshot}
+ * @returns {boolean} - true when the correction was significant and saved
  */
 function saveCorrection(predicted, corrected, metadata = {}) {
-  const training = loadTrainingData();
-  
-  // Calculate pixel offsets
+  // Pixel offsets (reference) and data-space offsets (what is learned)
   const firstOffsetX = (corrected.firstScreenX || 0) - (predicted.firstScreenX || 0);
   const lastOffsetX = (corrected.lastScreenX || 0) - (predicted.lastScreenX || 0);
+  const firstMinutes = minutesBetweenIndices(metadata.dataPoints, predicted.firstIndex, corrected.firstIndex);
+  const lastMinutes = minutesBetweenIndices(metadata.dataPoints, predicted.lastIndex, corrected.lastIndex);
   
-  // Only save if there was a meaningful correction (> 5px difference)
-  if (Math.abs(firstOffsetX) < 5 && Math.abs(lastOffsetX) < 5) {
+  // Only save if there was a meaningful correction (≥ 1 minute, or > 5px when no index was resolved)
+  const significant = (firstMinutes !== null || lastMinutes !== null)
+    ? Math.abs(firstMinutes || 0) >= 1 || Math.abs(lastMinutes || 0) >= 1
+    : Math.abs(firstOffsetX) >= 5 || Math.abs(lastOffsetX) >= 5;
+  if (!significant) {
     console.log('  ℹ️ No significant correction detected, skipping save');
-    return;
+    return false;
   }
   
   const correction = {
@@ -194,110 +295,85 @@ function saveCorrection(predicted, corrected, metadata = {}) {
       firstScreenX: predicted.firstScreenX,
       lastScreenX: predicted.lastScreenX,
       firstIndex: predicted.firstIndex,
-      lastIndex: predicted.lastIndex
+      lastIndex: predicted.lastIndex,
+      firstTimestamp: timestampAt(metadata.dataPoints, predicted.firstIndex),
+      lastTimestamp: timestampAt(metadata.dataPoints, predicted.lastIndex)
     },
     corrected: {
       firstScreenX: corrected.firstScreenX,
-      lastScreenX: corrected.lastScreenX
+      lastScreenX: corrected.lastScreenX,
+      firstIndex: corrected.firstIndex ?? null,
+      lastIndex: corrected.lastIndex ?? null,
+      firstTime: corrected.firstTime || null,
+      lastTime: corrected.lastTime || null,
+      firstTimestamp: corrected.firstTimestamp || null,
+      lastTimestamp: corrected.lastTimestamp || null
     },
     delta: {
+      firstMinutes,
+      lastMinutes,
+      firstIndexDelta: typeof corrected.firstIndex === 'number' ? corrected.firstIndex - predicted.firstIndex : null,
+      lastIndexDelta: typeof corrected.lastIndex === 'number' ? corrected.lastIndex - predicted.lastIndex : null,
       firstOffsetX: Math.round(firstOffsetX),
       lastOffsetX: Math.round(lastOffsetX)
     },
     metadata: {
       totalDataPoints: metadata.totalDataPoints || 0,
-      chartWidth: metadata.chartWidth || 0
+      chartWidth: metadata.chartWidth || 0,
+      screenshot: metadata.screenshot || null
+    },
+    // Farm/date identity makes this correction usable as an evaluation label
+    context: {
+      farmId: metadata.farmId || null,
+      farmName: metadata.farmName || null,
+      manager: metadata.manager || null,
+      date: metadata.date || null,
+      sensorType: metadata.sensorKey ? classifySensor(metadata.sensorKey) : null
     }
   };
   
-  training.corrections.push(correction);
-  
-  // Update statistics
-  updateTrainingStatistics(training);
-  
-  // Save to file
-  saveTrainingData(training);
-  
-  console.log(`  🧠 Correction saved: first=${firstOffsetX > 0 ? '+' : ''}${Math.round(firstOffsetX)}px, last=${lastOffsetX > 0 ? '+' : ''}${Math.round(lastOffsetX)}px`);
-}
-
-/**
- * Update training statistics based on all corrections
- * @param {Object} training - Training data object (modified in place)
- */
-function updateTrainingStatistics(training) {
-  const corrections = training.corrections;
-  
-  if (corrections.length === 0) {
-    training.statistics = {
-      totalCorrections: 0,
-      avgFirstOffset: 0,
-      avgLastOffset: 0,
-      lastUpdated: new Date().toISOString()
-    };
-    training.learnedAdjustments = { firstIndexBias: 0, lastIndexBias: 0 };
-    return;
+  // Save through the training store (atomic write, statistics recomputed)
+  try {
+    const saved = addCorrection(correction, TRAINING_FILE);
+    console.log(`  💾 Training data saved (${saved.statistics.totalCorrections} corrections)`);
+  } catch (err) {
+    console.log(`  ❌ Could not save training data: ${err.message}`);
+    return false;
   }
   
-  // Calculate weighted average (recent corrections count more)
-  let totalFirstOffset = 0;
-  let totalLastOffset = 0;
-  let totalWeight = 0;
-  
-  corrections.forEach((c, i) => {
-    // More recent corrections have higher weight
-    const weight = 1 + (i / corrections.length); // Weight increases for newer entries
-    totalFirstOffset += (c.delta.firstOffsetX || 0) * weight;
-    totalLastOffset += (c.delta.lastOffsetX || 0) * weight;
-    totalWeight += weight;
-  });
-  
-  const avgFirstOffset = totalWeight > 0 ? totalFirstOffset / totalWeight : 0;
-  const avgLastOffset = totalWeight > 0 ? totalLastOffset / totalWeight : 0;
-  
-  training.statistics = {
-    totalCorrections: corrections.length,
-    avgFirstOffset: Math.round(avgFirstOffset * 10) / 10,
-    avgLastOffset: Math.round(avgLastOffset * 10) / 10,
-    avgOffset: Math.round((Math.abs(avgFirstOffset) + Math.abs(avgLastOffset)) / 2),
-    lastUpdated: new Date().toISOString()
-  };
-  
-  // Apply learned adjustments only after collecting enough data
-  if (corrections.length >= 5) {
-    training.learnedAdjustments = {
-      firstIndexBias: Math.round(avgFirstOffset),
-      lastIndexBias: Math.round(avgLastOffset)
-    };
-  } else {
-    training.learnedAdjustments = { firstIndexBias: 0, lastIndexBias: 0 };
-  }
+  const signed = v => (v === null ? 'n/a' : `${v > 0 ? '+' : ''}${v} min`);
+  console.log(`  🧠 Correction saved: first=${signed(firstMinutes)}, last=${signed(lastMinutes)}`);
+  return true;
 }
 
 /**
- * Apply learned adjustments to predicted screen coordinates
- * @param {number} firstScreenX - Original first point X
- * @param {number} lastScreenX - Original last point X
- * @returns {Object} Adjusted coordinates {firstScreenX, lastScreenX, adjustmentsApplied}
+ * Apply the learned minute bias to detected FIRST/LAST indices (before screen coordinates exist)
+ * The farm's own bias is used once it has enough corrections, otherwise the global one
+ * @param {Array<{x: number}>} dataPoints - Intercepted series
+ * @param {number} firstIndex - Detected first index
+ * @param {number} lastIndex - Detected last click index
+ * @param {Object} context - {farmId, sensorKey, date} picks the farm / sensor / season bias
+ * @returns {Object} {firstIndex, lastIndex, adjustmentsApplied, bias}
  */
-function applyLearnedAdjustments(firstScreenX, lastScreenX) {
+function applyLearnedAdjustments(dataPoints, firstIndex, lastIndex, context = {}) {
   const training = loadTrainingData();
+  const bias = resolveLearnedBias(training.learnedAdjustments, context);
   
-  if (training.statistics.totalCorrections < 5) {
-    // Not enough data yet
-    return { firstScreenX, lastScreenX, adjustmentsApplied: false };
+  if (!bias.firstMinuteBias && !bias.lastMinuteBias) {
+    // Not enough data yet (or nothing to correct)
+    return { firstIndex, lastIndex, adjustmentsApplied: false, bias };
   }
   
-  const adjustedFirst = firstScreenX + training.learnedAdjustments.firstIndexBias;
-  const adjustedLast = lastScreenX + training.learnedAdjustments.lastIndexBias;
+  const adjustedFirst = shiftIndexByMinutes(dataPoints, firstIndex, bias.firstMinuteBias);
+  const adjustedLast = shiftIndexByMinutes(dataPoints, lastIndex, bias.lastMinuteBias);
   
-  console.log(`  🧠 Applied learned adjustments: first${training.learnedAdjustments.firstIndexBias >= 0 ? '+' : ''}${training.learnedAdjustments.firstIndexBias}px, last${training.learnedAdjustments.lastIndexBias >= 0 ? '+' : ''}${training.learnedAdjustments.lastIndexBias}px`);
+  console.log(`  🧠 Applied learned adjustments (${bias.source}, ${bias.samples} corrections): first${bias.firstMinuteBias >= 0 ? '+' : ''}${bias.firstMinuteBias} min (index ${firstIndex} → ${adjustedFirst}), last${bias.lastMinuteBias >= 0 ? '+' : ''}${bias.lastMinuteBias} min (index ${lastIndex} → ${adjustedLast})`);
   
   return {
-    firstScreenX: adjustedFirst,
-    lastScreenX: adjustedLast,
+    firstIndex: adjustedFirst,
+    lastIndex: adjustedLast,
     adjustmentsApplied: true,
-    bias: training.learnedAdjustments
+    bias
   };
 }
 
@@ -529,7 +605,10 @@ async function waitForPageReady(page, options = {}) {
  * BLUE circle = LAST click (peak of curve)
  * 
  * @param {Page} page - Playwright page
- * @param {Object} points - {first: {x, y, time}, last: {x, y, time}}
+ * @param {Object} points - {first: {x, y, time, confidence}, last: {x, y, time, confidence}, series}
+ *   confidence (scoreEventConfidence) is shown in the labels; low scores are marked ⚠️
+ *   series (buildSnapSeries) is what dragged markers snap to; without it the Highcharts series is used.
+ *   The same series is re-plotted ±30 min around each marker in a zoom panel for fine-tuning.
  * @returns {Promise<boolean>} - true if user confirmed, false if skipped
  */
 async function showClickOverlay(page, points, trainingStats = null) {
@@ -537,6 +616,8 @@ async function showClickOverlay(page, points, trainingStats = null) {
   console.log('  ══════════════════════════════════════════════════════════════════');
   console.log('  🔴 RED vertical line = FIRST click (drag left/right to correct)');
   console.log('  🔵 BLUE vertical line = LAST click (drag left/right to correct)');
+  console.log('  🧲 Lines snap to the nearest data point (tooltip shows time · value)');
+  console.log('  🔍 Zoom panel (top right) = ±30 min around each line: click to fine-tune, ←/→ = 1 point');
   console.log('  📦 Info panel is draggable - move it to see the table!');
   console.log('  ══════════════════════════════════════════════════════════════════\n');
   
@@ -545,6 +626,7 @@ async function showClickOverlay(page, points, trainingStats = null) {
     // Remove any existing overlay
     const existing = document.getElementById('irrigation-click-overlay');
     if (existing) existing.remove();
+    if (window.__irrigationNudgeHandler) document.removeEventListener('keydown', window.__irrigationNudgeHandler);
     
     // Initialize corrected positions storage (will be read after confirmation)
     window.__irrigationCorrected = {
@@ -633,7 +715,7 @@ async function showClickOverlay(page, points, trainingStats = null) {
     const learningInfo = stats ? `
       <div style="margin-bottom: 10px; padding: 8px; background: rgba(76, 175, 80, 0.2); border-radius: 4px;">
         <div style="color: #4CAF50; font-size: 11px;">🧠 LEARNING MODE ACTIVE</div>
-        <div style="color: #888; font-size: 11px;">Corrections: ${stats.totalCorrections || 0} | Bias: ±${Math.round(stats.avgOffset || 0)}px</div>
+        <div style="color: #888; font-size: 11px;">Corrections: ${stats.totalCorrections || 0} | Bias: ±${stats.avgOffset || 0} min</div>
       </div>
     ` : '';
     
@@ -651,7 +733,8 @@ async function showClickOverlay(page, points, trainingStats = null) {
         <span style="color: #888; font-size: 11px;" id="last-coords">(${Math.round(pts.last?.screenX || 0)}, ${Math.round(pts.last?.screenY || 0)})</span>
       </div>
       <div style="border-top: 1px solid #444; padding-top: 10px; margin-top: 5px;">
-        <div style="color: #FFD700; font-size: 12px; margin-bottom: 5px;">🖱️ Drag vertical lines to set time</div>
+        <div style="color: #FFD700; font-size: 12px; margin-bottom: 5px;">🖱️ Drag vertical lines to set time (snaps to data points)</div>
+        <div style="color: #FFD700; font-size: 12px; margin-bottom: 5px;">🔍 Fine-tune in the zoom panel, ←/→ = 1 data point</div>
         <div style="color: #4CAF50; font-weight: bold;">Press ENTER to save (저장)</div>
         <div style="color: #FF9800;">Press ESC to skip this date</div>
       </div>
@@ -681,6 +764,56 @@ async function showClickOverlay(page, points, trainingStats = null) {
       return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
     }
     
+    // Data points the markers snap to: the intercepted series from Node, else the Highcharts series
+    // (times in the farm timezone - Highcharts.dateFormat would format in UTC)
+    function readHighchartsSeries() {
+      const chart = (window.Highcharts?.charts || []).find(c => c?.series?.[0]?.points?.length);
+      if (!chart) return null;
+      const plotLeft = chart.container.getBoundingClientRect().left + chart.plotLeft;
+      const farmTime = new Intl.DateTimeFormat('en-GB', {
+        timeZone: pts.timeZone || 'Asia/Seoul', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+      });
+      return chart.series[0].points.map((p, i) => ({
+        index: p.index ?? i,
+        screenX: plotLeft + p.plotX,
+        time: p.x > 1e11 ? farmTime.format(p.x) : null,
+        value: typeof p.y === 'number' ? p.y : null,
+        timestamp: p.x > 1e11 ? new Date(p.x).toISOString() : null
+      }));
+    }
+    const snapSeries = pts.series?.length ? pts.series : readHighchartsSeries();
+    
+    // Nearest data point to a screen X (series is sorted left to right)
+    function snapToData(xPos) {
+      if (!snapSeries?.length) return null;
+      let lo = 0;
+      let hi = snapSeries.length - 1;
+      while (hi - lo > 1) {
+        const mid = (lo + hi) >> 1;
+        if (snapSeries[mid].screenX < xPos) lo = mid; else hi = mid;
+      }
+      return Math.abs(snapSeries[lo].screenX - xPos) <= Math.abs(snapSeries[hi].screenX - xPos) ? snapSeries[lo] : snapSeries[hi];
+    }
+    
+    const formatValue = (v) => (typeof v === 'number' ? v.toFixed(2) : '–');
+    
+    // Live tooltip shown while a marker is dragged
+    const snapTooltip = document.createElement('div');
+    snapTooltip.id = 'irrigation-snap-tooltip';
+    snapTooltip.style.cssText = `
+      position: fixed;
+      display: none;
+      background: rgba(0, 0, 0, 0.85);
+      color: white;
+      padding: 4px 8px;
+      border-radius: 4px;
+      font-size: 12px;
+      font-family: 'Consolas', monospace;
+      pointer-events: none;
+      white-space: nowrap;
+      z-index: 100001;
+    `;
+    
     // Function to update the irrigation time input fields on the page
     function updateTimeInput(markerType, timeStr) {
       // Find all time input fields on the page
@@ -716,61 +849,85 @@ async function showClickOverlay(page, points, trainingStats = null) {
       }
     }
     
+    // Marker elements by type, the data point each one sits on, and the one arrow keys nudge
+    const markerEls = {};
+    const markerPoints = { first: snapToData(pts.first?.screenX), last: snapToData(pts.last?.screenX) };
+    let selectedMarker = 'first';
+    
+    // Move a marker (line, label, info panel, time input, zoom panel) to a screen X;
+    // snapped is the data point it lands on, recentre re-frames the zoom panel around it
+    function placeMarker(markerType, newX, snapped, recentre = false) {
+      const els = markerEls[markerType];
+      if (!els) return null;
+      const timeStr = snapped?.time || xPositionToTime(newX);
+      const newY = pts.first?.screenY || pts.last?.screenY || 0;
+      
+      // Move marker and label (horizontal only for vertical line)
+      els.marker.style.left = (newX - 2) + 'px';
+      els.label.style.left = (newX + 8) + 'px';
+      els.label.textContent = `${markerType === 'first' ? 'FIRST' : 'LAST'}: ${timeStr}`;
+      
+      // Update the time input field on the page in REAL-TIME
+      updateTimeInput(markerType, timeStr);
+      
+      window.__irrigationCorrected[markerType] = {
+        screenX: newX,
+        screenY: newY,
+        wasDragged: true,
+        time: timeStr,
+        index: snapped ? snapped.index : null,
+        timestamp: snapped ? snapped.timestamp : null
+      };
+      document.getElementById(`${markerType}-coords`).textContent = snapped ? `${timeStr} · ${formatValue(snapped.value)} ✏️` : `${timeStr} ✏️`;
+      document.getElementById(`${markerType}-time`).textContent = timeStr;
+      els.label.style.background = markerType === 'first' ? '#FF8800' : '#8888FF';
+      
+      if (snapped) {
+        markerPoints[markerType] = snapped;
+        drawZoom(markerType, recentre);
+      }
+      return timeStr;
+    }
+    
     // Helper to make a vertical line marker draggable (horizontal movement only)
     function makeDraggable(marker, label, markerType) {
       marker.style.cursor = 'ew-resize';
       marker.style.pointerEvents = 'auto';
+      markerEls[markerType] = { marker, label };
       
       marker.addEventListener('mousedown', (e) => {
         e.preventDefault();
         e.stopPropagation();
         marker.style.cursor = 'grabbing';
         marker.style.opacity = '1';
+        selectMarker(markerType);
         
         const startX = e.clientX;
         const origLeft = parseFloat(marker.style.left);
-        const labelOrigLeft = parseFloat(label.style.left);
         
         function onMove(e) {
-          const dx = e.clientX - startX;
-          
-          // Move marker (horizontal only for vertical line)
-          const newLeft = origLeft + dx;
-          marker.style.left = newLeft + 'px';
-          
-          // Move label (horizontal only)
-          label.style.left = (labelOrigLeft + dx) + 'px';
-          
-          // Calculate time from X position
-          const newX = newLeft + 2; // +2 to get center of 4px wide line
-          const timeStr = xPositionToTime(newX);
-          const newY = pts.first?.screenY || pts.last?.screenY || 0;
-          
-          // Update label with time
-          label.textContent = `${markerType === 'first' ? 'FIRST' : 'LAST'}: ${timeStr}`;
-          
-          // Update the time input field on the page in REAL-TIME
-          updateTimeInput(markerType, timeStr);
-          
-          if (markerType === 'first') {
-            window.__irrigationCorrected.first = { screenX: newX, screenY: newY, wasDragged: true, time: timeStr };
-            document.getElementById('first-coords').textContent = `${timeStr} ✏️`;
-            document.getElementById('first-time').textContent = timeStr;
-          } else {
-            window.__irrigationCorrected.last = { screenX: newX, screenY: newY, wasDragged: true, time: timeStr };
-            document.getElementById('last-coords').textContent = `${timeStr} ✏️`;
-            document.getElementById('last-time').textContent = timeStr;
-          }
+          // Snap the line centre (+2 on the 4px wide line) to the nearest data point
+          const rawX = origLeft + (e.clientX - startX) + 2;
+          const snapped = snapToData(rawX);
+          const newX = snapped ? snapped.screenX : rawX;
+          const timeStr = placeMarker(markerType, newX, snapped, true);
+          
+          // Live tooltip with the snapped point's time and sensor value
+          snapTooltip.textContent = snapped ? `${timeStr} · ${formatValue(snapped.value)}` : timeStr;
+          snapTooltip.style.left = (newX + 10) + 'px';
+          snapTooltip.style.top = (e.clientY - 30) + 'px';
+          snapTooltip.style.display = 'block';
         }
         
         function onUp() {
           marker.style.cursor = 'ew-resize';
+          snapTooltip.style.display = 'none';
           document.removeEventListener('mousemove', onMove);
           document.removeEventListener('mouseup', onUp);
           
           // Final update to time input
           const finalX = parseFloat(marker.style.left) + 2;
-          const finalTime = xPositionToTime(finalX);
+          const finalTime = window.__irrigationCorrected[markerType]?.time || xPositionToTime(finalX);
           updateTimeInput(markerType, finalTime);
           
           // Mark that a correction was made with final time
@@ -782,6 +939,9 @@ async function showClickOverlay(page, points, trainingStats = null) {
       });
     }
     
+    // Confidence suffix for the marker labels
+    const confidenceText = (c) => (c ? ` · ${Math.round(c.score * 100)}%${c.level === 'low' ? ' ⚠️' : ''}` : '');
+    
     // Add FIRST click marker (RED VERTICAL LINE) - DRAGGABLE (no animation)
     if (pts.first && pts.first.screenX && pts.first.screenY) {
       const firstMarker = document.createElement('div');
@@ -815,7 +975,7 @@ async function showClickOverlay(page, points, trainingStats = null) {
         pointer-events: none;
         white-space: nowrap;
       `;
-      firstLabel.textContent = `FIRST: ${pts.first.time}`;
+      firstLabel.textContent = `FIRST: ${pts.first.time}${confidenceText(pts.first.confidence)}`;
       
       makeDraggable(firstMarker, firstLabel, 'first');
       
@@ -856,7 +1016,7 @@ async function showClickOverlay(page, points, trainingStats = null) {
         pointer-events: none;
         white-space: nowrap;
       `;
-      lastLabel.textContent = `LAST: ${pts.last.time}`;
+      lastLabel.textContent = `LAST: ${pts.last.time}${confidenceText(pts.last.confidence)}`;
       
       makeDraggable(lastMarker, lastLabel, 'last');
       
@@ -864,6 +1024,168 @@ async function showClickOverlay(page, points, trainingStats = null) {
       overlay.appendChild(lastLabel);
     }
     
+    // ±30 min zoom panel: an enlarged re-plot of the captured data around each marker.
+    // Click/drag inside a plot to fine-tune that marker, ←/→ nudge the selected marker by one data point.
+    const ZOOM_MINUTES = 30;
+    const zoomCanvases = {};
+    const zoomFrames = {};
+    const markerColors = { first: '#FF4444', last: '#4444FF' };
+    
+    // Data points within ±ZOOM_MINUTES of a point (±ZOOM_MINUTES points without timestamps)
+    function zoomWindow(point) {
+      const pos = snapSeries.indexOf(point);
+      const center = Date.parse(point.timestamp);
+      const inWindow = (k) => (Number.isFinite(center)
+        ? Math.abs(Date.parse(snapSeries[k].timestamp) - center) <= ZOOM_MINUTES * 60000
+        : Math.abs(k - pos) <= ZOOM_MINUTES);
+      let from = pos;
+      let to = pos;
+      while (from > 0 && inWindow(from - 1)) from--;
+      while (to < snapSeries.length - 1 && inWindow(to + 1)) to++;
+      return snapSeries.slice(from, to + 1);
+    }
+    
+    // Canvas X of each point in a frame (by time when known, else evenly spaced)
+    function frameXs(frame, width, pad) {
+      const times = frame.map((s, k) => (Number.isFinite(Date.parse(s.timestamp)) ? Date.parse(s.timestamp) : k));
+      const span = (times[times.length - 1] - times[0]) || 1;
+      return times.map(t => pad + (t - times[0]) * (width - 2 * pad) / span);
+    }
+    
+    function drawZoom(markerType, recentre = false) {
+      const canvas = zoomCanvases[markerType];
+      const point = markerPoints[markerType];
+      if (!canvas || !point) return;
+      if (recentre || !zoomFrames[markerType]?.includes(point)) zoomFrames[markerType] = zoomWindow(point);
+      
+      const frame = zoomFrames[markerType];
+      const ctx = canvas.getContext('2d');
+      const { width, height } = canvas;
+      const pad = 18;
+      const xs = frameXs(frame, width, pad);
+      const values = frame.map(s => s.value).filter(v => typeof v === 'number');
+      const min = values.length ? Math.min(...values) : 0;
+      const max = values.length ? Math.max(...values) : 1;
+      const yAt = v => height - pad - (v - min) * (height - 2 * pad) / ((max - min) || 1);
+      
+      ctx.fillStyle = '#111';
+      ctx.fillRect(0, 0, width, height);
+      
+      // Series line with a dot on every data point
+      ctx.strokeStyle = '#4CAF50';
+      ctx.fillStyle = '#4CAF50';
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      let started = false;
+      frame.forEach((s, k) => {
+        if (typeof s.value !== 'number') { started = false; return; }
+        if (started) ctx.lineTo(xs[k], yAt(s.value)); else ctx.moveTo(xs[k], yAt(s.value));
+        started = true;
+      });
+      ctx.stroke();
+      frame.forEach((s, k) => {
+        if (typeof s.value === 'number') ctx.fillRect(xs[k] - 1.5, yAt(s.value) - 1.5, 3, 3);
+      });
+      
+      // Marker line and the point it sits on
+      const k = frame.indexOf(point);
+      ctx.fillStyle = markerColors[markerType];
+      ctx.fillRect(xs[k] - 1, pad / 2, 2, height - pad);
+      if (typeof point.value === 'number') {
+        ctx.beginPath();
+        ctx.arc(xs[k], yAt(point.value), 4, 0, Math.PI * 2);
+        ctx.fill();
+      }
+      
+      // Window start/end times and the marker's time · value
+      ctx.font = '10px Consolas, monospace';
+      ctx.fillStyle = '#888';
+      ctx.textAlign = 'left';
+      ctx.fillText(frame[0].time || '', pad, height - 4);
+      ctx.textAlign = 'right';
+      ctx.fillText(frame[frame.length - 1].time || '', width - pad, height - 4);
+      ctx.textAlign = k < frame.length / 2 ? 'left' : 'right';
+      ctx.fillStyle = 'white';
+      ctx.fillText(`${point.time || `#${point.index}`} · ${formatValue(point.value)}`, xs[k] + (k < frame.length / 2 ? 6 : -6), 12);
+    }
+    
+    function selectMarker(markerType) {
+      selectedMarker = markerType;
+      Object.entries(zoomCanvases).forEach(([type, canvas]) => {
+        canvas.style.borderColor = type === markerType ? markerColors[type] : '#333';
+      });
+    }
+    
+    const zoomTypes = ['first', 'last'].filter(type => markerEls[type] && markerPoints[type]);
+    if (snapSeries?.length && zoomTypes.length) {
+      const zoomPanel = document.createElement('div');
+      zoomPanel.id = 'irrigation-zoom-panel';
+      zoomPanel.style.cssText = `
+        position: fixed;
+        top: 10px;
+        right: 10px;
+        background: rgba(0, 0, 0, 0.9);
+        color: white;
+        padding: 10px;
+        border-radius: 8px;
+        font-family: 'Consolas', monospace;
+        font-size: 12px;
+        z-index: 100000;
+        pointer-events: auto;
+        border: 2px solid #4CAF50;
+        user-select: none;
+      `;
+      zoomPanel.innerHTML = `<div style="color: #4CAF50; font-weight: bold; margin-bottom: 6px;">🔍 Zoom ±${ZOOM_MINUTES} min <span style="color: #888; font-weight: normal; font-size: 10px;">(click to fine-tune · ←/→ = 1 point)</span></div>`;
+      
+      zoomTypes.forEach(markerType => {
+        const canvas = document.createElement('canvas');
+        canvas.width = 360;
+        canvas.height = 130;
+        canvas.style.cssText = 'display: block; margin-top: 4px; border: 2px solid #333; border-radius: 4px; cursor: crosshair;';
+        zoomCanvases[markerType] = canvas;
+        
+        // Click or drag inside the plot: move the marker to the nearest point of this frame
+        const pickAt = (e) => {
+          const frame = zoomFrames[markerType];
+          if (!frame?.length) return;
+          const mx = (e.clientX - canvas.getBoundingClientRect().left) * canvas.width / canvas.clientWidth;
+          const xs = frameXs(frame, canvas.width, 18);
+          const nearest = xs.reduce((best, x, k) => (Math.abs(x - mx) < Math.abs(xs[best] - mx) ? k : best), 0);
+          placeMarker(markerType, frame[nearest].screenX, frame[nearest]);
+        };
+        canvas.addEventListener('mousedown', (e) => {
+          e.preventDefault();
+          selectMarker(markerType);
+          pickAt(e);
+          const onUp = () => {
+            document.removeEventListener('mousemove', pickAt);
+            document.removeEventListener('mouseup', onUp);
+          };
+          document.addEventListener('mousemove', pickAt);
+          document.addEventListener('mouseup', onUp);
+        });
+        
+        zoomPanel.appendChild(canvas);
+        drawZoom(markerType, true);
+      });
+      
+      overlay.appendChild(zoomPanel);
+      selectMarker(zoomTypes[0]);
+      
+      // Arrow keys nudge the selected marker by one data point (removed with the overlay)
+      const nudgeHandler = (e) => {
+        if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+        const point = markerPoints[selectedMarker];
+        const next = point && snapSeries[snapSeries.indexOf(point) + (e.key === 'ArrowLeft' ? -1 : 1)];
+        if (!next) return;
+        e.preventDefault();
+        placeMarker(selectedMarker, next.screenX, next);
+      };
+      document.addEventListener('keydown', nudgeHandler);
+      window.__irrigationNudgeHandler = nudgeHandler;
+    }
+    
+    overlay.appendChild(snapTooltip);
     overlay.appendChild(infoBox);
     document.body.appendChild(overlay);
   }, { pts: points, stats: trainingStats });
@@ -872,6 +1194,7 @@ async function showClickOverlay(page, points, trainingStats = null) {
   console.log('  📍 LAST click planned at: ' + (points.last?.time || 'N/A'));
   console.log('\n  ⏳ Waiting for user confirmation (drag vertical lines if needed)...');
   console.log('     → Drag vertical lines left/right to correct positions');
+  console.log('     → Fine-tune in the zoom panel or with ←/→ (selected line)');
   console.log('     → Drag the info panel to see the table');
   console.log('     → Press ENTER in browser to confirm');
   console.log('     → Press ESC in browser to skip\n');
@@ -888,13 +1211,18 @@ async function removeClickOverlay(page) {
   await page.evaluate(() => {
     const overlay = document.getElementById('irrigation-click-overlay');
     if (overlay) overlay.remove();
+    if (window.__irrigationNudgeHandler) {
+      document.removeEventListener('keydown', window.__irrigationNudgeHandler);
+      window.__irrigationNudgeHandler = null;
+    }
   });
 }
 
 /**
  * Get the corrected positions from the draggable overlay
  * @param {Page} page - Playwright page
- * @returns {Promise<{original: Object, corrected: Object, wasCorrected: boolean}>}
+ * @returns {Promise<{original: Object, corrected: Object, wasCorrected: boolean}>} - Dragged markers
+ *   carry the {index, timestamp} of the data point they snapped to
  */
 async function getCorrectedPositions(page) {
   return await page.evaluate(() => {
@@ -910,8 +1238,8 @@ async function getCorrectedPositions(page) {
     return {
       original,
       corrected: {
-        first: { screenX: corrected.first?.screenX, screenY: corrected.first?.screenY },
-        last: { screenX: corrected.last?.screenX, screenY: corrected.last?.screenY }
+        first: { screenX: corrected.first?.screenX, screenY: corrected.first?.screenY, index: corrected.first?.index ?? null, timestamp: corrected.first?.timestamp || null },
+        last: { screenX: corrected.last?.screenX, screenY: corrected.last?.screenY, index: corrected.last?.index ?? null, timestamp: corrected.last?.timestamp || null }
       },
       wasCorrected,
       firstWasDragged: corrected.first?.wasDragged || false,
@@ -920,6 +1248,298 @@ async function getCorrectedPositions(page) {
   });
 }
 
+/**
+ * Event labelling overlay: mark EVERY irrigation of the day, not just FIRST/LAST
+ * Click the plot = add a marker, drag = move, double-click or Delete = remove, Ctrl+Z = undo.
+ * ENTER saves the markers, ESC (or the timeout) skips the date without saving.
+ * @param {Page} page - Playwright page
+ * @param {Array<number>} markers - Initial marker screen X positions (the detected events)
+ * @param {Object} info - {scale, times: Array<string|null> per data index, title, timeout}
+ * @returns {Promise<{confirmed: boolean, markers: Array<number>}>} - Marker screen X positions, left to right
+ */
+async function showEventLabelOverlay(page, markers, info = {}) {
+  const { scale, times = [], title = '', timeout = 300000 } = info;
+  
+  console.log('\n  🏷️  EVENT LABELLING MODE');
+  console.log('  ══════════════════════════════════════════════════════════════════');
+  console.log('  🖱️  Click the chart = add event · drag = move · double-click / Delete = remove');
+  console.log('  ↩️  Ctrl+Z = undo · ENTER = save labels · ESC = skip this date');
+  console.log('  ══════════════════════════════════════════════════════════════════\n');
+  
+  return await page.evaluate(({ initial, scale, times, title, timeoutMs }) => new Promise((resolve) => {
+    document.getElementById('event-label-overlay')?.remove();
+    
+    const plot = document.querySelector('.highcharts-plot-background');
+    const bounds = plot ? plot.getBoundingClientRect() : { top: 300, height: 200, left: 500, width: 400 };
+    const clampX = x => Math.max(bounds.left, Math.min(bounds.left + bounds.width, x));
+    
+    // Same linear pixel ↔ index scale as screenXToDataIndex in Node
+    const timeAt = (x) => {
+      const spanX = scale.lastScreenX - scale.firstScreenX;
+      const spanIndex = scale.lastIndex - scale.firstIndex;
+      if (!spanX || !spanIndex) return '?';
+      const index = Math.max(0, Math.min(times.length - 1, Math.round(scale.firstIndex + (x - scale.firstScreenX) * spanIndex / spanX)));
+      return times[index] || `#${index}`;
+    };
+    
+    const overlay = document.createElement('div');
+    overlay.id = 'event-label-overlay';
+    overlay.style.cssText = 'position: fixed; top: 0; left: 0; width: 100%; height: 100%; pointer-events: none; z-index: 99999;';
+    
+    // Transparent layer over the plot area catches the "add" clicks
+    const catcher = document.createElement('div');
+    catcher.style.cssText = `
+      position: fixed;
+      left: ${bounds.left}px;
+      top: ${bounds.top}px;
+      width: ${bounds.width}px;
+      height: ${bounds.height}px;
+      background: rgba(255, 193, 7, 0.05);
+      cursor: crosshair;
+      pointer-events: auto;
+    `;
+    overlay.appendChild(catcher);
+    
+    const panel = document.createElement('div');
+    panel.style.cssText = `
+      position: fixed;
+      bottom: 10px;
+      left: 10px;
+      background: rgba(0, 0, 0, 0.9);
+      color: white;
+      padding: 15px 20px;
+      border-radius: 8px;
+      font-family: 'Consolas', monospace;
+      font-size: 14px;
+      pointer-events: auto;
+      min-width: 300px;
+      border: 2px solid #FFC107;
+    `;
+    panel.innerHTML = `
+      <div style="font-size: 16px; font-weight: bold; margin-bottom: 8px; color: #FFC107;">🏷️ Event Labelling</div>
+      <div style="color: #888; font-size: 11px; margin-bottom: 8px;">${title}</div>
+      <div style="margin-bottom: 10px;">Events marked: <span id="event-label-count" style="font-weight: bold;">0</span></div>
+      <div style="border-top: 1px solid #444; padding-top: 10px; font-size: 12px; line-height: 1.6;">
+        <div style="color: #FFD700;">🖱️ Click chart = add · Drag = move</div>
+        <div style="color: #FFD700;">Double-click / Delete = remove · Ctrl+Z = undo</div>
+        <div style="color: #4CAF50; font-weight: bold;">Press ENTER to save labels</div>
+        <div style="color: #FF9800;">Press ESC to skip this date</div>
+      </div>
+      <button id="event-label-undo" style="margin-top: 10px; padding: 4px 12px; cursor: pointer;">↩️ Undo</button>
+    `;
+    overlay.appendChild(panel);
+    document.body.appendChild(overlay);
+    
+    let nextId = 1;
+    let markers = initial.map(x => ({ id: nextId++, x: clampX(x) }));
+    let selected = null;
+    const history = [];
+    const snapshot = () => history.push(markers.map(m => ({ ...m })));
+    
+    const lineColor = isSelected => (isSelected ? 'rgba(255, 235, 59, 0.95)' : 'rgba(255, 152, 0, 0.8)');
+    
+    function render() {
+      overlay.querySelectorAll('.event-label-marker').forEach(el => el.remove());
+      markers.sort((a, b) => a.x - b.x).forEach((m, i) => {
+        const isSelected = m.id === selected;
+        const line = document.createElement('div');
+        line.className = 'event-label-marker event-label-line';
+        line.dataset.id = m.id;
+        line.style.cssText = `
+          position: fixed;
+          left: ${m.x - 2}px;
+          top: ${bounds.top}px;
+          width: 4px;
+          height: ${bounds.height}px;
+          background: ${lineColor(isSelected)};
+          cursor: ew-resize;
+          pointer-events: auto;
+        `;
+        line.addEventListener('mousedown', (e) => startDrag(e, m));
+        line.addEventListener('dblclick', (e) => {
+          e.stopPropagation();
+          removeMarker(m.id);
+        });
+        
+        const tag = document.createElement('div');
+        tag.className = 'event-label-marker';
+        tag.style.cssText = `
+          position: fixed;
+          left: ${m.x + 6}px;
+          top: ${bounds.top - 22 - (i % 2) * 18}px;
+          background: ${isSelected ? '#FBC02D' : '#FF9800'};
+          color: black;
+          padding: 2px 6px;
+          border-radius: 4px;
+          font-size: 11px;
+          font-weight: bold;
+          font-family: sans-serif;
+          pointer-events: none;
+          white-space: nowrap;
+        `;
+        tag.textContent = `#${i + 1} ${timeAt(m.x)}`;
+        
+        overlay.appendChild(line);
+        overlay.appendChild(tag);
+      });
+      document.getElementById('event-label-count').textContent = markers.length;
+      document.getElementById('event-label-undo').disabled = history.length === 0;
+    }
+    
+    function startDrag(e, marker) {
+      e.preventDefault();
+      e.stopPropagation();
+      snapshot();
+      selected = marker.id;
+      const startX = e.clientX;
+      const origX = marker.x;
+      let moved = false;
+      
+      function onMove(ev) {
+        moved = true;
+        marker.x = clampX(origX + ev.clientX - startX);
+        render();
+      }
+      function onUp() {
+        document.removeEventListener('mousemove', onMove);
+        document.removeEventListener('mouseup', onUp);
+        if (moved) {
+          render();
+          return;
+        }
+        // A click without movement only selects (no re-render, so a double-click still lands)
+        history.pop();
+        overlay.querySelectorAll('.event-label-line').forEach(line => {
+          line.style.background = lineColor(Number(line.dataset.id) === selected);
+        });
+      }
+      document.addEventListener('mousemove', onMove);
+      document.addEventListener('mouseup', onUp);
+    }
+    
+    function removeMarker(id) {
+      snapshot();
+      markers = markers.filter(m => m.id !== id);
+      selected = null;
+      render();
+    }
+    
+    function undo() {
+      if (history.length === 0) return;
+      markers = history.pop();
+      selected = null;
+      render();
+    }
+    
+    catcher.addEventListener('click', (e) => {
+      snapshot();
+      const marker = { id: nextId++, x: clampX(e.clientX) };
+      markers.push(marker);
+      selected = marker.id;
+      render();
+    });
+    document.getElementById('event-label-undo').addEventListener('click', undo);
+    
+    let timer = null;
+    function finish(confirmed) {
+      document.removeEventListener('keydown', keyHandler, true);
+      clearTimeout(timer);
+      overlay.remove();
+      resolve({ confirmed, markers: markers.map(m => m.x).sort((a, b) => a - b) });
+    }
+    
+    function keyHandler(e) {
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
+        e.preventDefault();
+        undo();
+      } else if ((e.key === 'Delete' || e.key === 'Backspace') && selected !== null) {
+        e.preventDefault();
+        removeMarker(selected);
+      } else if (e.key === 'Enter') {
+        e.preventDefault();
+        e.stopPropagation();
+        finish(true);
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        finish(false);
+      }
+    }
+    
+    document.addEventListener('keydown', keyHandler, true);
+    timer = setTimeout(() => finish(false), timeoutMs);
+    render();
+  }), { initial: markers, scale, times, title, timeoutMs: timeout });
+}
+
+/**
+ * Show the event labelling overlay for one date and save the marked events as timestamps
+ * Pre-filled with the detected events; the data-point scale comes from the chart's first/last point.
+ * @param {Page} page - Playwright page
+ * @param {Object} context - {dataPoints, eventLog, farmId, farmName, manager, date, sensorKey, timeZone}
+ * @returns {Promise<Object|null>} - The saved label, or null when skipped / not possible
+ */
+async function labelDayEvents(page, context) {
+  const { dataPoints, eventLog, timeZone } = context;
+  if (!dataPoints || dataPoints.length < 2) return null;
+  
+  const ends = await calculateScreenCoordinates(page, 0, dataPoints.length - 1, dataPoints.length);
+  if (!ends?.first || !ends?.last) {
+    console.log('  ⚠️ Event labelling skipped: chart position unknown');
+    return null;
+  }
+  const scale = {
+    firstScreenX: ends.first.screenX,
+    lastScreenX: ends.last.screenX,
+    firstIndex: 0,
+    lastIndex: dataPoints.length - 1
+  };
+  
+  const timeOf = index => (dataPoints[index]?.x > 1e11 ? formatTimeHM(dataPoints[index].x, timeZone) : null);
+  const detected = (eventLog?.events || []).map(e => ({ index: e.startIndex, time: timeOf(e.startIndex) }));
+  
+  const result = await showEventLabelOverlay(page, detected.map(e => dataIndexToScreenX(scale, e.index)), {
+    scale,
+    times: dataPoints.map((p, i) => timeOf(i)),
+    title: `${context.farmName} · ${context.date} · ${context.sensorKey || 'default sensor'}`
+  });
+  
+  if (!result.confirmed) {
+    console.log('  ⏭️  Event labelling skipped for this date');
+    return null;
+  }
+  
+  // Two markers on the same data point are one event
+  const indices = [...new Set(result.markers
+    .map(x => screenXToDataIndex(scale, x, dataPoints.length))
+    .filter(index => index !== null))]
+    .sort((a, b) => a - b);
+  
+  const label = {
+    timestamp: new Date().toISOString(),
+    farmId: context.farmId,
+    farmName: context.farmName,
+    manager: context.manager || null,
+    date: context.date,
+    sensorKey: context.sensorKey || null,
+    timeZone,
+    events: indices.map(index => ({
+      index,
+      timestamp: dataPoints[index].x > 1e11 ? new Date(dataPoints[index].x).toISOString() : null,
+      time: timeOf(index)
+    })),
+    detected
+  };
+  
+  try {
+    addEventLabel(label, TRAINING_FILE);
+    console.log(`  🏷️  Saved ${label.events.length} labelled events: ${label.events.map(e => e.time || `#${e.index}`).join(', ') || '(no irrigation)'}`);
+  } catch (err) {
+    console.log(`  ❌ Could not save event labels: ${err.message}`);
+    return null;
+  }
+  return label;
+}
+
 /**
  * Wait for user keyboard confirmation (Enter = confirm, Escape = skip)
  * @param {Page} page - Playwright page
@@ -1205,39 +1825,207 @@ async function checkForEmptyCells(page) {
 }
 
 /**
- * Click the "표 새로고침" (Table Refresh) button and wait for table to reload
+ * Check whether a table time value still needs to be filled
+ * @param {string|null} value - Field value scraped from the page
+ * @returns {boolean}
+ */
+function isEmptyTimeValue(value) {
+  return !value || value === '-' || value === '--:--' || value.includes('클릭');
+}
+
+/**
+ * Read every "구역 N 첫/마지막 급액 시간" field pair from the right panel
  * @param {Page} page - Playwright page
- * @returns {Promise<boolean>} - true if refresh was successful
+ * @returns {Promise<Array<{zone: number, firstLabel: string, lastLabel: string, firstTime: string|null, lastTime: string|null, needsFirst: boolean, needsLast: boolean}>>}
  */
-async function clickTableRefresh(page) {
-  console.log('  🔄 Clicking "표 새로고침" button...');
-  
-  const clicked = await page.evaluate(() => {
-    const buttons = Array.from(document.querySelectorAll('button'));
-    const refreshButton = buttons.find(btn => 
-      btn.textContent.includes('표 새로고침') || 
-      btn.textContent.includes('표새로고침')
-    );
-    
-    if (refreshButton) {
-      console.log('[BROWSER] Found "표 새로고침" button, clicking...');
-      refreshButton.click();
-      return true;
-    }
-    
-    console.error('[BROWSER] "표 새로고침" button not found');
-    return false;
+async function readZoneTable(page) {
+  const fields = await page.evaluate(() => {
+    const found = [];
+    Array.from(document.querySelectorAll('*')).forEach(elem => {
+      const text = (elem.textContent || '').trim();
+      if (elem.children.length !== 0 || !text.startsWith('구역') || !text.includes('급액 시간')) return;
+      
+      // Same fallbacks as the zone 1 reader: input value, placeholder, then short sibling text
+      const container = elem.closest('div, section, article');
+      const input = container ? container.querySelector('input') : null;
+      let value = input ? (input.value || input.placeholder || null) : null;
+      if (!value && container) {
+        Array.from(container.children).forEach(sib => {
+          const sibText = sib.textContent.trim();
+          if (sibText && sibText !== text && sibText.length < 20 && (!value || sibText.includes(':'))) {
+            value = sibText;
+          }
+        });
+      }
+      found.push({ label: text, value: value ? value.replace(text, '').trim() || null : null });
+    });
+    return found;
   });
   
-  if (clicked) {
-    console.log('  ✅ Refresh button clicked, waiting for table to reload...');
-    
-    // Wait for network to settle (table data to load)
-    try {
-      await page.waitForLoadState('networkidle', { timeout: 10000 });
-      console.log('  ✅ Table refresh complete');
-      
-      // Small additional wait for UI to update
+  const valueOf = label => fields.find(f => f.label === label)?.value || null;
+  
+  return discoverZones(fields.map(f => f.label)).map(zone => {
+    const firstTime = valueOf(zone.firstLabel);
+    const lastTime = valueOf(zone.lastLabel);
+    return {
+      ...zone,
+      firstTime,
+      lastTime,
+      needsFirst: !!zone.firstLabel && isEmptyTimeValue(firstTime),
+      needsLast: !!zone.lastLabel && isEmptyTimeValue(lastTime)
+    };
+  });
+}
+
+/**
+ * Type a time into the input next to a zone label (fires input/change so the page registers it)
+ * @param {Page} page - Playwright page
+ * @param {string} label - Exact label text, e.g. "구역 2 첫 급액 시간 1 (시분)"
+ * @param {string} time - "HH:MM"
+ * @returns {Promise<boolean>} - true if the input was found and set
+ */
+async function fillZoneTimeField(page, label, time) {
+  return await page.evaluate(({ label, time }) => {
+    const labelElem = Array.from(document.querySelectorAll('*'))
+      .find(elem => elem.children.length === 0 && (elem.textContent || '').trim() === label);
+    const input = labelElem?.closest('div, section, article')?.querySelector('input');
+    if (!input) return false;
+    
+    // Native setter so framework-controlled inputs see the change
+    const setter = Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, 'value').set;
+    setter.call(input, time);
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+    return true;
+  }, { label, time });
+}
+
+/**
+ * Write a manager's reviewed times into the FIRST/LAST inputs, the same way a dragged overlay marker does
+ * @param {Page} page - Playwright page
+ * @param {{first: string|null, last: string|null}} times - "HH:MM" values from the review queue
+ * @returns {Promise<void>}
+ */
+async function applyReviewedTimes(page, times) {
+  await page.evaluate(({ first, last }) => {
+    const timeInputs = Array.from(document.querySelectorAll('input[type="time"]'));
+    const setter = Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, 'value').set;
+    // Fresh object: nothing from an earlier date may be read back as this date's times
+    window.__irrigationCorrected = {};
+
+    [[first, 0, 'firstTime'], [last, 1, 'lastTime']].forEach(([time, idx, key]) => {
+      if (!time || !timeInputs[idx]) return;
+      setter.call(timeInputs[idx], time);
+      timeInputs[idx].dispatchEvent(new Event('input', { bubbles: true }));
+      timeInputs[idx].dispatchEvent(new Event('change', { bubbles: true }));
+      window.__irrigationCorrected[key] = time;
+    });
+  }, times);
+}
+
+/**
+ * Detect irrigation per zone and fill the empty fields of zones 2+
+ * Zone 1 keeps the chart-click flow; its detection is only recorded here.
+ * Runs after the date's review decision: write=false only detects (times for a queued item),
+ * times replaces the detected times with reviewed ones (reviewedZoneTimes()).
+ * @param {Page} page - Playwright page
+ * @param {object} chartData - Captured "node." API response
+ * @param {Array<object>} zoneTable - readZoneTable() result
+ * @param {object} farmProfile - getFarmProfile() result
+ * @param {object} options - {write = true, times: Array<{zone, first, last}>|null}
+ * @returns {Promise<Array<object>>} - Per-zone results for the date's JSON
+ */
+async function fillZoneFields(page, chartData, zoneTable, farmProfile, options = {}) {
+  const { write = true, times = null } = options;
+  const detected = detectZoneEvents(chartData, zoneTable.map(z => z.zone), { profile: farmProfile });
+  const results = [];
+  
+  for (const zone of zoneTable) {
+    const detection = detected.find(d => d.zone === zone.zone);
+    const reviewed = times?.find(t => t.zone === zone.zone);
+    const result = {
+      zone: zone.zone,
+      sensorKey: detection.sensorKey,
+      eventCount: detection.events.length,
+      eventLog: detection.eventLog,
+      detected: { first: detection.first?.time || null, last: detection.lastPeak?.offset.time || null },
+      firstIrrigationTime: zone.firstTime,
+      lastIrrigationTime: zone.lastTime,
+      alreadyFilled: !zone.needsFirst && !zone.needsLast
+    };
+    
+    if (zone.zone !== 1 && !result.alreadyFilled) {
+      const firstTime = reviewed ? reviewed.first : result.detected.first;
+      const lastTime = reviewed ? reviewed.last : result.detected.last;
+      if (write && firstTime && zone.needsFirst && await fillZoneTimeField(page, zone.firstLabel, firstTime)) {
+        result.firstIrrigationTime = firstTime;
+      }
+      if (write && lastTime && zone.needsLast && await fillZoneTimeField(page, zone.lastLabel, lastTime)) {
+        result.lastIrrigationTime = lastTime;
+      }
+      if (reviewed) {
+        result.reviewed = true;
+      }
+      if (detection.error) {
+        result.error = detection.error;
+      }
+    }
+    
+    console.log(`     → 구역 ${zone.zone} [${detection.sensorKey || 'no sensor'}]: ${result.firstIrrigationTime || '--:--'} ~ ${result.lastIrrigationTime || '--:--'} (${result.eventCount} events${result.alreadyFilled ? ', already filled' : ''})`);
+    results.push(result);
+  }
+  
+  return results;
+}
+
+/**
+ * Per-zone list for a date's results, with zone 1 taken from the final table values
+ * @param {Array<object>} zoneResults - fillZoneFields() result (empty for single-zone farms)
+ * @param {string|null} firstTime - Final zone 1 first time
+ * @param {string|null} lastTime - Final zone 1 last time
+ * @returns {Array<object>|undefined}
+ */
+function listDateZones(zoneResults, firstTime, lastTime) {
+  if (!zoneResults || zoneResults.length === 0) return undefined;
+  return zoneResults.map(z => (z.zone === 1
+    ? { ...z, firstIrrigationTime: firstTime || null, lastIrrigationTime: lastTime || null }
+    : z));
+}
+
+/**
+ * Click the "표 새로고침" (Table Refresh) button and wait for table to reload
+ * @param {Page} page - Playwright page
+ * @returns {Promise<boolean>} - true if refresh was successful
+ */
+async function clickTableRefresh(page) {
+  console.log('  🔄 Clicking "표 새로고침" button...');
+  
+  const clicked = await page.evaluate(() => {
+    const buttons = Array.from(document.querySelectorAll('button'));
+    const refreshButton = buttons.find(btn => 
+      btn.textContent.includes('표 새로고침') || 
+      btn.textContent.includes('표새로고침')
+    );
+    
+    if (refreshButton) {
+      console.log('[BROWSER] Found "표 새로고침" button, clicking...');
+      refreshButton.click();
+      return true;
+    }
+    
+    console.error('[BROWSER] "표 새로고침" button not found');
+    return false;
+  });
+  
+  if (clicked) {
+    console.log('  ✅ Refresh button clicked, waiting for table to reload...');
+    
+    // Wait for network to settle (table data to load)
+    try {
+      await page.waitForLoadState('networkidle', { timeout: 10000 });
+      console.log('  ✅ Table refresh complete');
+      
+      // Small additional wait for UI to update
       await page.waitForTimeout(500);
       return true;
     } catch (e) {
@@ -1324,12 +2112,20 @@ async function recordNoIrrigationReport(farmData, dateInfo, analysisData) {
     },
     surgeThreshold: analysisData.threshold,
     algorithm: 'HSSP Rolling Window Valley Detection',
-    algorithmParams: {
+    detector: analysisData.detector || 'hssp-rise',
+    algorithmParams: analysisData.params || {
       surgeWindow: 5,
       lookbackWindow: 20,
       debounceMinutes: 30,
       daytimeHours: '07:00-17:00'
     },
+    profile: analysisData.profile || null,
+    // Node box dropouts can hide an irrigation entirely - recorded so such days can be re-checked
+    dataGaps: {
+      count: analysisData.dataGaps?.count || 0,
+      totalMissingMinutes: analysisData.dataGaps?.totalMissingMinutes || 0,
+      gaps: analysisData.dataGaps?.gaps || []
+    },
     timestamp: new Date().toISOString()
   };
   
@@ -1358,49 +2154,6 @@ async function takeScreenshot(page, screenshotPath) {
   return screenshotPath;
 }
 
-// Load existing learning data for auto-correction
-function loadLearningOffsets() {
-  if (!fs.existsSync(TRAINING_FILE)) {
-    return { firstX: 0, firstY: 0, lastX: 0, lastY: 0, count: 0 };
-  }
-  
-  try {
-    const trainingData = JSON.parse(fs.readFileSync(TRAINING_FILE));
-    const corrected = trainingData.filter(entry => entry.userCorrections);
-    
-    if (corrected.length === 0) {
-      return { firstX: 0, firstY: 0, lastX: 0, lastY: 0, count: 0 };
-    }
-    
-    let firstXTotal = 0, firstYTotal = 0, firstCount = 0;
-    let lastXTotal = 0, lastYTotal = 0, lastCount = 0;
-    
-    corrected.forEach(entry => {
-      if (entry.userCorrections.first) {
-        firstXTotal += entry.userCorrections.first.svgX - entry.algorithmDetection.first.svgX;
-        firstYTotal += entry.userCorrections.first.svgY - entry.algorithmDetection.first.svgY;
-        firstCount++;
-      }
-      if (entry.userCorrections.last) {
-        lastXTotal += entry.userCorrections.last.svgX - entry.algorithmDetection.last.svgX;
-        lastYTotal += entry.userCorrections.last.svgY - entry.algorithmDetection.last.svgY;
-        lastCount++;
-      }
-    });
-    
-    return {
-      firstX: firstCount > 0 ? firstXTotal / firstCount : 0,
-      firstY: firstCount > 0 ? firstYTotal / firstCount : 0,
-      lastX: lastCount > 0 ? lastXTotal / lastCount : 0,
-      lastY: lastCount > 0 ? lastYTotal / lastCount : 0,
-      count: corrected.length
-    };
-  } catch (err) {
-    console.log('⚠️  Could not load learning data:', err.message);
-    return { firstX: 0, firstY: 0, lastX: 0, lastY: 0, count: 0 };
-  }
-}
-
 // 🔤 AUTO-FONT INSTALLATION: Ensures Korean/CJK fonts are available on Linux
 // Prevents "tofu" (broken squares) when rendering Korean text
 function ensureFontsInstalled() {
@@ -1614,7 +2367,8 @@ async function runReportSending(config, dashboard, runStats) {
   
   const context = await browser.newContext({
     viewport: null,
-    screen: { width: 1920, height: 1080 }
+    screen: { width: 1920, height: 1080 },
+    timezoneId: DEFAULT_TIMEZONE
   });
   
   // ⚠️ CRITICAL: DO NOT BLOCK RESOURCES for report-sending mode
@@ -2050,6 +2804,7 @@ async function runReportSending(config, dashboard, runStats) {
           
           // Build a map of row labels to their last column value
           const dataMap = {};
+          let nightMoistureRow = null; // Every column, for the computed dryback cross-check
           
           rows.forEach((row, idx) => {
             const cells = Array.from(row.querySelectorAll('td'));
@@ -2059,6 +2814,9 @@ async function runReportSending(config, dashboard, runStats) {
             const lastCellValue = cells[cells.length - 1].textContent.trim();
             
             dataMap[label] = lastCellValue;
+            if (label.includes('야간 함수율 편차') || label.includes('야간함수율편차')) {
+              nightMoistureRow = cells.slice(1).map(cell => cell.textContent.trim());
+            }
             console.log(`[BROWSER] Row ${idx + 1}: "${label}" = "${lastCellValue}"`);
           });
           
@@ -2162,6 +2920,7 @@ async function runReportSending(config, dashboard, runStats) {
               : failedChecks.join(' | '),
             checks: checks,
             emptyCellCount: emptyCellCount,
+            nightMoistureRow,
             debug: `Rows found: ${rows.length}, Data map keys: ${Object.keys(dataMap).join(', ')}`
           };
         });
@@ -2170,6 +2929,21 @@ async function runReportSending(config, dashboard, runStats) {
         console.log(`     → Reason: ${validationResult.reason}`);
         console.log(`     → Debug: ${validationResult.debug}\n`);
         
+        // 🌙 Cross-check earlier 야간 함수율 편차 columns with the dryback computed by the last run
+        const computedSteering = loadComputedSteering(farm.name);
+        if (validationResult.nightMoistureRow && Object.keys(computedSteering).length > 0) {
+          const farmTimeZone = getFarmProfile(extractFarmIds(farm.href)?.farmId).timezone;
+          const nightCheck = checkNightMoistureDeviation(validationResult.nightMoistureRow, computedSteering, { timeZone: farmTimeZone });
+          console.log(`  🌙 야간 함수율 편차 check: ${nightCheck.compared} day(s) compared, ${nightCheck.mismatches} mismatch(es)`);
+          nightCheck.rows.filter(r => r.match === false).forEach(r => {
+            console.log(`     → ⚠️ ${r.date}: site ${r.site}, computed ${r.computed}`);
+          });
+          if (nightCheck.mismatches > 0) {
+            dashboard.log(`⚠️ ${farm.name}: 야간 함수율 편차 differs from computed dryback on ${nightCheck.mismatches} day(s)`, 'warning');
+          }
+          console.log('');
+        }
+        
         if (validationResult.ready) {
           // Step 6: Click "리포트 생성" button
           console.log('  📤 All checks passed! Clicking "리포트 생성" button...');
@@ -2315,6 +3089,9 @@ async function main() {
     successCount: 0,
     skipCount: 0,
     noIrrigationCount: 0,  // Dates checked but no irrigation found
+    lowConfidenceCount: 0, // Dates whose FIRST or LAST scored 'low' (worth a manual review)
+    autoCommittedCount: 0, // Dates committed without the overlay (confidence ≥ autoCommitConfidence)
+    queuedForReviewCount: 0, // Dates left for the dashboard review queue
     errorCount: 0,
     dateRange: { start: null, end: null },
     mode: config.mode
@@ -2324,19 +3101,13 @@ async function main() {
   CONFIG.targetName = config.manager;
   CONFIG.watchMode = (config.mode === 'watch');
   CONFIG.chartLearningMode = (config.mode === 'learning');
+  if (config.autoCommitConfidence !== undefined) CONFIG.autoCommitConfidence = config.autoCommitConfidence;
+  if (config.lowConfidenceAction) CONFIG.lowConfidenceAction = config.lowConfidenceAction;
   
   // Update dashboard with selected manager
   dashboard.setManager(config.manager);
   dashboard.log('Automation starting with user configuration...', 'success');
   
-  // Load learned offsets from previous training
-  const learnedOffsets = loadLearningOffsets();
-  if (learnedOffsets.count > 0) {
-    console.log(`🎓 Loaded learning data from ${learnedOffsets.count} training sessions`);
-    console.log(`   → Applying corrections: First(${learnedOffsets.firstX.toFixed(1)}, ${learnedOffsets.firstY.toFixed(1)}), Last(${learnedOffsets.lastX.toFixed(1)}, ${learnedOffsets.lastY.toFixed(1)})\n`);
-    dashboard.log(`Loaded learning data from ${learnedOffsets.count} training sessions`, 'success');
-  }
-  
   // Show selected configuration
   console.log(`👤 Manager: ${config.manager}`);
   console.log(`🏭 Start From: ${config.startFrom === 0 ? 'All farms' : 'Farm #' + config.startFrom}`);
@@ -2370,7 +3141,8 @@ async function main() {
   
   const context = await browser.newContext({
     viewport: null,  // Use full window size (no fixed viewport)
-    screen: { width: 1920, height: 1080 }
+    screen: { width: 1920, height: 1080 },
+    timezoneId: DEFAULT_TIMEZONE  // In-page chart code reads getHours(); keep it farm-local
   });
   
   // Open automation page
@@ -2920,11 +3692,11 @@ async function main() {
     const allFarmData = [];
     
     // 📅 EXPLICIT DATE CALCULATION: Define "Today" and calculate past 5 days
-    const today = new Date();
-    today.setHours(0, 0, 0, 0); // Normalize to midnight
+    // "Today" is the farm-local (Asia/Seoul) calendar day, not the host machine's
+    const today = getDateRange(0, DEFAULT_TIMEZONE)[0].date;
     
     console.log('\n📅 Date Range Configuration:');
-    console.log(`   → Today: ${today.toLocaleDateString('ko-KR')}`);
+    console.log(`   → Today: ${formatDateKorean(today, DEFAULT_TIMEZONE)} (${DEFAULT_TIMEZONE})`);
     console.log(`   → Method: Direct URL navigation with explicit date parameters`);
     console.log(`   → Range: Today (T-0) back to 5 days ago (T-5)\n`);
     
@@ -3017,9 +3789,18 @@ async function main() {
         dashboard.updateProgress(farmIdx + 1, farmsToProcess.length, currentFarm.name);
       }
       
+      // 🧬 Farm detection profile (HSSP overrides, daytime window, sensor key)
+      const farmIds = extractFarmIds(currentFarm.href || '');
+      const farmProfile = getFarmProfile(farmIds?.farmId);
+      const farmProfileSummary = describeProfile(farmProfile);
+      console.log(`  🧬 Detection profile: ${farmProfile.id} (${farmProfile.source})`);
+      
       // Set up network interception to capture chart data
       console.log('  🌐 Setting up network interception...');
-      const networkData = setupNetworkInterception(page);
+      const networkData = setupNetworkInterception(page, {
+        archive: CONFIG.archivePayloads,
+        archiveDir: CONFIG.payloadArchiveDir
+      });
       
       // Track clicked points for this farm (for checkpoint)
       let currentFarmClickedPoints = [];
@@ -3115,6 +3896,7 @@ async function main() {
     const totalDaysToCheck = 6;
     let dateIdx = 0;
     const farmDateData = []; // Store data for all dates of this farm
+    let previousSteering = null; // Yesterday's steering metrics (lastPeak starts the overnight dryback)
     
     // 🔙 STEP 1: Navigate to T-5 by clicking "이전 기간" (previous) 5 times
     // URL date parameter DOES NOT WORK - must use button clicks
@@ -3160,23 +3942,25 @@ async function main() {
         console.log('📸 F9 crash report saved. Continuing automation...');
       }
       
-      // 📅 CALCULATE TARGET DATE EXPLICITLY
-      const targetDate = new Date(today);
-      targetDate.setDate(today.getDate() - dayOffset); // Subtract days from today
-      
-      // Format date as YYYY-MM-DD for logging/checkpoints
-      const year = targetDate.getFullYear();
-      const month = String(targetDate.getMonth() + 1).padStart(2, '0');
-      const day = String(targetDate.getDate()).padStart(2, '0');
-      const dateString = `${year}-${month}-${day}`;
-      
-      // Format for Korean display
-      const koreanDate = targetDate.toLocaleDateString('ko-KR', {
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric',
-        weekday: 'short'
-      });
+      // 📅 CALCULATE TARGET DATE EXPLICITLY (farm timezone, independent of host TZ)
+      // dateString is YYYY-MM-DD for logging/checkpoints, koreanDate for display
+      const { dateString, koreanDate } = getDateRange(dayOffset, farmProfile.timezone)[0];
+      
+      // Sensors that backed FIRST/LAST when sensor fusion is on (recorded in dateData)
+      let detectionSensors = null;
+      let detectionEventLog = null;
+      let lastClick = null;
+      let dataGaps = null;
+      let detectionConfidence = null;
+      let detectorName = null;
+      let detectedClick = null;
+      let steering = null;
+      let sunTiming = null;
+      // Reviewed queue item for this date; marked applied only once the date's data is saved
+      let pendingReviewId = null;
+      // 🎯 Track whether user made visual corrections (used to skip auto-clicking, and read
+      // again when the final table values are checked, so it lives for the whole date)
+      let userMadeCorrections = false;
       
       console.log(`\n  📅 Processing Date: ${koreanDate} (${dateString}) - T-${dayOffset}`);
       console.log(`  ${'─'.repeat(70)}`);
@@ -3190,6 +3974,13 @@ async function main() {
         console.log(`  ✅ Page ready for date: ${dateString}`);
         await waitForPageReady(page, { waitForChart: true });
         
+        // "다음 기간" does not reload the page: drop the previous date's overlay/review times
+        // so a date committed without the overlay does not save them
+        await page.evaluate(() => {
+          window.__irrigationCorrected = null;
+          window.__irrigationOriginal = null;
+        });
+        
       } catch (navError) {
         console.log(`  ❌ Error on date ${dateString}: ${navError.message}`);
         console.log(`  → Skipping this date...\n`);
@@ -3275,6 +4066,10 @@ async function main() {
         allElements.forEach(elem => {
           const text = (elem.textContent || '').trim();
           
+          // Zone 1 only: on multi-zone pages "구역 2+" labels would otherwise win in DOM order
+          const zoneMatch = text.match(/구역\s*(\d+)/);
+          if (zoneMatch && zoneMatch[1] !== '1') return;
+          
           // Must match EXACTLY the label (to avoid picking up "진우")
           if (text.includes('첫 급액 시간') && elem.children.length === 0) {
             results.debug.push(`Found first label: ${elem.tagName}`);
@@ -3355,10 +4150,32 @@ async function main() {
         console.log(`     → Needs first click: ${tableStatus.needsFirstClick}`);
         console.log(`     → Needs last click: ${tableStatus.needsLastClick}\n`);
         
+        // 🗂️ MULTI-ZONE: 구역 2+ are detected from their own sensor series and filled once the
+        // date's review decision allows it (fillZoneFields below)
+        let zoneResults = [];
+        const zoneTable = await readZoneTable(page);
+        const multiZone = zoneTable.length > 1;
+        if (multiZone) {
+          console.log(`  🗂️  ${zoneTable.length} irrigation zones found: ${zoneTable.map(z => `구역 ${z.zone}`).join(', ')}\n`);
+        }
+        const runZoneFill = async (options = {}) => {
+          if (!multiZone) return [];
+          try {
+            const zoneChartData = await waitForChartData(networkData, 10000);
+            return await fillZoneFields(page, zoneChartData, zoneTable, farmProfile, options);
+          } catch (zoneError) {
+            console.log(`     ⚠️  Zone detection skipped: ${zoneError.message}`);
+            return [];
+          }
+        };
+        
         // Check if tables are already completely filled
         const tablesAlreadyFilled = !tableStatus.needsFirstClick && !tableStatus.needsLastClick;
         
         if (tablesAlreadyFilled) {
+          // Zone 1 was filled on the site; no detection or review decision for it
+          zoneResults = await runZoneFill();
+          
           console.log(`     ✅ Tables already filled for this date - NO MODIFICATION NEEDED`);
           console.log(`        → Existing First: ${tableStatus.firstTime}`);
           console.log(`        → Existing Last: ${tableStatus.lastTime}`);
@@ -3370,7 +4187,8 @@ async function main() {
             firstIrrigationTime: tableStatus.firstTime,
             lastIrrigationTime: tableStatus.lastTime,
             extractedAt: new Date().toISOString(),
-            alreadyFilled: true
+            alreadyFilled: true,
+            zones: listDateZones(zoneResults, tableStatus.firstTime, tableStatus.lastTime)
           };
           farmDateData.push(dateData);
           
@@ -3411,8 +4229,8 @@ async function main() {
         if (tableStatus.needsFirstClick || tableStatus.needsLastClick) {
         console.log('  ⚠️  Tables need data, clicking chart points...\n');
         
-        // 🎯 Track whether user made visual corrections (used to skip auto-clicking)
-        let userMadeCorrections = false;
+        // Sides a manager corrected in review when only one was given (the other is auto-clicked)
+        let reviewedSides = { first: false, last: false };
 
         // NETWORK INTERCEPTION APPROACH (Replaces Highcharts DOM access)
         console.log('  ⏳ Waiting for chart data from network...');
@@ -3443,9 +4261,27 @@ async function main() {
           
           // Extract normalized data points
           console.log('  🔍 DEBUG: About to extract data points from chart data...');
-          const dataPoints = extractDataPoints(chartData);
+          const dataPoints = extractDataPoints(chartData, farmProfile.sensorKey, farmProfile.timezone);
           console.log(`  🔍 DEBUG: extractDataPoints returned ${dataPoints?.length || 0} points`);
           
+          // 🩺 SENSOR HEALTH: flatline / stale / jump / noise / sparse → issue tracker rows
+          // (runs before the point-count check - a nearly empty day is itself a finding)
+          if (CONFIG.sensorHealth) {
+            try {
+              const { findings, added } = recordSensorHealth(chartData, {
+                farmName: currentFarm.name,
+                date: dateString,
+                timeZone: farmProfile.timezone,
+                filePath: CONFIG.sensorIssuesFile
+              });
+              if (findings.length > 0) {
+                console.log(`  🩺 Sensor health: ${findings.length} finding(s), ${added} new row(s) → ${CONFIG.sensorIssuesFile}`);
+              }
+            } catch (healthError) {
+              console.log(`  ⚠️  Sensor health check failed: ${healthError.message}`);
+            }
+          }
+          
           if (!dataPoints || dataPoints.length < 10) {
             console.log('  ⚠️  Insufficient data points for analysis');
             console.log(`     → Got ${dataPoints?.length || 0} points, need at least 10`);
@@ -3474,112 +4310,48 @@ async function main() {
           console.log(`  📊 Analyzing ${dataPoints.length} data points for irrigation events...`);
           console.log('  🔍 DEBUG: Starting irrigation detection algorithm...');
           
-          // 🔬 ROLLING WINDOW & LOCAL MINIMUM Algorithm
-          // Purpose: Catch gentle sustained rises + Find absolute valley bottom
+          // 🧩 DETECTOR REGISTRY: the farm's detector runs here in Node on the intercepted points
+          // (HSSP rise unless the profile picks another one for this farm/sensor type)
+          const sensorKey = resolveSensorKey(chartData, farmProfile.sensorKey);
+          const { params: detectionParams } = resolveDetectionParams({}, { profile: farmProfile }, dataPoints);
+          const detection = runDetector(dataPoints, { profile: farmProfile, sensorKey });
+          let lastPoint = detection.lastPoint;
+          detectorName = detection.detector;
           
           const yValues = dataPoints.map(p => p.y);
           const maxY = Math.max(...yValues);
           const minY = Math.min(...yValues);
           const yRange = maxY - minY;
           
+          console.log(`     → Profile: ${farmProfile.id} (${farmProfile.source}), detector: ${detection.detector} [${sensorKey || 'default sensor'}]`);
           console.log(`     → Y range: ${minY.toFixed(2)} to ${maxY.toFixed(2)} (span: ${yRange.toFixed(2)})`);
           
-          // ROLLING WINDOW PARAMETERS
-          const SURGE_WINDOW = 5;       // Compare with 5 minutes ago (catches slow rises)
-          const SURGE_THRESHOLD = Math.max(0.02, yRange * 0.015); // 1.5% or 0.02, whichever higher
-          const LOOKBACK_WINDOW = 20;   // Look back 20 minutes to find valley
-          const DEBOUNCE_MINUTES = 30;  // Minutes between events
-          
-          console.log(`     → Surge window: ${SURGE_WINDOW} minutes`);
-          console.log(`     → Surge threshold: ${SURGE_THRESHOLD.toFixed(4)} (sustained rise detection)`);
-          console.log(`     → Lookback window: ${LOOKBACK_WINDOW} minutes (valley search)`);
-          
-          const allEvents = [];
-          let lastEventIndex = -DEBOUNCE_MINUTES;
-          
-          // SCAN: Start after enough data for the window
-          for (let i = SURGE_WINDOW; i < dataPoints.length - 5; i++) {
-            const currentVal = dataPoints[i].y;
-            const pastVal = dataPoints[i - SURGE_WINDOW].y;
-            const diff = currentVal - pastVal;
-            
-            // DETECT: Sustained Rise (comparing 5-min window)
-            if (diff > SURGE_THRESHOLD && i > lastEventIndex + DEBOUNCE_MINUTES) {
-              console.log(`     → Sustained rise detected at index ${i} (5-min rise: ${diff.toFixed(4)})`);
-              
-              // FIND VALLEY: Scan lookback window for ABSOLUTE MINIMUM
-              let minVal = currentVal;
-              let valleyIndex = i;
-              const startSearch = Math.max(0, i - LOOKBACK_WINDOW);
-              
-              console.log(`     → Searching for valley: indices ${startSearch} to ${i} (${i - startSearch} points)`);
-              
-              for (let j = i; j >= startSearch; j--) {
-                if (dataPoints[j].y <= minVal) {
-                  minVal = dataPoints[j].y;
-                  valleyIndex = j;
-                }
-              }
-              
-              // VALIDATE: Must be in "Yellow Zone" (07:00 - 17:00)
-              const eventTimestamp = dataPoints[valleyIndex].x;
-              const eventDate = new Date(eventTimestamp);
-              const eventHour = eventDate.getHours();
-              const eventMinute = eventDate.getMinutes();
-              const isDaytime = eventHour >= 7 && eventHour <= 17;
-              
-              const timeStr = `${String(eventHour).padStart(2, '0')}:${String(eventMinute).padStart(2, '0')}`;
-              
-              console.log(`     → Valley found at index ${valleyIndex} (searched back ${i - valleyIndex} points)`);
-              console.log(`     → Valley time: ${timeStr} (hour: ${eventHour})`);
-              console.log(`     → Valley Y: ${dataPoints[valleyIndex].y.toFixed(3)}, Surge Y: ${currentVal.toFixed(3)}`);
-              console.log(`     → Total rise from valley: ${(currentVal - dataPoints[valleyIndex].y).toFixed(3)}`);
-              console.log(`     → Daytime filter: ${isDaytime ? '✅ PASS' : '❌ SKIP (outside 07:00-17:00)'}`);
-              
-              if (isDaytime) {
-                allEvents.push({
-                  index: valleyIndex,
-                  x: dataPoints[valleyIndex].x,
-                  y: dataPoints[valleyIndex].y,
-                  peakIndex: i,
-                  rise: currentVal - dataPoints[valleyIndex].y,
-                  time: timeStr
-                });
-                
-                lastEventIndex = valleyIndex;
-                i = Math.max(i, valleyIndex + 15); // Skip forward
-              } else {
-                console.log(`     → Event rejected (outside active hours)`);
-              }
-            }
+          // 🕳️ DATA GAPS: recorded with the date; surges across one are judged inside the detector
+          dataGaps = describeDataGaps(dataPoints, { profile: farmProfile });
+          if (dataGaps.count > 0) {
+            console.log(`     → ⚠️ Data gaps: ${dataGaps.count} (${dataGaps.totalMissingMinutes} minutes missing)`);
           }
           
-          console.log(`  🔬 [WINDOW-MIN] Raw detections: ${allEvents.length} events`);
-          
-          // DE-DUPLICATE: Keep events at least 5% apart
-          const uniqueEvents = [];
-          const minSeparation = dataPoints.length * 0.05;
-          
-          for (const event of allEvents) {
-            let isDuplicate = false;
-            for (const existing of uniqueEvents) {
-              if (Math.abs(event.index - existing.index) < minSeparation) {
-                isDuplicate = true;
-                // Keep the one with larger rise
-                if (event.rise > existing.rise) {
-                  uniqueEvents[uniqueEvents.indexOf(existing)] = event;
-                  console.log(`     → Replaced duplicate: kept event at ${event.time} (larger rise)`);
-                }
-                break;
-              }
-            }
-            if (!isDuplicate) {
-              uniqueEvents.push(event);
-            }
+          const uniqueEvents = [...detection.events];
+          console.log(`  ✅ Found ${uniqueEvents.length} irrigation events (${detection.detector})`);
+          
+          // 🔗 SENSOR FUSION: replace single-sensor events with weight + VWC backed ones
+          const fusionMode = farmProfile.fusion || CONFIG.sensorFusion;
+          if (fusionMode) {
+            console.log(`  🔗 Sensor fusion (${fusionMode}): checking events against weight AND VWC...`);
+            const fused = detectFusedEvents(extractSensorSeries(chartData, farmProfile.timezone), {
+              mode: fusionMode,
+              profile: farmProfile,
+              alignTo: dataPoints // Indices must match the chart series we click
+            });
+            
+            uniqueEvents.splice(0, uniqueEvents.length, ...fused.events);
+            lastPoint = fused.lastPoint;
+            detectorName = fused.detectors;
+            fused.events.forEach(e => console.log(`     → ${e.time}: ${e.sensors.join(' + ')} (confidence ${e.confidence})`));
+            console.log(`     → ${fused.events.length} kept, ${fused.rejected.length} rejected as single-sensor noise`);
           }
           
-          console.log(`  ✅ Found ${uniqueEvents.length} irrigation events`);
-          
           if (uniqueEvents.length === 0) {
             console.log('     → No irrigation detected for this date');
             console.log('     → Overlay will NOT appear (nothing to review)');
@@ -3589,7 +4361,7 @@ async function main() {
             await recordNoIrrigationReport(
               { 
                 name: currentFarm.name, 
-                id: currentFarm.farmId 
+                id: farmIds?.farmId || null
               },
               { 
                 date: dateString,
@@ -3598,7 +4370,20 @@ async function main() {
               {
                 pointCount: dataPoints.length,
                 yRange: { min: minY, max: maxY, span: yRange },
-                threshold: SURGE_THRESHOLD
+                threshold: Math.max(
+                  detectionParams.SURGE_THRESHOLD_MIN,
+                  yRange * detectionParams.SURGE_THRESHOLD_PERCENT,
+                  detectionParams.MIN_RISE_ABSOLUTE
+                ),
+                detector: detectorName,
+                params: {
+                  surgeWindow: detectionParams.SURGE_WINDOW,
+                  lookbackWindow: detectionParams.LOOKBACK_WINDOW,
+                  debounceMinutes: detectionParams.DEBOUNCE_MINUTES,
+                  daytimeHours: `${String(detectionParams.DAYTIME_START).padStart(2, '0')}:00-${String(detectionParams.DAYTIME_END).padStart(2, '0')}:00`
+                },
+                profile: farmProfileSummary,
+                dataGaps
               }
             );
             
@@ -3629,45 +4414,134 @@ async function main() {
           // Sort by index
           uniqueEvents.sort((a, b) => a.index - b.index);
           
-          const firstEvent = uniqueEvents[0];
+          // 📋 Full daily log (every event, not just first/last) for the saved results
+          detectionEventLog = buildEventLog(uniqueEvents, dataPoints, {
+            sensorKey,
+            profile: farmProfile
+          });
+          console.log(`  📋 Daily event log: ${detectionEventLog.count} irrigations`);
+          detectionEventLog.events.forEach(e => {
+            const interval = e.intervalMinutes !== null ? `, +${e.intervalMinutes} min` : '';
+            console.log(`     → #${e.number} ${e.start} → peak ${e.peak} (shot ${e.shotSize}${detectionEventLog.shotUnit || ''}${interval})`);
+          });
+
+          // 💧 Dryback / water balance (overnight needs the previous date of this farm)
+          steering = computeSteeringMetrics(dataPoints, detectionEventLog, {
+            sensorKey,
+            timeZone: farmProfile.timezone,
+            date: dateString,
+            previousDay: isPreviousDay(previousSteering, dateString) ? previousSteering : null
+          });
+          previousSteering = steering;
+          if (steering) {
+            const unit = steering.unit || '';
+            const overnight = steering.overnightDryback
+              ? `${steering.overnightDryback.value}${unit} (${steering.overnightDryback.percent}%)`
+              : 'n/a';
+            console.log(`  💧 Dryback: overnight ${overnight}, daytime ${steering.daytimeDryback}${unit}, daily rise ${steering.totalDailyRise}${unit}`);
+            console.log(`     → Range ${steering.min.value}-${steering.max.value}${unit}, 야간 함수율 편차 ${steering.nightMoistureDeviation ?? '-'}`);
+          }
+          
+          let firstEvent = uniqueEvents[0];
           let lastEvent = uniqueEvents[uniqueEvents.length - 1];
           
-          // 🎯 CRITICAL FIX: For LAST event, find the PEAK (end) instead of valley (start)
-          if (uniqueEvents.length > 0) {
-            const lastValleyIndex = lastEvent.index;
-            const PEAK_SEARCH_WINDOW = 30; // Search next 30 points for peak
-            let peakIndex = lastValleyIndex;
-            let peakValue = dataPoints[lastValleyIndex].y;
-            
-            const searchEnd = Math.min(lastValleyIndex + PEAK_SEARCH_WINDOW, dataPoints.length - 1);
-            console.log(`  🔍 Finding PEAK for last event (valley at index ${lastValleyIndex})...`);
-            console.log(`     → Searching indices ${lastValleyIndex} to ${searchEnd}`);
-            
-            for (let j = lastValleyIndex; j <= searchEnd; j++) {
-              if (dataPoints[j].y > peakValue) {
-                peakValue = dataPoints[j].y;
-                peakIndex = j;
-              }
-            }
-            
-            console.log(`     → Peak found at index ${peakIndex} (Y: ${peakValue.toFixed(3)})`);
-            console.log(`     → Rise from valley to peak: ${(peakValue - lastEvent.y).toFixed(3)}`);
+          // 🌅 First irrigation relative to sunrise (needs the farm location in the profile)
+          sunTiming = describeSunriseTiming(farmProfile, dataPoints[0].x, firstEvent);
+          if (sunTiming) {
+            console.log(`  🌅 Sunrise ${sunTiming.sunrise}, sunset ${sunTiming.sunset} → first irrigation ${sunTiming.minutesAfterSunrise ?? '?'} min after sunrise`);
+          }
+          
+          if (fusionMode) {
+            detectionSensors = {
+              mode: fusionMode,
+              first: { sensors: firstEvent.sensors, confidence: firstEvent.confidence },
+              last: { sensors: lastEvent.sensors, confidence: lastEvent.confidence }
+            };
+          }
+          
+          // 🎯 CONFIDENCE: score FIRST/LAST so review time goes to the uncertain days
+          const confidenceOptions = {
+            series: fusionMode ? null : extractSensorSeries(chartData, farmProfile.timezone),
+            sensorKey,
+            profile: farmProfile
+          };
+          detectionConfidence = {
+            first: scoreEventConfidence(firstEvent, dataPoints, confidenceOptions),
+            last: scoreEventConfidence(lastEvent, dataPoints, confidenceOptions)
+          };
+          const describeScore = c => (c ? `${Math.round(c.score * 100)}% (${c.level})` : 'n/a');
+          console.log(`  🎯 Confidence: FIRST ${describeScore(detectionConfidence.first)}, LAST ${describeScore(detectionConfidence.last)}`);
+          if ([detectionConfidence.first, detectionConfidence.last].some(c => c?.level === 'low')) {
+            dashboard.log(`⚠️ Low confidence: ${currentFarm.name} ${dateString} - please review`, 'warning');
+            runStats.lowConfidenceCount++;
+          }
+          
+          // 🎯 LAST click = PEAK of the last irrigation, +3s when the peak is a spike (IRRIGATION_RULES.md)
+          // (detectors that find the end themselves pin it to the event's peakIndex)
+          const lastPeak = findLastClickPoint(dataPoints, lastEvent, { profile: farmProfile, lastPoint });
+          if (lastPeak) {
+            console.log(`  🔍 LAST click: peak at index ${lastPeak.raw.index} (${lastPeak.raw.time}, Y: ${lastPeak.raw.y.toFixed(3)})`);
+            console.log(`     → Rise from valley to peak: ${(lastPeak.raw.y - lastEvent.y).toFixed(3)}`);
+            console.log(`     → Peak held ${lastPeak.plateauSeconds}s${lastPeak.isSpike ? ` → spike, clicking +${lastPeak.offset.offsetSeconds}s after it` : ''}`);
             
-            // Update lastEvent to use PEAK coordinates
+            lastClick = summarizeLastClick(lastPeak);
             lastEvent = {
-              index: peakIndex,
-              x: dataPoints[peakIndex].x,
-              y: dataPoints[peakIndex].y,
-              peakIndex: peakIndex,
-              rise: peakValue - lastEvent.y,
-              time: new Date(dataPoints[peakIndex].x).toTimeString().slice(0, 5)
+              index: lastPeak.offset.index,
+              x: lastPeak.offset.x,
+              y: lastPeak.offset.y,
+              peakIndex: lastPeak.raw.index,
+              rise: lastPeak.raw.y - lastEvent.y,
+              time: lastPeak.offset.time
             };
           }
           
+          // 🧠 Learned bias (minutes, from overlay corrections) moves the points in data space,
+          // so it means the same time at every chart width and point count
+          const detectedIndices = { first: firstEvent.index, last: lastEvent.index };
+          const learned = applyLearnedAdjustments(dataPoints, firstEvent.index, lastEvent.index, {
+            farmId: farmIds?.farmId || null,
+            sensorKey,
+            date: dateString
+          });
+          if (learned.adjustmentsApplied) {
+            const movedTo = index => ({
+              ...dataPoints[index],
+              index,
+              time: formatTimeHM(dataPoints[index].x, farmProfile.timezone)
+            });
+            firstEvent = { ...firstEvent, ...movedTo(learned.firstIndex) };
+            lastEvent = { ...lastEvent, ...movedTo(learned.lastIndex) };
+          }
+          
+          // Points the page clicks later: timestamps (x) of the intercepted series, which the page
+          // matches to its own chart points; the index only for series without timestamps
+          detectedClick = {
+            detector: fusionMode ? `fusion (${fusionMode})` : detectorName,
+            totalPoints: dataPoints.length,
+            seriesStart: dataPoints[0].x,
+            seriesEnd: dataPoints[dataPoints.length - 1].x,
+            first: { index: firstEvent.index, x: dataPoints[firstEvent.index].x, time: firstEvent.time },
+            last: { index: lastEvent.index, x: dataPoints[lastEvent.index].x, time: lastEvent.time }
+          };
+          
           console.log(`     → First event at index ${firstEvent.index}`);
           console.log(`     → Last event at index ${lastEvent.index}`);
           console.log(`  🎯 Now attempting to click chart at these positions...\n`);
           
+          // 🏷️ EVENT LABELLING: mark every irrigation of the day (labels for the full event detector)
+          if (CONFIG.eventLabelling) {
+            await labelDayEvents(page, {
+              dataPoints,
+              eventLog: detectionEventLog,
+              farmId: farmIds?.farmId || null,
+              farmName: currentFarm.name,
+              manager: config.manager,
+              date: dateString,
+              sensorKey,
+              timeZone: farmProfile.timezone
+            });
+          }
+          
           // ═══════════════════════════════════════════════════════════════════
           // VISUAL CONFIRMATION MODE - Show overlay and wait for user input
           // ═══════════════════════════════════════════════════════════════════
@@ -3687,7 +4561,110 @@ async function main() {
           
           console.log(`  CONFIG.visualConfirmationMode = ${CONFIG.visualConfirmationMode}`);
           
-          if (CONFIG.visualConfirmationMode) {
+          // 📥 REVIEW POLICY: a manager's earlier decision wins, then the confidence gate
+          const farmKey = { farmId: farmIds?.farmId || null, farmName: currentFarm.name };
+          const resolvedReview = findResolvedReview(farmKey, dateString);
+          let reviewDecision = decideReview(detectionConfidence, {
+            autoCommitConfidence: CONFIG.autoCommitConfidence,
+            lowConfidenceAction: CONFIG.lowConfidenceAction,
+            visualConfirmation: CONFIG.visualConfirmationMode
+          });
+          
+          if (resolvedReview) {
+            console.log(`  📥 Review queue: ${currentFarm.name} ${dateString} was ${resolvedReview.status} by a manager`);
+            if (resolvedReview.status === 'corrected') {
+              const { first, last } = resolvedReview.review;
+              await applyReviewedTimes(page, resolvedReview.review);
+              if (first && last) {
+                userMadeCorrections = true;
+              } else {
+                // Only one side corrected: the other keeps the detected point (auto-click)
+                reviewedSides = { first: !!first, last: !!last };
+              }
+            }
+            reviewDecision = resolvedReview.status === 'dismissed'
+              ? { action: 'skip', reason: 'dismissed in review' }
+              : { action: 'commit', reason: `${resolvedReview.status} in review` };
+            if (resolvedReview.status === 'dismissed') {
+              // Nothing is written for a dismissed date, so skipping it is applying it
+              markReviewApplied(resolvedReview.id);
+            } else {
+              pendingReviewId = resolvedReview.id;
+            }
+          }
+          console.log(`  🚦 Review decision: ${reviewDecision.action} (${reviewDecision.reason})`);
+          
+          if (reviewDecision.action === 'queue' || reviewDecision.action === 'skip') {
+            let detectedZones = [];
+            if (reviewDecision.action === 'queue') {
+              // Zones 2+ are only detected here; the manager reviews them with zone 1
+              detectedZones = await runZoneFill({ write: false });
+              const queuedZones = detectedZones
+                .filter(z => z.zone !== 1 && !z.alreadyFilled)
+                .map(z => ({ zone: z.zone, first: z.detected.first, last: z.detected.last }));
+              enqueueReview({
+                ...farmKey,
+                farmUrl: currentFarm.href ? new URL(currentFarm.href, CONFIG.url).href : null,
+                date: dateString,
+                detected: { first: firstEvent.time, last: lastEvent.time },
+                zones: queuedZones,
+                confidence: detectionConfidence,
+                reason: reviewDecision.reason
+              });
+              dashboard.log(`📥 Queued for review: ${currentFarm.name} ${dateString} (${reviewDecision.reason})`, 'warning');
+              runStats.queuedForReviewCount++;
+            }
+            
+            // Record the date as seen: nothing was written, so the times are only the detected ones
+            const dateData = {
+              date: displayedDate,
+              status: reviewDecision.action === 'queue' ? 'queued_for_review' : 'skipped',
+              reason: reviewDecision.reason,
+              firstIrrigationTime: null,
+              lastIrrigationTime: null,
+              detected: { first: firstEvent.time || null, last: lastEvent.time || null },
+              extractedAt: new Date().toISOString(),
+              profile: farmProfileSummary,
+              sensors: detectionSensors,
+              lastClick,
+              eventLog: detectionEventLog,
+              dataGaps,
+              confidence: detectionConfidence,
+              detector: detectorName,
+              steering,
+              sun: sunTiming,
+              zones: listDateZones(detectedZones, null, null)
+            };
+            farmDateData.push(dateData);
+            runStats.datesProcessed++;
+            
+            // Skip to next date (only if not at T-0)
+            if (dayOffset > 0) {
+              const nextClicked = await page.evaluate(() => {
+                const nextButton = document.querySelector('button[aria-label="다음 기간"]');
+                if (nextButton) {
+                  nextButton.click();
+                  return true;
+                }
+                return false;
+              });
+              
+              if (nextClicked) {
+                await page.waitForTimeout(300);
+              }
+            }
+            continue;
+          }
+          
+          if (reviewDecision.action === 'commit' && CONFIG.autoCommitConfidence !== null && !resolvedReview) {
+            runStats.autoCommittedCount++;
+          }
+          
+          // 구역 2+ only for committed/overlay dates (before the overlay, so its 저장 includes them):
+          // detected times, or the reviewed ones when a manager decided this date
+          zoneResults = await runZoneFill(resolvedReview ? { times: reviewedZoneTimes(resolvedReview) } : {});
+          
+          if (reviewDecision.action === 'overlay') {
             console.log('  ✅ Visual confirmation mode is ENABLED - showing overlay now...');
             
             // Calculate screen coordinates for the overlay
@@ -3706,31 +4683,46 @@ async function main() {
             if (screenCoords && screenCoords.first && screenCoords.last) {
               console.log('  ✅ Screen coordinates calculated successfully!');
               
-              // Apply learned adjustments from training data
-              const adjustedFirst = applyLearnedAdjustments(
-                screenCoords.first.screenX, 
-                screenCoords.last.screenX
-              );
+              // Pixel ↔ index scale of this chart from its first and last data point (markers snap
+              // to data points on it); the FIRST/LAST positions only when the ends cannot be located
+              const chartEnds = dataPoints?.length > 1
+                ? await calculateScreenCoordinates(page, 0, dataPoints.length - 1, dataPoints.length)
+                : null;
+              const indexScale = chartEnds?.first && chartEnds?.last
+                ? {
+                  firstScreenX: chartEnds.first.screenX,
+                  lastScreenX: chartEnds.last.screenX,
+                  firstIndex: 0,
+                  lastIndex: dataPoints.length - 1
+                }
+                : {
+                  firstScreenX: screenCoords.first.screenX,
+                  lastScreenX: screenCoords.last.screenX,
+                  firstIndex: firstEvent.index,
+                  lastIndex: lastEvent.index
+                };
               
-              // Prepare overlay data with adjusted screen positions
+              // Learned adjustments are already in the indices (applied before screen coordinates)
               const overlayData = {
                 first: {
                   ...screenCoords.first,
-                  screenX: adjustedFirst.firstScreenX, // Use adjusted X
-                  time: firstEvent.time || 'N/A'
+                  time: firstEvent.time || 'N/A',
+                  confidence: detectionConfidence.first
                 },
                 last: {
                   ...screenCoords.last,
-                  screenX: adjustedFirst.lastScreenX, // Use adjusted X
-                  time: lastEvent.time || 'N/A'
-                }
+                  time: lastEvent.time || 'N/A',
+                  confidence: detectionConfidence.last
+                },
+                series: buildSnapSeries(dataPoints, indexScale, farmProfile.timezone),
+                timeZone: farmProfile.timezone
               };
               
               console.log('  👁️  SHOWING OVERLAY NOW - Check the browser window!');
               console.log(`     → FIRST point: ${overlayData.first.time} at (${Math.round(overlayData.first.screenX)}, ${Math.round(overlayData.first.screenY)})`);
               console.log(`     → LAST point: ${overlayData.last.time} at (${Math.round(overlayData.last.screenX)}, ${Math.round(overlayData.last.screenY)})`);
-              if (adjustedFirst.adjustmentsApplied) {
-                console.log(`     → 🧠 Learned adjustments applied: first${adjustedFirst.bias.firstIndexBias >= 0 ? '+' : ''}${adjustedFirst.bias.firstIndexBias}px, last${adjustedFirst.bias.lastIndexBias >= 0 ? '+' : ''}${adjustedFirst.bias.lastIndexBias}px`);
+              if (learned.adjustmentsApplied) {
+                console.log(`     → 🧠 Learned adjustments applied (${learned.bias.source}): first${learned.bias.firstMinuteBias >= 0 ? '+' : ''}${learned.bias.firstMinuteBias} min, last${learned.bias.lastMinuteBias >= 0 ? '+' : ''}${learned.bias.lastMinuteBias} min`);
               }
               
               // Get training stats to display in overlay
@@ -3748,35 +4740,81 @@ async function main() {
               
               // If user confirmed, check for corrections and save them
               if (userConfirmed) {
+                // Chart as reviewed (thumbnail for the training report)
+                const reviewScreenshot = path.join(CONFIG.screenshotDir, `review-${farmIds?.farmId || farmIdx + 1}-${dateString}-${Date.now()}.png`);
+                await page.screenshot({ path: reviewScreenshot, fullPage: false }).catch(() => {});
+                
                 try {
                   const corrections = await getCorrectedPositions(page);
+                  let correctionSaved = false;
 
                   if (corrections.wasCorrected) {
                     userMadeCorrections = true;
                     console.log('  🎯 User made corrections - saving to training data...');
 
-                    // Save the correction
-                    saveCorrection(
+                    // Resolve dragged markers to data indices/times (labels for evaluation):
+                    // the snapped data point's timestamp, screen X only when nothing was snapped
+                    const resolveDragged = marker =>
+                      snappedDataIndex(dataPoints, marker) ?? screenXToDataIndex(indexScale, marker?.screenX, dataPoints.length);
+                    const correctedFirstIndex = corrections.firstWasDragged
+                      ? resolveDragged(corrections.corrected.first)
+                      : firstEvent.index;
+                    const correctedLastIndex = corrections.lastWasDragged
+                      ? resolveDragged(corrections.corrected.last)
+                      : lastEvent.index;
+                    const indexToTime = (idx) => {
+                      if (idx === null || !dataPoints[idx]) return null;
+                      return formatTimeHM(dataPoints[idx].x, farmProfile.timezone);
+                    };
+                    const indexToTimestamp = (idx) => (idx !== null && dataPoints[idx]?.x > 1e11 ? new Date(dataPoints[idx].x).toISOString() : null);
+
+                    // Save the correction (relative to the raw detection, so the bias does not chase itself)
+                    correctionSaved = saveCorrection(
                       {
                         firstScreenX: corrections.original.first?.screenX,
                         lastScreenX: corrections.original.last?.screenX,
-                        firstIndex: firstEvent.index,
-                        lastIndex: lastEvent.index
+                        firstIndex: detectedIndices.first,
+                        lastIndex: detectedIndices.last
                       },
                       {
                         firstScreenX: corrections.corrected.first?.screenX,
-                        lastScreenX: corrections.corrected.last?.screenX
+                        lastScreenX: corrections.corrected.last?.screenX,
+                        firstIndex: correctedFirstIndex,
+                        lastIndex: correctedLastIndex,
+                        firstTime: indexToTime(correctedFirstIndex),
+                        lastTime: indexToTime(correctedLastIndex),
+                        firstTimestamp: indexToTimestamp(correctedFirstIndex),
+                        lastTimestamp: indexToTimestamp(correctedLastIndex)
                       },
                       {
+                        dataPoints,
                         totalDataPoints: dataPoints ? dataPoints.length : 0,
                         chartWidth: screenCoords.first?.screenX && screenCoords.last?.screenX
                           ? Math.abs(screenCoords.last.screenX - screenCoords.first.screenX)
-                          : 0
+                          : 0,
+                        farmId: farmIds?.farmId || null,
+                        farmName: currentFarm.name,
+                        manager: config.manager,
+                        date: dateString,
+                        sensorKey,
+                        screenshot: reviewScreenshot
                       }
                     );
                   } else {
                     console.log('  ✓ No corrections made - prediction was accurate');
                   }
+                  
+                  // Accepted and corrected reviews both count (accept-vs-correct trend in the training report)
+                  addReview({
+                    timestamp: new Date().toISOString(),
+                    farmId: farmIds?.farmId || null,
+                    farmName: currentFarm.name,
+                    manager: config.manager,
+                    date: dateString,
+                    sensorType: sensorKey ? classifySensor(sensorKey) : null,
+                    corrected: correctionSaved,
+                    screenshot: reviewScreenshot
+                  }, TRAINING_FILE);
                 } catch (corrError) {
                   console.log(`  ⚠️ Could not save correction: ${corrError.message}`);
                 }
@@ -3817,7 +4855,7 @@ async function main() {
               console.log('     → Proceeding without visual confirmation (will auto-click)\n');
             }
           } else {
-            console.log('  ⏭️  Visual confirmation mode is DISABLED, auto-clicking...\n');
+            console.log(`  ⏭️  No overlay for this date (${reviewDecision.reason}), auto-clicking...\n`);
           }
           
         } catch (timeoutError) {
@@ -3853,272 +4891,91 @@ async function main() {
           // User either didn't use visual confirmation OR confirmed without making changes
           // Proceed with normal auto-clicking flow
 
+        // Detection already ran in Node (src/detectors.js); the page only turns the detected
+        // indices into chart clicks
         const clickResults = await page.evaluate((needs) => {
           const results = [];
 
           // Log to browser console for debugging
-          console.log('🔍 [BROWSER] Starting irrigation point detection...');
+          console.log(`🔍 [BROWSER] Clicking detected irrigation points (${needs.detectedClick?.detector})...`);
           console.log('🔍 [BROWSER] Needs first click:', needs.needsFirstClick);
           console.log('🔍 [BROWSER] Needs last click:', needs.needsLastClick);
           
-          // ============================================
-          // METHOD 1: Try Highcharts API (Most Accurate)
-          // ============================================
-          let chart = null;
-          
-          // Debug: Check what's available
-          console.log('🔬 [DEBUG] window.Highcharts exists:', !!window.Highcharts);
-          console.log('🔬 [DEBUG] window.Highcharts.charts exists:', !!(window.Highcharts && window.Highcharts.charts));
-          if (window.Highcharts && window.Highcharts.charts) {
-            console.log('🔬 [DEBUG] Highcharts.charts array length:', window.Highcharts.charts.length);
-            console.log('🔬 [DEBUG] Highcharts.charts contents:', window.Highcharts.charts.map((c, i) => `[${i}]: ${c ? 'chart' : 'undefined'}`).join(', '));
-            chart = window.Highcharts.charts.find(c => c !== undefined);
+          if (!needs.detectedClick) {
+            return { error: 'No detected points to click' };
           }
+          const { first, last, totalPoints, seriesStart, seriesEnd } = needs.detectedClick;
           
-          if (chart) {
-            console.log('🔬 [DEBUG] chart found:', !!chart);
-            console.log('🔬 [DEBUG] chart.series exists:', !!(chart && chart.series));
-            console.log('🔬 [DEBUG] chart.series[0] exists:', !!(chart && chart.series && chart.series[0]));
-            if (chart.series && chart.series[0]) {
-              console.log('🔬 [DEBUG] series[0].data.length:', chart.series[0].data.length);
-            }
-          }
+          // The chart series can be another sensor than the one detected on, and can drop nulls or
+          // group points, so detected points are matched by timestamp, never by position
+          const MATCH_TOLERANCE_MS = 60 * 1000;
+          const hasTimestamps = target => target.x > 1e11;
+          const unmatched = (label, target) =>
+            ({ error: `No chart point within a minute of ${label} ${target.time} (chart series does not match the detected series)` });
           
-          if (chart && chart.series && chart.series[0]) {
+          // ============================================
+          // METHOD 1: Highcharts API (Most Accurate)
+          // ============================================
+          const chart = window.Highcharts?.charts?.find(c => c !== undefined) || null;
+          const dataPoints = (chart?.series?.[0]?.data || []).filter(Boolean);
+          
+          if (dataPoints.length > 0) {
             results.push({ message: '✅ Highcharts API accessible' });
             console.log('✅ [BROWSER] Highcharts API accessible');
-          
-          const series = chart.series[0];
-          const dataPoints = series.data;
-          
-            if (dataPoints.length > 0) {
-              // ═══════════════════════════════════════════════════════════════
-              // HSSP ALGORITHM - Rolling Window Valley Detection
-              // This replaces the simple "drop > 5" detection with proper:
-              // 1. Rolling window analysis (compare with N points ago)
-              // 2. Valley traceback (find lowest point before rise)
-              // 3. Time filtering (only 07:00-17:00)
-              // 4. Debouncing (minimum separation between events)
-              // ═══════════════════════════════════════════════════════════════
-              
-              console.log('🔬 [HSSP] Starting HSSP Algorithm (Improved)...');
-              
-              // HSSP PARAMETERS - TUNED FOR REAL IRRIGATION DETECTION
-              // The algorithm looks for RISES in moisture (irrigation adding water)
-              // and traces back to find the VALLEY (lowest point before rise)
-              const HSSP = {
-                SURGE_WINDOW: 10,             // Compare with 10 data points ago (more stable)
-                SURGE_THRESHOLD_PERCENT: 0.05, // 5% of Y range (was 1.5% - too sensitive)
-                SURGE_THRESHOLD_MIN: 0.1,     // Absolute minimum threshold (was 0.02 - caught noise)
-                MIN_RISE_ABSOLUTE: 0.05,      // Minimum absolute rise to consider (NEW)
-                LOOKBACK_WINDOW: 30,          // Look back 30 points for valley (was 20)
-                DEBOUNCE_POINTS: 60,          // Min 60 points between events (was 30 - ~1 hour)
-                DAYTIME_START: 7,             // Only 7:00 AM onwards
-                DAYTIME_END: 17,              // Only until 5:00 PM
-                MIN_VALLEY_DEPTH: 0.03        // Valley must be at least this much lower than surge (NEW)
-              };
-              
-              // Step 1: Calculate Y range for adaptive threshold
-              const yValues = dataPoints.map(p => p.y);
-              const maxY = Math.max(...yValues);
-              const minY = Math.min(...yValues);
-              const yRange = maxY - minY;
-              
-              // Use higher threshold: max of (5% of range) or (absolute minimum)
-              const surgeThreshold = Math.max(
-                HSSP.SURGE_THRESHOLD_MIN, 
-                yRange * HSSP.SURGE_THRESHOLD_PERCENT,
-                HSSP.MIN_RISE_ABSOLUTE
-              );
-              
-              // DEBUG: Log threshold calculation details
-              console.log(`🔬 [HSSP-DEBUG] Threshold calc: MIN=${HSSP.SURGE_THRESHOLD_MIN}, 5%ofRange=${(yRange * HSSP.SURGE_THRESHOLD_PERCENT).toFixed(4)}, absMin=${HSSP.MIN_RISE_ABSOLUTE}`);
-              console.log(`🔬 [HSSP-DEBUG] Final threshold=${surgeThreshold.toFixed(4)} - This might be TOO HIGH if range is small!`);
-              
-              // Check a sample of rises to see what values exist
-              let maxRiseFound = 0;
-              for (let i = HSSP.SURGE_WINDOW; i < Math.min(dataPoints.length, 200); i++) {
-                const rise = dataPoints[i].y - dataPoints[i - HSSP.SURGE_WINDOW].y;
-                if (rise > maxRiseFound) maxRiseFound = rise;
+            
+            // Chart point nearest the detected timestamp; series without timestamps only line up
+            // by index when the chart has exactly the same points
+            const pointAt = target => {
+              if (!hasTimestamps(target)) {
+                return dataPoints.length === totalPoints ? dataPoints[target.index] || null : null;
               }
-              console.log(`🔬 [HSSP-DEBUG] Max rise in first 200 points: ${maxRiseFound.toFixed(4)} (threshold is ${surgeThreshold.toFixed(4)})`);
-              console.log(`🔬 [HSSP-DEBUG] Would any rise pass? ${maxRiseFound > surgeThreshold ? 'YES' : 'NO - THRESHOLD TOO HIGH!'}`);
-              
-              console.log(`🔬 [HSSP] Y range: ${minY.toFixed(2)} to ${maxY.toFixed(2)} (span: ${yRange.toFixed(2)})`);
-              console.log(`🔬 [HSSP] Surge threshold: ${surgeThreshold.toFixed(4)} (5% of range or min 0.1)`);
-              console.log(`🔬 [HSSP] Data points: ${dataPoints.length}`);
-              console.log(`🔬 [HSSP] Time filter: ${HSSP.DAYTIME_START}:00 - ${HSSP.DAYTIME_END}:00`);
-              
-              results.push({ message: `HSSP: Y range ${minY.toFixed(1)}-${maxY.toFixed(1)}, threshold ${surgeThreshold.toFixed(4)}` });
-              
-              // Step 2: Rolling window + valley traceback
-              const allEvents = [];
-              let lastEventIndex = -HSSP.DEBOUNCE_POINTS;
-              let surgesChecked = 0;
-              let surgesRejectedTime = 0;
-              let surgesRejectedRise = 0;
-              
-              for (let i = HSSP.SURGE_WINDOW; i < dataPoints.length - 5; i++) {
-                const currentVal = dataPoints[i].y;
-                const pastVal = dataPoints[i - HSSP.SURGE_WINDOW].y;
-                const rise = currentVal - pastVal;
-                
-                // Detect sustained rise (moisture going UP = irrigation)
-                if (rise > surgeThreshold && i > lastEventIndex + HSSP.DEBOUNCE_POINTS) {
-                  surgesChecked++;
-                  
-                  // VALLEY TRACEBACK: Find lowest point in lookback window
-                  let valleyIndex = i;
-                  let minVal = currentVal;
-                  const startSearch = Math.max(0, i - HSSP.LOOKBACK_WINDOW);
-                  
-                  for (let j = i; j >= startSearch; j--) {
-                    if (dataPoints[j].y <= minVal) {
-                      minVal = dataPoints[j].y;
-                      valleyIndex = j;
-                    }
-                  }
-                  
-                  // Calculate total rise from valley to current point
-                  const totalRise = currentVal - minVal;
-                  
-                  // TIME FILTER: Only 07:00-17:00
-                  const timestamp = dataPoints[valleyIndex].x;
-                  const eventDate = new Date(timestamp);
-                  const hour = eventDate.getHours();
-                  const minute = eventDate.getMinutes();
-                  const timeStr = `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
-                  
-                  // Check if time is within valid range
-                  const isValidTime = hour >= HSSP.DAYTIME_START && hour <= HSSP.DAYTIME_END;
-                  
-                  // Check if rise is significant enough
-                  const isSignificantRise = totalRise >= HSSP.MIN_VALLEY_DEPTH;
-                  
-                  console.log(`🔬 [HSSP] Checking surge at index ${i}: rise=${rise.toFixed(4)}, valley at ${timeStr}, totalRise=${totalRise.toFixed(4)}`);
-                  
-                  if (!isValidTime) {
-                    console.log(`🔬 [HSSP] ⏭️ REJECTED: ${timeStr} is outside ${HSSP.DAYTIME_START}:00-${HSSP.DAYTIME_END}:00`);
-                    surgesRejectedTime++;
-                    continue;
-                  }
-                  
-                  if (!isSignificantRise) {
-                    console.log(`🔬 [HSSP] ⏭️ REJECTED: totalRise ${totalRise.toFixed(4)} < min ${HSSP.MIN_VALLEY_DEPTH}`);
-                    surgesRejectedRise++;
-                    continue;
-                  }
-                  
-                  console.log(`🔬 [HSSP] ✅ ACCEPTED: Valley at ${timeStr} (index ${valleyIndex}), totalRise: ${totalRise.toFixed(4)}`);
-                  
-                  allEvents.push({
-                    index: valleyIndex,
-                    point: dataPoints[valleyIndex],
-                    x: dataPoints[valleyIndex].x,
-                    y: dataPoints[valleyIndex].y,
-                    plotX: dataPoints[valleyIndex].plotX + chart.plotLeft,
-                    plotY: dataPoints[valleyIndex].plotY + chart.plotTop,
-                    rise: totalRise,
-                    hour: hour,
-                    minute: minute,
-                    time: timeStr
-                  });
-                  
-                  lastEventIndex = valleyIndex;
-                  i = Math.max(i, valleyIndex + 15); // Skip forward to avoid double-detection
-                }
+              let best = null;
+              for (const p of dataPoints) {
+                if (typeof p.x === 'number' && (!best || Math.abs(p.x - target.x) < Math.abs(best.x - target.x))) best = p;
               }
-              
-              console.log(`🔬 [HSSP] Surge check summary: ${surgesChecked} checked, ${surgesRejectedTime} rejected (time), ${surgesRejectedRise} rejected (rise too small)`);
-              results.push({ message: `HSSP: Checked ${surgesChecked} surges, rejected ${surgesRejectedTime} (time) + ${surgesRejectedRise} (rise)` });
-              
-              console.log(`🔬 [HSSP] Raw detections: ${allEvents.length} events`);
-              results.push({ message: `HSSP: ${allEvents.length} raw irrigation events detected` });
-              
-              // Step 3: De-duplicate events that are too close together
-              const uniqueEvents = [];
-              const minSeparation = dataPoints.length * 0.05; // 5% of data apart
-              
-              for (const event of allEvents) {
-                let isDuplicate = false;
-                
-                for (let j = 0; j < uniqueEvents.length; j++) {
-                  const existing = uniqueEvents[j];
-                  
-                  if (Math.abs(event.index - existing.index) < minSeparation) {
-                    isDuplicate = true;
-                    // Keep the one with larger rise (more significant irrigation)
-                    if (event.rise > existing.rise) {
-                      uniqueEvents[j] = event;
-                      console.log(`🔬 [HSSP] Replaced duplicate: kept event at ${event.time} (larger rise)`);
-                    }
-                    break;
-                  }
-                }
-                
-                if (!isDuplicate) {
-                  uniqueEvents.push(event);
-                }
+              return best && Math.abs(best.x - target.x) <= MATCH_TOLERANCE_MS ? best : null;
+            };
+            const firstPoint = needs.needsFirstClick ? pointAt(first) : null;
+            const lastPoint = needs.needsLastClick ? pointAt(last) : null;
+            if (needs.needsFirstClick && !firstPoint) return unmatched('FIRST', first);
+            if (needs.needsLastClick && !lastPoint) return unmatched('LAST', last);
+            
+            // Click first event (irrigation START)
+            if (needs.needsFirstClick) {
+              firstPoint.select(true, false);
+              firstPoint.firePointEvent('click');
+              results.push({ 
+                action: '✅ Clicked FIRST irrigation (start)', 
+                x: Math.round(firstPoint.plotX), 
+                y: Math.round(firstPoint.plotY),
+                time: first.time
+              });
+              console.log(`✅ [BROWSER] Clicked FIRST irrigation at ${first.time}`);
+            }
+            
+            // Click last event at the LAST click point (peak, +3s for spikes)
+            if (needs.needsLastClick) {
+              // Deselect first event first
+              if (needs.needsFirstClick) {
+                firstPoint.select(false, false);
               }
               
-              // Sort by index (chronological order)
-              uniqueEvents.sort((a, b) => a.index - b.index);
-              
-              console.log(`🔬 [HSSP] Final events after de-duplication: ${uniqueEvents.length}`);
-              results.push({ message: `HSSP: ${uniqueEvents.length} final irrigation events (after de-dup)` });
-              
-              if (uniqueEvents.length > 0) {
-                // Log all detected events
-                uniqueEvents.forEach((evt, idx) => {
-                  console.log(`🔬 [HSSP] Event ${idx + 1}: ${evt.time} (index ${evt.index}, rise: ${evt.rise.toFixed(4)})`);
-                });
-                
-                const firstEvent = uniqueEvents[0];
-                const lastEvent = uniqueEvents[uniqueEvents.length - 1];
-                
-                results.push({ message: `HSSP: First=${firstEvent.time}, Last=${lastEvent.time}` });
-                
-                // Click first event (valley = irrigation START)
-                if (needs.needsFirstClick) {
-                  firstEvent.point.select(true, false);
-                  firstEvent.point.firePointEvent('click');
-                  results.push({ 
-                    action: '✅ HSSP: Clicked FIRST irrigation (valley)', 
-                    x: Math.round(firstEvent.plotX), 
-                    y: Math.round(firstEvent.plotY),
-                    time: firstEvent.time
-                  });
-                  console.log(`✅ [HSSP] Clicked FIRST irrigation at ${firstEvent.time}`);
-                }
-                
-                // Click last event
-                if (needs.needsLastClick) {
-                  // Deselect first event first
-                  if (needs.needsFirstClick) {
-                    firstEvent.point.select(false, false);
-                  }
-                  
-                  lastEvent.point.select(true, false);
-                  lastEvent.point.firePointEvent('click');
-                  results.push({
-                    action: '✅ HSSP: Clicked LAST irrigation (valley)', 
-                    x: Math.round(lastEvent.plotX), 
-                    y: Math.round(lastEvent.plotY),
-                    time: lastEvent.time
-                  });
-                  console.log(`✅ [HSSP] Clicked LAST irrigation at ${lastEvent.time}`);
-                }
-                
-                return results;
-              } else {
-                console.log('🔬 [HSSP] No irrigation events found in valid time range (07:00-17:00)');
-                results.push({ message: 'HSSP: No irrigation events in valid time range' });
-              }
+              lastPoint.select(true, false);
+              lastPoint.firePointEvent('click');
+              results.push({
+                action: '✅ Clicked LAST irrigation (peak)', 
+                x: Math.round(lastPoint.plotX), 
+                y: Math.round(lastPoint.plotY),
+                time: last.time
+              });
+              console.log(`✅ [BROWSER] Clicked LAST irrigation at ${last.time}`);
             }
+            
+            return results;
           }
           
           // ============================================
-          // METHOD 2: SVG Path Analysis (Fallback)
+          // METHOD 2: SVG Path (Fallback)
           // ============================================
           results.push({ message: '⚠️ Highcharts API not accessible, using SVG path analysis' });
           console.log('⚠️ [BROWSER] Highcharts API not accessible, using SVG path analysis');
@@ -4137,6 +4994,7 @@ async function main() {
           }
           
           // Parse SVG path coordinates (handles M, L, and C commands)
+          const isCurve = /C/i.test(pathData);
           const coordinates = [];
           
           // Extract all numbers from the path
@@ -4161,237 +5019,53 @@ async function main() {
             plottedPoints.push(coordinates[i]); // End point of each C command
           }
           
-          // Use plotted points for spike detection
-          const finalCoords = plottedPoints.length > 10 ? plottedPoints : coordinates;
-            
-            results.push({ 
+          const finalCoords = isCurve && plottedPoints.length > 10 ? plottedPoints : coordinates;
+          
+          results.push({ 
             message: `Parsed ${finalCoords.length} plot points from SVG path (from ${coordinates.length} total coords)` 
           });
           
-          // Debug: Show sample coordinates
-          if (finalCoords.length > 0) {
-            results.push({
-              message: `Sample points: [0]=(${Math.round(finalCoords[0].x)},${Math.round(finalCoords[0].y)}), [${Math.floor(finalCoords.length/2)}]=(${Math.round(finalCoords[Math.floor(finalCoords.length/2)].x)},${Math.round(finalCoords[Math.floor(finalCoords.length/2)].y)})`
-            });
-          }
-          
           if (finalCoords.length < 3) {
-            return { error: `Not enough coordinates to find spikes: ${finalCoords.length} points` };
+            return { error: `Not enough coordinates to place clicks: ${finalCoords.length} points` };
           }
           
-          // HSSP Method: Find Highest Slope Start Points (irrigation event starts)
-          
-          // Get Y-range for context
-          const allY = finalCoords.map(c => c.y);
-          const maxY = Math.max(...allY);
-          const minY = Math.min(...allY);
-          const yRange = maxY - minY;
-            
-            results.push({ 
-            message: `Y range: ${Math.round(minY)} to ${Math.round(maxY)} (span: ${Math.round(yRange)})` 
-          });
-          
-          // NEW APPROACH: Find steep DROPS (irrigation events)
-          // Irrigation = sudden decrease in water level = Y increases (visual drop)
-          
-          const drops = [];
-          const smoothWindow = 3; // Smooth over 3 points to reduce noise
-          
-          // Calculate smoothed Y values
-          const smoothedY = [];
-          for (let i = 0; i < finalCoords.length; i++) {
-            const start = Math.max(0, i - smoothWindow);
-            const end = Math.min(finalCoords.length, i + smoothWindow + 1);
-            const window = finalCoords.slice(start, end);
-            const avg = window.reduce((sum, p) => sum + p.y, 0) / window.length;
-            smoothedY.push(avg);
-          }
-          
-          // Find significant drops (Y increasing = water level dropping)
-          for (let i = 15; i < finalCoords.length - 15; i++) {
-            // Look back 10 points to see if there's a significant drop
-            const before = smoothedY.slice(i - 10, i);
-            const after = smoothedY.slice(i, i + 10);
-            
-            const avgBefore = before.reduce((sum, y) => sum + y, 0) / before.length;
-            const avgAfter = after.reduce((sum, y) => sum + y, 0) / after.length;
-            
-            // Drop = avgAfter is HIGHER than avgBefore (remember: higher Y = lower water = drop)
-            const dropAmount = avgAfter - avgBefore;
-            const dropPercent = (dropAmount / yRange) * 100;
-            
-            // Significant drop: at least 8% of Y range
-            if (dropAmount > yRange * 0.08) {
-              drops.push({
-                index: i,
-                x: finalCoords[i].x,
-                y: finalCoords[i].y,
-                dropAmount: dropAmount,
-                dropPercent: dropPercent.toFixed(1),
-                beforeY: avgBefore,
-                afterY: avgAfter
-              });
+          // The path spans the intercepted series' first to last timestamp: place the detected
+          // timestamp on that time axis and take the nearest path point, if it is within a minute
+          const pathStartX = finalCoords[0].x;
+          const pathEndX = finalCoords[finalCoords.length - 1].x;
+          const toPathIndex = target => {
+            if (!hasTimestamps(target) || !(seriesEnd > seriesStart)) {
+              return finalCoords.length === totalPoints ? target.index : null;
             }
-          }
-          
-          console.log(`🔍 [BROWSER] Found ${drops.length} significant drops (≥8% Y-range)`);
-          
-          if (drops.length === 0) {
-            console.log(`⚠️ [BROWSER] No irrigation drops detected - may have no irrigation this date`);
-            results.push({ message: 'No irrigation drops found' });
-          }
-          
-          // De-duplicate adjacent drops (merge drops within 10% of X-span)
-          const uniqueDrops = [];
-          const xSpan = finalCoords[finalCoords.length - 1].x - finalCoords[0].x;
-          
-          for (let i = 0; i < drops.length; i++) {
-            const drop = drops[i];
-            
-            // Check if this drop is close to any existing unique drop
-            let isDuplicate = false;
-            for (const existingDrop of uniqueDrops) {
-              const xDiff = Math.abs(drop.x - existingDrop.x);
-              const xDiffPercent = (xDiff / xSpan) * 100;
-              
-              // If within 10% X-distance, consider it the same irrigation event
-              if (xDiffPercent < 10) {
-                isDuplicate = true;
-                // Keep the one with bigger drop
-                if (drop.dropAmount > existingDrop.dropAmount) {
-                  uniqueDrops[uniqueDrops.indexOf(existingDrop)] = drop;
-                }
-                break;
-              }
-            }
-            
-            if (!isDuplicate) {
-              uniqueDrops.push(drop);
-            }
-          }
-          
-          console.log(`🎯 [BROWSER] After de-duplication: ${uniqueDrops.length} unique irrigation events`);
-          if (drops.length > uniqueDrops.length) {
-            console.log(`   → Removed ${drops.length - uniqueDrops.length} duplicate drops`);
-          }
-          
-          // Sort by X position (time order - left to right)
-          uniqueDrops.sort((a, b) => a.x - b.x);
-          
-          // For each drop, find START (before drop) and END (after recovery)
-          const irrigationEvents = [];
-          
-          for (let dIdx = 0; dIdx < uniqueDrops.length; dIdx++) {
-            const drop = uniqueDrops[dIdx];
-            const dropIndex = drop.index;
-            
-            // 1. Find START: Look backwards to find where water level was HIGH (before irrigation)
-            let startIndex = dropIndex;
-            let highestYBefore = drop.y;
-            
-            for (let j = dropIndex - 1; j >= Math.max(0, dropIndex - 20); j--) {
-              const currentY = smoothedY[j];
-              if (currentY < highestYBefore) {
-                highestYBefore = currentY;
-                startIndex = j;
-              }
-            }
-            
-            // 2. Find END: Look forward to find where water level RECOVERS (after irrigation)
-            let endIndex = dropIndex;
-            let highestYAfter = drop.y;
-            
-            for (let j = dropIndex + 1; j < Math.min(finalCoords.length, dropIndex + 30); j++) {
-              const currentY = smoothedY[j];
-              // Find where water level is high again (recovered from irrigation)
-              if (currentY < highestYAfter) {
-                highestYAfter = currentY;
-                endIndex = j;
-              }
-            }
-            
-            // Validate
-            const startValid = startIndex < dropIndex;
-            const endValid = endIndex > dropIndex;
-            
-            if (startValid && endValid) {
-              irrigationEvents.push({
-                startIndex: startIndex,
-                startX: finalCoords[startIndex].x,
-                startY: finalCoords[startIndex].y,
-                endIndex: endIndex,
-                endX: finalCoords[endIndex].x,
-                endY: finalCoords[endIndex].y,
-                dropAmount: drop.dropAmount,
-                dropPercent: drop.dropPercent
-              });
-              
-              console.log(`✅ [BROWSER] Irrigation ${dIdx + 1}: Start idx=${startIndex} (X=${Math.round(finalCoords[startIndex].x)}), End idx=${endIndex} (X=${Math.round(finalCoords[endIndex].x)}), drop=${drop.dropPercent}%`);
-            } else {
-              console.log(`⚠️ [BROWSER] Irrigation ${dIdx + 1}: Could not find valid start/end points, skipping`);
-            }
-          }
-          
-          results.push({
-            message: `Found ${irrigationEvents.length} valid irrigation events with start/end points`
-          });
-          
-          if (irrigationEvents.length === 0) {
-            console.error('❌ [BROWSER] No valid irrigation events found');
-            return {
-              needsFirstClick: false,
-              needsLastClick: false,
-              error: 'No valid irrigation events',
-              debug: results
-            };
-          }
-          
-          // FIRST irrigation = START of first event
-          // LAST irrigation = END of last event
-          const firstEvent = irrigationEvents[0];
-          const lastEvent = irrigationEvents[irrigationEvents.length - 1];
-          
-          const spikes = [
-            {
-              index: firstEvent.startIndex,
-              x: firstEvent.startX,
-              y: firstEvent.startY,
-              dropAmount: firstEvent.dropAmount,
-              dropPercent: firstEvent.dropPercent,
-              type: 'FIRST_START'
-            },
-            {
-              index: lastEvent.endIndex,
-              x: lastEvent.endX,
-              y: lastEvent.endY,
-              dropAmount: lastEvent.dropAmount,
-              dropPercent: lastEvent.dropPercent,
-              type: 'LAST_END'
-            }
-          ];
-          
-          console.log(`📌 [BROWSER] Using FIRST irrigation START (idx=${firstEvent.startIndex}) and LAST irrigation END (idx=${lastEvent.endIndex})`);
-          
+            const pxPerMs = (pathEndX - pathStartX) / (seriesEnd - seriesStart);
+            const targetX = pathStartX + (target.x - seriesStart) * pxPerMs;
+            let best = 0;
+            finalCoords.forEach((c, i) => {
+              if (Math.abs(c.x - targetX) < Math.abs(finalCoords[best].x - targetX)) best = i;
+            });
+            return Math.abs(finalCoords[best].x - targetX) <= MATCH_TOLERANCE_MS * Math.abs(pxPerMs) ? best : null;
+          };
+          const firstPathIndex = toPathIndex(first);
+          const lastPathIndex = toPathIndex(last);
+          if (needs.needsFirstClick && firstPathIndex === null) return unmatched('FIRST', first);
+          if (needs.needsLastClick && lastPathIndex === null) return unmatched('LAST', last);
+          const firstPoint = { index: firstPathIndex ?? 0, ...finalCoords[firstPathIndex ?? 0] };
+          const lastPoint = { index: lastPathIndex ?? 0, ...finalCoords[lastPathIndex ?? 0] };
           
           // Get chart container for coordinate conversion
           const chartContainer = document.querySelector('.highcharts-container');
           const containerRect = chartContainer.getBoundingClientRect();
           
-          const firstPoint = spikes[0]; // FIRST irrigation START
-          const lastPoint = spikes[1]; // LAST irrigation END
-          
-          // Calculate X-axis separation between first start and last end
+          // Calculate X-axis separation between first and last
           const xSeparation = Math.abs(lastPoint.x - firstPoint.x);
           const totalXRange = finalCoords[finalCoords.length - 1].x - finalCoords[0].x;
           const separationPercent = (xSeparation / totalXRange) * 100;
           
-          console.log(`📊 [BROWSER] First (START) vs Last (END) separation: ${Math.round(separationPercent)}%`);
-          
           // IMPORTANT: Click ABOVE the line (lower Y) to hit Highcharts clickable area
           const clickOffsetY = 15; // pixels above the chart line
           
           results.push({
-            message: `Selecting: FIRST START at idx=${firstPoint.index}, LAST END at idx=${lastPoint.index}`
+            message: `Selecting: FIRST at path idx=${firstPoint.index} (${first.time}), LAST at path idx=${lastPoint.index} (${last.time})`
           });
           
           results.push({
@@ -4414,16 +5088,14 @@ async function main() {
           console.log(`   → LAST (END): idx=${lastPoint.index} Screen(${Math.round(lastX)}, ${Math.round(lastY)}) SVG(${Math.round(lastPoint.x)}, ${Math.round(lastPoint.y)})`);
           
           // Return coordinates for Playwright to click
-          // ALWAYS click both points - they are different (START vs END)
           return {
             needsFirstClick: needs.needsFirstClick,
-            needsLastClick: needs.needsLastClick, // Always click last - it's different from first
+            needsLastClick: needs.needsLastClick,
             firstCoords: needs.needsFirstClick ? { 
               x: Math.round(firstX), 
               y: Math.round(firstY), 
               svgX: Math.round(firstPoint.x), 
               svgY: Math.round(firstPoint.y), 
-              drop: firstPoint.dropAmount,
               type: 'START'
             } : null,
             lastCoords: needs.needsLastClick ? { 
@@ -4431,21 +5103,23 @@ async function main() {
               y: Math.round(lastY), 
               svgX: Math.round(lastPoint.x), 
               svgY: Math.round(lastPoint.y), 
-              drop: lastPoint.dropAmount,
               type: 'END'
             } : null,
-            singleEvent: false, // Never single - we have START and END
+            singleEvent: false,
             separationPercent: Math.round(separationPercent),
             debug: results
           };
-            
-            return results;
-          }, tableStatus);
+          }, {
+            ...tableStatus,
+            needsFirstClick: tableStatus.needsFirstClick && !reviewedSides.first,
+            needsLastClick: tableStatus.needsLastClick && !reviewedSides.last,
+            detectedClick
+          });
           
-        // Check if HSSP detection failed
+        // Check if the detected points could not be clicked
         if (clickResults.error) {
-          console.log(`     ⚠️  HSSP detection failed: ${clickResults.error}`);
-          console.log(`        → No irrigation points found for this date`);
+          console.log(`     ⚠️  Chart click failed: ${clickResults.error}`);
+          console.log(`        → Detected points could not be placed on the chart`);
           console.log(`        → Tables will remain empty\n`);
           
           // Store empty data
@@ -4454,7 +5128,17 @@ async function main() {
             firstIrrigationTime: null,
             lastIrrigationTime: null,
             extractedAt: new Date().toISOString(),
-            error: clickResults.error
+            error: clickResults.error,
+            profile: farmProfileSummary,
+            sensors: detectionSensors,
+            lastClick,
+            eventLog: detectionEventLog,
+            dataGaps,
+            confidence: detectionConfidence,
+            detector: detectorName,
+            steering,
+            sun: sunTiming,
+            zones: listDateZones(zoneResults, null, null)
           };
           farmDateData.push(dateData);
           
@@ -4751,29 +5435,22 @@ async function main() {
             return clicks;
           });
           
-          // Save training data
-          const trainingEntry = {
+          // Save the click session through the training store
+          addSession({
             timestamp: new Date().toISOString(),
+            source: 'learning-mode',
+            farmName: currentFarm.name,
             date: displayedDate,
-            farm: currentFarm.name,
-            algorithmDetection: {
-              first: { svgX: clickResults.firstCoords.svgX, svgY: clickResults.firstCoords.svgY },
-              last: { svgX: clickResults.lastCoords.svgX, svgY: clickResults.lastCoords.svgY }
+            predicted: {
+              first: { x: clickResults.firstCoords.svgX, y: clickResults.firstCoords.svgY },
+              last: { x: clickResults.lastCoords.svgX, y: clickResults.lastCoords.svgY }
             },
-            userCorrections: userCorrections.length > 0 ? {
+            corrected: userCorrections.length > 0 ? {
               first: userCorrections[0] || null,
               last: userCorrections[1] || null
             } : null,
             feedback: userCorrections.length === 0 ? 'User accepted algorithm detection' : `User made ${userCorrections.length} corrections`
-          };
-          
-          // Append to training file
-          let trainingData = [];
-          if (fs.existsSync(TRAINING_FILE)) {
-            trainingData = JSON.parse(fs.readFileSync(TRAINING_FILE));
-          }
-          trainingData.push(trainingEntry);
-          fs.writeFileSync(TRAINING_FILE, JSON.stringify(trainingData, null, 2));
+          }, TRAINING_FILE);
           
           if (userCorrections.length > 0) {
             console.log(`\n     📝 Recorded ${userCorrections.length} user corrections`);
@@ -4797,15 +5474,8 @@ async function main() {
         
         // Now perform REAL Playwright mouse clicks for more reliable interaction
         if (clickResults.needsFirstClick && clickResults.firstCoords) {
-          let coords = clickResults.firstCoords;
-          
-          // Apply learned corrections if available
-          if (learnedOffsets.count > 0 && !CONFIG.chartLearningMode) {
-            const correctedX = coords.x + learnedOffsets.firstX;
-            const correctedY = coords.y + learnedOffsets.firstY;
-            console.log(`     🎓 Applying learned correction: (${learnedOffsets.firstX.toFixed(1)}, ${learnedOffsets.firstY.toFixed(1)})`);
-            coords = { ...coords, x: Math.round(correctedX), y: Math.round(correctedY) };
-          }
+          // Learned bias is already in the detected point (minutes, applyLearnedAdjustments)
+          const coords = clickResults.firstCoords;
           
           console.log(`     ✅ Clicking FIRST irrigation time (START of irrigation)`);
           console.log(`        → Screen Coord: (${coords.x}, ${coords.y}) - 15px ABOVE line`);
@@ -4836,15 +5506,8 @@ async function main() {
         }
         
         if (clickResults.needsLastClick && clickResults.lastCoords) {
-          let coords = clickResults.lastCoords;
-          
-          // Apply learned corrections if available
-          if (learnedOffsets.count > 0 && !CONFIG.chartLearningMode) {
-            const correctedX = coords.x + learnedOffsets.lastX;
-            const correctedY = coords.y + learnedOffsets.lastY;
-            console.log(`     🎓 Applying learned correction: (${learnedOffsets.lastX.toFixed(1)}, ${learnedOffsets.lastY.toFixed(1)})`);
-            coords = { ...coords, x: Math.round(correctedX), y: Math.round(correctedY) };
-          }
+          // Learned bias is already in the detected point (minutes, applyLearnedAdjustments)
+          const coords = clickResults.lastCoords;
           
           console.log(`     ✅ Clicking LAST irrigation time (END of irrigation)`);
           console.log(`        → Screen Coord: (${coords.x}, ${coords.y}) - 15px ABOVE line`);
@@ -5093,10 +5756,26 @@ async function main() {
           date: displayedDate,
           firstIrrigationTime: finalData.firstIrrigationTime || null,
           lastIrrigationTime: finalData.lastIrrigationTime || null,
-          extractedAt: new Date().toISOString()
+          extractedAt: new Date().toISOString(),
+          profile: farmProfileSummary,
+          sensors: detectionSensors,
+          lastClick,
+          eventLog: detectionEventLog,
+          dataGaps,
+          confidence: detectionConfidence,
+          detector: detectorName,
+          steering,
+          sun: sunTiming,
+          zones: listDateZones(zoneResults, finalData.firstIrrigationTime, finalData.lastIrrigationTime)
         };
         farmDateData.push(dateData);
         
+        // 📥 The manager's decision is applied only now that the date's times are saved
+        if (pendingReviewId && (finalData.firstIrrigationTime || finalData.lastIrrigationTime)) {
+          markReviewApplied(pendingReviewId);
+          console.log('     📥 Review decision applied');
+        }
+        
         // 📊 Track statistics
         runStats.datesProcessed++;
         if (finalData.firstIrrigationTime || finalData.lastIrrigationTime) {
@@ -5161,9 +5840,12 @@ async function main() {
     // Add all dates data for this farm to collection
     const farmData = {
       farmName: currentFarm.name,
+      farmId: farmIds?.farmId || null,
       farmIndex: farmIdx + 1,
+      profile: farmProfileSummary,
       totalDates: farmDateData.length,
       datesWithData: farmDateData.filter(d => d.firstIrrigationTime || d.lastIrrigationTime).length,
+      dailyEventCounts: Object.fromEntries(farmDateData.filter(d => d.eventLog).map(d => [d.date, d.eventLog.count])),
       dates: farmDateData
     };
     allFarmData.push(farmData);
@@ -5276,6 +5958,9 @@ async function main() {
       console.log(`   📊 Processing Results:`);
       console.log(`      ✅ Irrigation detected: ${runStats.successCount} dates`);
       console.log(`      ⚠️  No irrigation found: ${runStats.noIrrigationCount} dates`);
+      console.log(`      🎯 Low confidence (review): ${runStats.lowConfidenceCount} dates`);
+      console.log(`      🤖 Auto-committed (confident): ${runStats.autoCommittedCount} dates`);
+      console.log(`      📥 Queued for review: ${runStats.queuedForReviewCount} dates`);
       console.log(`      ⏭️  Skipped/Already sent: ${runStats.skipCount} dates`);
       console.log(`      ❌ Errors: ${runStats.errorCount} dates`);
       console.log(`      📁 Total dates checked: ${runStats.datesProcessed} dates\n`);
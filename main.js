@@ -8,6 +8,22 @@
  *   - src/auth.js - Login handling
  *   - src/navigation.js - Manager selection & farm iteration (with STRICT matching)
  *   - src/chartAnalysis.js - HSSP algorithm & SVG parsing
+ *   - src/detectors.js - Detector registry (HSSP rise, weight drop), chosen per farm/sensor type
+ *   - src/preprocessing.js - Resampling, despiking & smoothing before detection
+ *   - src/farmProfiles.js - Per-farm detection profiles (config/farm-profiles.json)
+ *   - src/sensorFusion.js - Weight + VWC multi-sensor event detection
+ *   - src/zones.js - Multi-zone (구역 N) discovery and per-zone detection
+ *   - src/sensorHealth.js - Sensor anomaly checks → issue tracker rows
+ *   - src/reviewQueue.js - Confidence-gated auto-commit and the manager review queue
+ *   - src/trainingReport.js - HTML training analytics (served at /training-report)
+ *   - src/trainingStore.js - Versioned training-data file (corrections + click sessions), migration
+ *   - src/learnedBias.js - Minute bias from overlay corrections, per farm/sensor/season
+ *   - src/solar.js - Offline sunrise/sunset from farm location, seasonal daytime window
+ *   - src/steering.js - Dryback & daily water-balance metrics (야간 함수율 편차 cross-check)
+ *   - src/replay.js - Offline replay of saved sensor payloads (no browser)
+ *   - src/payloadArchive.js - Gzipped, de-duplicated archive of raw sensor payloads
+ *   - src/evaluation.js - Detection accuracy against labelled farm/date cases
+ *   - src/tuner.js - HSSP parameter search, writes config/hssp-params.json
  *   - src/browser.js - Browser launching
  *   - src/utils.js - Shared helpers
  */
@@ -16,6 +32,11 @@ import { launchBrowser, closeBrowser, createCrashReport } from './src/browser.js
 import { ensureLoggedIn } from './src/auth.js';
 import { selectManager, getFarmList, navigateToFarm, checkReportCount } from './src/navigation.js';
 import { detectIrrigationEvents, getFirstAndLastEvents, waitForChartRender, clickViaHighchartsAPI } from './src/chartAnalysis.js';
+import { runReplay, parseParamOverrides } from './src/replay.js';
+import { runEvaluation } from './src/evaluation.js';
+import { runTuning } from './src/tuner.js';
+import { runHealthCheck } from './src/sensorHealth.js';
+import { migrateTrainingFile } from './src/trainingStore.js';
 import { log, logSection, delay, getDateRange, saveJSON, getTimestamp, ensureDir } from './src/utils.js';
 import fs from 'fs';
 import path from 'path';
@@ -200,6 +221,11 @@ Irrigation Report Automation - Modular Version
 ===============================================
 
 Usage: node main.js [options]
+       node main.js replay <dir> [replay options]
+       node main.js evaluate [evaluate options]
+       node main.js tune [tune options]
+       node main.js health [health options]
+       node main.js migrate-training [--file <path>] [--dry-run]
 
 Options:
   --manager <name>    Set the manager name (default: 승진)
@@ -207,15 +233,188 @@ Options:
   --headless          Run in headless mode
   --help, -h          Show this help
 
+Replay options (offline, no browser):
+  --set KEY=VALUE     Override an HSSP_PARAMS value (repeatable)
+  --out <file>        Save replay results as JSON
+  --fusion <mode>     Fuse weight + VWC sensors: agree | weighted (also for evaluate)
+
+Evaluate options (offline accuracy check):
+  --labels <file>     Labels: training JSON (default) or CSV farmId,date,first,last[,events]
+  --payloads <dir>    Saved payloads to score (default: ./data/payload-archive)
+  --tolerance <min>   Event match window in minutes (default: 15)
+  --set KEY=VALUE     Override an HSSP_PARAMS value (repeatable)
+  --out <file>        Save evaluation report as JSON
+
+Tune options (searches SURGE_WINDOW, SURGE_THRESHOLD_PERCENT, LOOKBACK_WINDOW,
+DEBOUNCE_MINUTES, MIN_VALLEY_DEPTH; same --labels/--payloads/--tolerance as evaluate):
+  --method grid|random  Search strategy (default: grid)
+  --samples <n>         Random search sample count (default: 100)
+  --seed <n>            Random search seed (default: 1)
+
+Health options (sensor anomaly check on saved payloads):
+  --payloads <dir>    Saved payloads to check (default: ./data/payload-archive)
+  --out <file>        Issue rows CSV (default: ./data/farm-issues-detected.csv)
+
+Migrate-training options (convert old training files to the current schema):
+  --file <path>       Training file (default: ./training/training-data.json)
+  --dry-run           Report what would change without writing
+
 Examples:
   node main.js                           # Run with defaults
   node main.js --manager 승진            # Explicit manager
   node main.js --max-farms 5             # Process only 5 farms
   node main.js --headless                # Headless mode
+  node main.js replay ./payloads         # Re-run HSSP on saved node.* responses
+  node main.js replay ./payloads --set SURGE_WINDOW=8 --set DEBOUNCE_MINUTES=45
+  node main.js evaluate --labels labels.csv    # Precision/recall + FIRST/LAST minute error per farm
+  node main.js tune --labels labels.csv --method random --samples 200
+  node main.js health                    # Flatline/stale/jump/noise/sparse rows for the issue tracker
+  node main.js migrate-training --dry-run  # Show legacy training entries that would be converted
 `);
   process.exit(0);
 }
 
+// ─────────────────────────────────────────────────────────────────────────────
+// REPLAY: node main.js replay <dir> - offline detection, no Playwright launch
+// ─────────────────────────────────────────────────────────────────────────────
+if (args[0] === 'replay') {
+  const replayDir = args[1];
+  if (!replayDir) {
+    console.error('Usage: node main.js replay <dir> [--set KEY=VALUE] [--out <file>]');
+    process.exit(1);
+  }
+  
+  const assignments = args.filter((arg, i) => args[i - 1] === '--set');
+  const outIdx = args.indexOf('--out');
+  const fusionIdx = args.indexOf('--fusion');
+  
+  try {
+    const paramOverrides = parseParamOverrides(assignments);
+    await runReplay(replayDir, {
+      paramOverrides,
+      outputFile: outIdx !== -1 ? args[outIdx + 1] : null,
+      fusionMode: fusionIdx !== -1 ? args[fusionIdx + 1] : null
+    });
+    process.exit(0);
+  } catch (error) {
+    console.error('Replay failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// EVALUATE: node main.js evaluate - score detection against labelled cases
+// ─────────────────────────────────────────────────────────────────────────────
+if (args[0] === 'evaluate') {
+  const optionValue = (flag) => {
+    const idx = args.indexOf(flag);
+    return idx !== -1 ? args[idx + 1] : undefined;
+  };
+  const assignments = args.filter((arg, i) => args[i - 1] === '--set');
+  // NaN or ≤ 0 would fail every match silently (0% recall)
+  const toleranceOption = () => {
+    const raw = optionValue('--tolerance');
+    if (raw === undefined) return undefined;
+    const minutes = Number(raw);
+    if (!Number.isFinite(minutes) || minutes <= 0) {
+      throw new Error(`--tolerance must be a positive number of minutes, got "${raw}"`);
+    }
+    return minutes;
+  };
+  
+  try {
+    await runEvaluation({
+      labelsFile: optionValue('--labels'),
+      payloadDir: optionValue('--payloads'),
+      toleranceMinutes: toleranceOption(),
+      paramOverrides: parseParamOverrides(assignments),
+      fusionMode: optionValue('--fusion'),
+      outputFile: optionValue('--out')
+    });
+    process.exit(0);
+  } catch (error) {
+    console.error('Evaluation failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// TUNE: node main.js tune - search HSSP params, save best as a new config version
+// ─────────────────────────────────────────────────────────────────────────────
+if (args[0] === 'tune') {
+  const optionValue = (flag) => {
+    const idx = args.indexOf(flag);
+    return idx !== -1 ? args[idx + 1] : undefined;
+  };
+  const numericOption = (flag) => optionValue(flag) !== undefined ? Number(optionValue(flag)) : undefined;
+  // Reject NaN/zero/negative before the search (0 samples = no candidates, NaN tolerance = 0% recall)
+  const positiveOption = (flag, integer = false) => {
+    const value = numericOption(flag);
+    if (value === undefined) return undefined;
+    if (!Number.isFinite(value) || value <= 0 || (integer && !Number.isInteger(value))) {
+      throw new Error(`${flag} must be a positive ${integer ? 'integer' : 'number'}, got "${optionValue(flag)}"`);
+    }
+    return value;
+  };
+  
+  try {
+    await runTuning({
+      labelsFile: optionValue('--labels'),
+      payloadDir: optionValue('--payloads'),
+      method: optionValue('--method'),
+      samples: positiveOption('--samples', true),
+      seed: numericOption('--seed'),
+      toleranceMinutes: positiveOption('--tolerance')
+    });
+    process.exit(0);
+  } catch (error) {
+    console.error('Tuning failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// HEALTH: node main.js health - sensor anomalies → farm issue tracker rows
+// ─────────────────────────────────────────────────────────────────────────────
+if (args[0] === 'health') {
+  const optionValue = (flag) => {
+    const idx = args.indexOf(flag);
+    return idx !== -1 ? args[idx + 1] : undefined;
+  };
+  
+  try {
+    await runHealthCheck({
+      payloadDir: optionValue('--payloads'),
+      filePath: optionValue('--out')
+    });
+    process.exit(0);
+  } catch (error) {
+    console.error('Health check failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// MIGRATE-TRAINING: node main.js migrate-training - upgrade the training file schema
+// ─────────────────────────────────────────────────────────────────────────────
+if (args[0] === 'migrate-training') {
+  const optionValue = (flag) => {
+    const idx = args.indexOf(flag);
+    return idx !== -1 ? args[idx + 1] : undefined;
+  };
+  
+  try {
+    migrateTrainingFile({
+      filePath: optionValue('--file'),
+      dryRun: args.includes('--dry-run')
+    });
+    process.exit(0);
+  } catch (error) {
+    console.error('Training migration failed:', error.message);
+    process.exit(1);
+  }
+}
+
 // Parse --manager argument
 const managerIdx = args.indexOf('--manager');
 if (managerIdx !== -1 && args[managerIdx + 1]) {
@@ -1,13 +1,26 @@
 /**
  * Updated Network Interceptor - Looks for "node." keys
  * Based on actual app structure discovered in Webpack bundle
+ *
+ * Every captured "node." response can also be persisted to the payload archive
+ * (gzipped, de-duplicated, keyed by farmId/sectionId/date) for offline replay.
  */
 
-export function setupNetworkInterception(page) {
+import { archivePayload, ARCHIVE_DIR } from './src/payloadArchive.js';
+import { extractFarmIds, parseTimestamp, DEFAULT_TIMEZONE } from './src/utils.js';
+
+/**
+ * @param {Page} page - Playwright page
+ * @param {object} options - {archive: boolean, archiveDir: string}
+ */
+export function setupNetworkInterception(page, options = {}) {
+  const { archive = false, archiveDir = ARCHIVE_DIR } = options;
+
   const capturedData = {
     chartData: null,
     dataUrl: null,
-    timestamp: null
+    timestamp: null,
+    archivedPath: null
   };
 
   // Listen to all responses
@@ -41,6 +54,24 @@ export function setupNetworkInterception(page) {
           capturedData.chartData = data;
           capturedData.dataUrl = url;
           capturedData.timestamp = Date.now();
+
+          // 💾 Persist raw payload (farm/section come from the report page URL)
+          if (archive) {
+            try {
+              const ids = extractFarmIds(page.url()) || {};
+              const saved = archivePayload(data, {
+                farmId: ids.farmId,
+                sectionId: ids.sectionId,
+                url,
+                capturedAt: capturedData.timestamp
+              }, archiveDir);
+
+              capturedData.archivedPath = saved.filePath;
+              console.log(`   → ${saved.duplicate ? 'Already archived' : 'Archived'}: ${saved.filePath}`);
+            } catch (archiveError) {
+              console.log(`⚠️  [NETWORK] Payload archive failed: ${archiveError.message}`);
+            }
+          }
         }
       } catch (jsonError) {
         // Not JSON or parse failed, ignore
@@ -69,7 +100,13 @@ export async function waitForChartData(capturedData, timeoutMs = 15000) {
   throw new Error(`Timeout: No sensor data with "node." keys found within ${timeoutMs}ms`);
 }
 
-export function extractDataPoints(apiResponse) {
+/**
+ * @param {object} apiResponse - Raw response with "node." keys
+ * @param {string|null} preferredSensorKey - Sensor to use when present (exact key or prefix, from the farm profile)
+ * @param {string} timeZone - Farm timezone for naive "YYYY-MM-DD HH:MM" timestamps (default: Asia/Seoul)
+ * @returns {Array<{x: number, y: number, index: number}>|null} - x is epoch ms (or the entry index if no timestamp)
+ */
+export function extractDataPoints(apiResponse, preferredSensorKey = null, timeZone = DEFAULT_TIMEZONE) {
   console.log('🔍 [NETWORK] Analyzing API response for sensor data...');
   
   // Find the "node." key
@@ -138,21 +175,14 @@ export function extractDataPoints(apiResponse) {
   const allKeys = Object.keys(firstEntry);
   console.log(`   → Keys in first valid entry: ${allKeys.join(', ')}`);
   
-  const sensorKeys = allKeys.filter(k => {
-    const lower = k.toLowerCase();
-    return (lower.includes('slabwgt') || 
-            lower.includes('slabvwc') || 
-            lower.includes('calslabvwc')) && 
-           k !== 'timestamp' && k !== 't' && k !== 'time';
-  });
+  const sensorKeys = allKeys.filter(isSensorKey);
   
   console.log(`   → Available sensors: ${sensorKeys.join(', ')}`);
   
-  // Prefer weight sensors (slabwgt_*)
-  let targetSensor = sensorKeys.find(k => k.toLowerCase().includes('wgt'));
-  if (!targetSensor) {
-    targetSensor = sensorKeys[0]; // Fall back to first available
+  if (preferredSensorKey && !findPreferredKey(allKeys, preferredSensorKey)) {
+    console.log(`   → Profile sensor "${preferredSensorKey}" not present, using default preference`);
   }
+  const targetSensor = chooseSensorKey(allKeys, preferredSensorKey);
   
   if (!targetSensor) {
     console.log('⚠️  [NETWORK] No recognized sensor data found');
@@ -163,14 +193,86 @@ export function extractDataPoints(apiResponse) {
   console.log(`   → Using sensor: "${targetSensor}"`);
   
   // Extract data points
-  const dataPoints = nodeData.map((entry, idx) => {
-    const value = entry[targetSensor];
+  const dataPoints = seriesToDataPoints(nodeData, targetSensor, timeZone);
+  
+  console.log(`✅ [NETWORK] Extracted ${dataPoints.length} data points from "${targetSensor}"`);
+  if (dataPoints.length > 0) {
+    const sample = dataPoints[Math.floor(dataPoints.length / 2)];
+    console.log(`   → Sample (middle): [${sample.index}] = {x: ${sample.x}, y: ${sample.y}}`);
+  }
+  
+  return dataPoints;
+}
+
+/**
+ * Find the profile sensor among entry keys (exact match, then prefix such as "slabvwc" → "slabvwc_1")
+ * @param {Array<string>} keys - Keys of a node entry
+ * @param {string|null} preferredSensorKey - Profile sensorKey
+ * @returns {string|null}
+ */
+function findPreferredKey(keys, preferredSensorKey) {
+  if (!preferredSensorKey) return null;
+  const preferred = preferredSensorKey.toLowerCase();
+  return keys.find(k => k.toLowerCase() === preferred) ||
+         keys.find(k => k.toLowerCase().startsWith(preferred)) || null;
+}
+
+/**
+ * Choose the sensor column extractDataPoints reads: profile sensor, then weight, then first sensor
+ * @param {Array<string>} keys - Keys of a node entry
+ * @param {string|null} preferredSensorKey - Profile sensorKey
+ * @returns {string|null}
+ */
+function chooseSensorKey(keys, preferredSensorKey = null) {
+  const sensorKeys = keys.filter(isSensorKey);
+  return findPreferredKey(keys, preferredSensorKey) ||
+         sensorKeys.find(k => k.toLowerCase().includes('wgt')) ||
+         sensorKeys[0] ||
+         null;
+}
+
+/**
+ * Name of the sensor column extractDataPoints() would use for a response
+ * @param {object} apiResponse - Raw response with "node." keys
+ * @param {string|null} preferredSensorKey - Profile sensorKey
+ * @returns {string|null}
+ */
+export function resolveSensorKey(apiResponse, preferredSensorKey = null) {
+  const nodeKey = Object.keys(apiResponse || {}).find(key => key.startsWith('node.'));
+  const nodeData = nodeKey ? apiResponse[nodeKey] : null;
+  if (!Array.isArray(nodeData)) return null;
+  
+  const firstEntry = nodeData.slice(0, 20).find(entry => entry && Object.keys(entry).length > 0);
+  return firstEntry ? chooseSensorKey(Object.keys(firstEntry), preferredSensorKey) : null;
+}
+
+/**
+ * Check whether an entry key is a recognized slab sensor (slabwgt*, slabvwc*, calslabvwc*)
+ */
+function isSensorKey(key) {
+  const lower = key.toLowerCase();
+  return (lower.includes('slabwgt') || 
+          lower.includes('slabvwc') || 
+          lower.includes('calslabvwc')) && 
+         key !== 'timestamp' && key !== 't' && key !== 'time';
+}
+
+/**
+ * Map one sensor column of a node array to {x, y, index} points
+ * @param {Array<object>} nodeData - Entries of a "node." key
+ * @param {string} sensorKey - Column to read
+ * @param {string} timeZone - Farm timezone for naive timestamps
+ */
+function seriesToDataPoints(nodeData, sensorKey, timeZone) {
+  return nodeData.map((entry, idx) => {
+    const value = entry?.[sensorKey];
     if (value === null || value === undefined) {
       return null;
     }
     
-    // Try to get timestamp if available
-    const timestamp = entry.timestamp || entry.time || entry.t || idx;
+    // Normalize timestamp to epoch ms (seconds, ms, ISO or farm-local strings); index if absent
+    const rawTimestamp = entry.timestamp || entry.time || entry.t;
+    const timestamp = parseTimestamp(rawTimestamp, timeZone) ?? idx;
     
     return {
       x: timestamp,
@@ -178,12 +280,70 @@ export function extractDataPoints(apiResponse) {
       index: idx
     };
   }).filter(p => p !== null);
+}
+
+/**
+ * Extract every recognized sensor series (weight and VWC) for multi-sensor detection
+ * @param {object} apiResponse - Raw response with "node." keys
+ * @param {string} timeZone - Farm timezone for naive timestamps (default: Asia/Seoul)
+ * @returns {Object<string, Array<{x: number, y: number, index: number}>>} - sensorKey → points ({} if none)
+ */
+export function extractSensorSeries(apiResponse, timeZone = DEFAULT_TIMEZONE) {
+  const nodeKey = Object.keys(apiResponse || {}).find(key => key.startsWith('node.'));
+  const nodeData = nodeKey ? apiResponse[nodeKey] : null;
   
-  console.log(`✅ [NETWORK] Extracted ${dataPoints.length} data points from "${targetSensor}"`);
-  if (dataPoints.length > 0) {
-    const sample = dataPoints[Math.floor(dataPoints.length / 2)];
-    console.log(`   → Sample (middle): [${sample.index}] = {x: ${sample.x}, y: ${sample.y}}`);
+  if (!Array.isArray(nodeData)) {
+    return {};
   }
   
-  return dataPoints;
+  // Sensor columns can be missing from early entries; collect keys from the first non-empty ones
+  const sensorKeys = new Set();
+  for (const entry of nodeData.slice(0, 20)) {
+    Object.keys(entry || {}).filter(isSensorKey).forEach(key => sensorKeys.add(key));
+  }
+  
+  const series = {};
+  for (const key of sensorKeys) {
+    const points = seriesToDataPoints(nodeData, key, timeZone);
+    if (points.length > 0) {
+      series[key] = points;
+    }
+  }
+  
+  console.log(`🔍 [NETWORK] Sensor series available: ${Object.keys(series).join(', ') || 'none'}`);
+  return series;
+}
+
+/**
+ * Extract sensor series grouped by irrigation zone (구역)
+ * Zone rule: with several "node." keys each node is one zone (in key order);
+ * with a single node the numeric key suffix is the zone ("slabwgt_2" → zone 2, no suffix → zone 1).
+ * @param {object} apiResponse - Raw response with "node." keys
+ * @param {string} timeZone - Farm timezone for naive timestamps (default: Asia/Seoul)
+ * @returns {Object<number, Object<string, Array<{x: number, y: number, index: number}>>>} - zone → sensorKey → points
+ */
+export function extractZoneSeries(apiResponse, timeZone = DEFAULT_TIMEZONE) {
+  const nodeKeys = Object.keys(apiResponse || {}).filter(key => key.startsWith('node.') && Array.isArray(apiResponse[key]));
+  const zones = {};
+  
+  nodeKeys.forEach((nodeKey, nodeIdx) => {
+    const nodeData = apiResponse[nodeKey];
+    const sensorKeys = new Set();
+    for (const entry of nodeData.slice(0, 20)) {
+      Object.keys(entry || {}).filter(isSensorKey).forEach(key => sensorKeys.add(key));
+    }
+    
+    for (const key of sensorKeys) {
+      const suffix = key.match(/_(\d+)$/);
+      const zone = nodeKeys.length > 1 ? nodeIdx + 1 : (suffix ? Number(suffix[1]) : 1);
+      const points = seriesToDataPoints(nodeData, key, timeZone);
+      if (points.length > 0) {
+        zones[zone] = zones[zone] || {};
+        zones[zone][key] = points;
+      }
+    }
+  });
+  
+  console.log(`🔍 [NETWORK] Zones with sensor data: ${Object.keys(zones).join(', ') || 'none'}`);
+  return zones;
 }
@@ -5,16 +5,32 @@
  * The algorithm uses:
  * 1. Rolling window analysis to detect sustained moisture rises
  * 2. Local minimum (valley) traceback to find irrigation start points
- * 3. Daytime filtering (07:00-17:00) for valid events
+ * 3. Daytime filtering (07:00-17:00, farm-local time - Asia/Seoul by default) for valid events
+ * 4. Peak search for the LAST click, with the spike offset from IRRIGATION_RULES.md
+ *
+ * The scan runs on a preprocessed copy of the series (resampled/despiked/smoothed, see
+ * preprocessing.js); returned events always index into the caller's original points.
+ * Surges whose window straddles a data gap are judged on the real samples either side
+ * of the gap (assessGapSurge) and carry the gap in their output.
+ * scoreEventConfidence rates a detected point (0-1) so reviewers can focus on uncertain days.
  */
 
-import { log, logSubsection, delay } from './utils.js';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { log, logSubsection, delay, loadJSON, getZonedParts, formatTimeHM, DEFAULT_TIMEZONE } from './utils.js';
+import { getFarmProfile, profileParamOverrides } from './farmProfiles.js';
+import { preprocessSeries, resolvePreprocessConfig, findDataGaps, summarizeDataGaps } from './preprocessing.js';
+import { solarDaytimeOverrides } from './solar.js';
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // 📊 ALGORITHM PARAMETERS
 // ═══════════════════════════════════════════════════════════════════════════════
 
-const HSSP_PARAMS = {
+// Versioned output of the tuner (src/tuner.js); the active version overrides the defaults below.
+// Resolved from the repo root, so runs from another working directory still load it
+export const TUNED_PARAMS_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'config', 'hssp-params.json');
+
+export const DEFAULT_HSSP_PARAMS = {
   SURGE_WINDOW: 10,       // Compare with 10 minutes ago (more stable, was 5)
   SURGE_THRESHOLD_PERCENT: 0.05,  // 5% of Y range as minimum threshold (was 1.5% - too sensitive)
   SURGE_THRESHOLD_MIN: 0.1,       // Absolute minimum threshold (was 0.02 - caught noise)
@@ -25,9 +41,96 @@ const HSSP_PARAMS = {
   DAYTIME_START: 7,       // Start of valid irrigation hours
   DAYTIME_END: 17,        // End of valid irrigation hours
   MIN_DATA_POINTS: 10,    // Minimum data points required
-  MIN_VALLEY_DEPTH: 0.03  // Valley must be at least this much lower than surge (NEW)
+  MIN_VALLEY_DEPTH: 0.03, // Valley must be at least this much lower than surge (NEW)
+  PEAK_SEARCH_WINDOW: 30, // Points after an event start searched for its peak (LAST click)
+  PEAK_PLATEAU_TOLERANCE: 0.02,   // Points within 2% of the rise below the peak still count as "at the peak"
+  SPIKE_MAX_SECONDS: 3,   // Peak held for less than this is a spike (IRRIGATION_RULES.md)
+  SPIKE_OFFSET_SECONDS: 3, // LAST click goes this long after a spike peak
+  GAP_MIN_MISSING_MINUTES: 2 // Dropouts missing at least this many minutes count as data gaps
 };
 
+/**
+ * Load the active tuned parameter set from the versioned config file
+ * @param {string} filePath - Tuned params file
+ * @returns {object} - Known HSSP keys only ({} when no tuned config exists)
+ */
+export function loadTunedParams(filePath = TUNED_PARAMS_FILE) {
+  const config = loadJSON(filePath);
+  const active = config?.versions?.find(v => v.version === config.activeVersion);
+  if (!active?.params) return {};
+  
+  const tuned = {};
+  for (const [key, value] of Object.entries(active.params)) {
+    if (key in DEFAULT_HSSP_PARAMS && typeof value === 'number') {
+      tuned[key] = value;
+    }
+  }
+  return tuned;
+}
+
+export const HSSP_PARAMS = { ...DEFAULT_HSSP_PARAMS, ...loadTunedParams() };
+
+/**
+ * Resolve detection params and timezone: global < farm profile < solar window < explicit overrides
+ * @param {object} paramOverrides - HSSP_PARAMS overrides
+ * @param {object} options - {farmId} or {profile}, optional {timeZone}
+ * @param {Array<{x: number}>|null} dataPoints - The day's series; its first timestamp picks the
+ *   date for a solar daytime window (profile daytime.solar, see solar.js)
+ * @returns {{profile: object|null, params: object, timeZone: string}}
+ */
+export function resolveDetectionParams(paramOverrides = {}, options = {}, dataPoints = null) {
+  const profile = options.profile || (options.farmId !== undefined ? getFarmProfile(options.farmId) : null);
+  const firstX = dataPoints?.[0]?.x;
+  const solarWindow = firstX > 1e11 ? solarDaytimeOverrides(profile, firstX) : null;
+  return {
+    profile,
+    params: { ...HSSP_PARAMS, ...profileParamOverrides(profile), ...(solarWindow || {}), ...paramOverrides },
+    timeZone: options.timeZone || profile?.timezone || DEFAULT_TIMEZONE
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🕳️ DATA GAPS - surges across node box dropouts
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Judge a surge whose scan window straddles a data gap
+ * The scan series bridges gaps by interpolation, so its rise may be partly invented.
+ * The real samples either side of the gap tell how much of the rise was actually seen.
+ * @param {Array<{x: number, y: number}>} dataPoints - Original points
+ * @param {object} gap - findDataGaps() entry
+ * @param {number} totalRise - Valley-to-surge rise measured on the scan series
+ * @param {object} params - Resolved HSSP params
+ * @param {string} timeZone - Farm timezone
+ * @returns {{gapJump: number, observedRise: number, timingUncertain: boolean, gapInDaytime: boolean}}
+ *   timingUncertain: the rise happened during the dropout (only the jump across it backs it),
+ *   so the start is only known to lie inside the gap
+ */
+export function assessGapSurge(dataPoints, gap, totalRise, params, timeZone = DEFAULT_TIMEZONE) {
+  const gapJump = dataPoints[gap.endIndex].y - dataPoints[gap.startIndex].y;
+  const observedRise = Math.max(0, totalRise - Math.max(0, gapJump));
+  const startHour = getZonedParts(gap.startX, timeZone).hour;
+  const endHour = getZonedParts(gap.endX, timeZone).hour;
+
+  return {
+    gapJump,
+    observedRise,
+    timingUncertain: gapJump > 0 && observedRise < params.MIN_VALLEY_DEPTH,
+    gapInDaytime: startHour <= params.DAYTIME_END && endHour >= params.DAYTIME_START
+  };
+}
+
+/**
+ * Data gap summary of a series, with params and timezone resolved as for detection
+ * @param {Array<{x: number, y: number}>} dataPoints - Original points
+ * @param {object} options - {paramOverrides, profile, farmId, timeZone}
+ * @returns {{count: number, totalMissingMinutes: number, longestMissingMinutes: number, gaps: Array}}
+ */
+export function describeDataGaps(dataPoints, options = {}) {
+  const { params, timeZone } = resolveDetectionParams(options.paramOverrides, options, dataPoints);
+  return summarizeDataGaps(findDataGaps(dataPoints, { minMissingMinutes: params.GAP_MIN_MISSING_MINUTES, timeZone }));
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // 🌊 HSSP ALGORITHM - Rolling Window Valley Detection
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -35,20 +138,45 @@ const HSSP_PARAMS = {
 /**
  * Analyze data points to find irrigation events using HSSP algorithm
  * @param {Array<{x: number, y: number}>} dataPoints - Normalized data points
- * @returns {Array<{index: number, x: number, y: number, time: string, rise: number}>}
+ * @param {object} paramOverrides - Optional overrides for HSSP_PARAMS (e.g. from replay --set)
+ * @param {object} options - {farmId} to apply that farm's profile, or {profile} if already resolved;
+ *                           {timeZone} overrides the profile timezone (default: Asia/Seoul);
+ *                           {preprocess} overrides the profile preprocessing (false = raw points)
+ * @returns {Array<{index: number, x: number, y: number, time: string, rise: number}>} - Events whose
+ *   surge straddled a data gap also have gap {start, end, missingMinutes} and timingUncertain
  */
-export function detectIrrigationEvents(dataPoints) {
+export function detectIrrigationEvents(dataPoints, paramOverrides = {}, options = {}) {
   logSubsection('HSSP Algorithm - Rolling Window Valley Detection');
   
-  if (!dataPoints || dataPoints.length < HSSP_PARAMS.MIN_DATA_POINTS) {
-    log(`Insufficient data points: ${dataPoints?.length || 0} (need ${HSSP_PARAMS.MIN_DATA_POINTS})`, 'warning');
+  // Farm profile sits between the global params and explicit overrides
+  const { profile, params, timeZone } = resolveDetectionParams(paramOverrides, options, dataPoints);
+  
+  if (profile) {
+    log(`Farm profile: ${profile.id} (${profile.source})`, 'info');
+  }
+  
+  if (!dataPoints || dataPoints.length < params.MIN_DATA_POINTS) {
+    log(`Insufficient data points: ${dataPoints?.length || 0} (need ${params.MIN_DATA_POINTS})`, 'warning');
     return [];
   }
   
   log(`Analyzing ${dataPoints.length} data points...`, 'step');
   
+  // Scan a cleaned copy; sourceIndex maps scan points back to dataPoints
+  const series = preprocessSeries(dataPoints, resolvePreprocessConfig(profile, options.preprocess));
+  if (series.length !== dataPoints.length) {
+    log(`Resampled to ${series.length} points on a fixed grid`, 'info');
+  }
+  
+  // Dropouts: the scan bridges them, so surges across one are re-checked on real samples
+  const gaps = findDataGaps(dataPoints, { minMissingMinutes: params.GAP_MIN_MISSING_MINUTES, timeZone });
+  if (gaps.length > 0) {
+    const { count, totalMissingMinutes } = summarizeDataGaps(gaps);
+    log(`Data gaps: ${count} (${totalMissingMinutes} minutes missing)`, 'warning');
+  }
+  
   // Calculate Y range statistics
-  const yValues = dataPoints.map(p => p.y);
+  const yValues = series.map(p => p.y);
   const maxY = Math.max(...yValues);
   const minY = Math.min(...yValues);
   const yRange = maxY - minY;
@@ -57,78 +185,92 @@ export function detectIrrigationEvents(dataPoints) {
   
   // Calculate adaptive surge threshold (use higher of multiple criteria)
   const surgeThreshold = Math.max(
-    HSSP_PARAMS.SURGE_THRESHOLD_MIN,
-    yRange * HSSP_PARAMS.SURGE_THRESHOLD_PERCENT,
-    HSSP_PARAMS.MIN_RISE_ABSOLUTE
+    params.SURGE_THRESHOLD_MIN,
+    yRange * params.SURGE_THRESHOLD_PERCENT,
+    params.MIN_RISE_ABSOLUTE
   );
   
   log(`Surge threshold: ${surgeThreshold.toFixed(4)} (5% of range or min 0.1)`, 'info');
-  log(`Lookback window: ${HSSP_PARAMS.LOOKBACK_WINDOW} minutes`, 'info');
-  log(`Time filter: ${HSSP_PARAMS.DAYTIME_START}:00 - ${HSSP_PARAMS.DAYTIME_END}:00`, 'info');
+  log(`Lookback window: ${params.LOOKBACK_WINDOW} minutes`, 'info');
+  log(`Time filter: ${params.DAYTIME_START}:00 - ${params.DAYTIME_END}:00 (${timeZone})`, 'info');
   
   const allEvents = [];
-  let lastEventIndex = -HSSP_PARAMS.DEBOUNCE_MINUTES;
+  let lastEventIndex = -params.DEBOUNCE_MINUTES;
   
   // ═══════════════════════════════════════════════════════════════════════════
   // SCAN: Detect sustained rises with rolling window
   // ═══════════════════════════════════════════════════════════════════════════
   
-  for (let i = HSSP_PARAMS.SURGE_WINDOW; i < dataPoints.length - 5; i++) {
-    const currentVal = dataPoints[i].y;
-    const pastVal = dataPoints[i - HSSP_PARAMS.SURGE_WINDOW].y;
+  for (let i = params.SURGE_WINDOW; i < series.length - 5; i++) {
+    const currentVal = series[i].y;
+    const pastVal = series[i - params.SURGE_WINDOW].y;
     const diff = currentVal - pastVal;
     
     // DETECT: Sustained rise (comparing SURGE_WINDOW minutes)
-    if (diff > surgeThreshold && i > lastEventIndex + HSSP_PARAMS.DEBOUNCE_MINUTES) {
+    if (diff > surgeThreshold && i > lastEventIndex + params.DEBOUNCE_MINUTES) {
       log(`Checking surge at index ${i} (10-min rise: ${diff.toFixed(4)})`, 'step');
       
       // FIND VALLEY: Scan lookback window for ABSOLUTE MINIMUM
       let minVal = currentVal;
       let valleyIndex = i;
-      const startSearch = Math.max(0, i - HSSP_PARAMS.LOOKBACK_WINDOW);
+      const startSearch = Math.max(0, i - params.LOOKBACK_WINDOW);
       
       for (let j = i; j >= startSearch; j--) {
-        if (dataPoints[j].y <= minVal) {
-          minVal = dataPoints[j].y;
+        if (series[j].y <= minVal) {
+          minVal = series[j].y;
           valleyIndex = j;
         }
       }
       
       // Calculate total rise from valley to current point
       const totalRise = currentVal - minVal;
+      let sourceIndex = series[valleyIndex].sourceIndex;
+      
+      // GAP: the window straddles a dropout - judge it on the samples either side
+      const gap = gaps.find(g => g.startX < series[i].x && g.endX > series[startSearch].x) || null;
+      const gapCheck = gap ? assessGapSurge(dataPoints, gap, totalRise, params, timeZone) : null;
+      if (gapCheck?.timingUncertain) {
+        sourceIndex = gap.startIndex; // Rise happened during the dropout: start at the last real sample
+      }
       
-      // VALIDATE: Must be in daytime (07:00 - 17:00)
-      const eventTimestamp = dataPoints[valleyIndex].x;
-      const eventDate = new Date(eventTimestamp);
-      const eventHour = eventDate.getHours();
-      const eventMinute = eventDate.getMinutes();
-      const isDaytime = eventHour >= HSSP_PARAMS.DAYTIME_START && 
-                        eventHour <= HSSP_PARAMS.DAYTIME_END;
+      // VALIDATE: Must be in daytime (07:00 - 17:00, farm-local time)
+      // (a rise inside a dropout counts when any part of the dropout is in daytime)
+      const eventTimestamp = dataPoints[sourceIndex].x;
+      const { hour: eventHour, minute: eventMinute } = getZonedParts(eventTimestamp, timeZone);
+      const isDaytime = (eventHour >= params.DAYTIME_START && eventHour <= params.DAYTIME_END) ||
+                        (gapCheck?.timingUncertain && gapCheck.gapInDaytime);
       
       // Check if rise is significant enough
-      const isSignificantRise = totalRise >= HSSP_PARAMS.MIN_VALLEY_DEPTH;
+      const isSignificantRise = totalRise >= params.MIN_VALLEY_DEPTH;
       
       const timeStr = `${String(eventHour).padStart(2, '0')}:${String(eventMinute).padStart(2, '0')}`;
       
       if (!isDaytime) {
-        log(`⏭️ REJECTED: ${timeStr} is outside ${HSSP_PARAMS.DAYTIME_START}:00-${HSSP_PARAMS.DAYTIME_END}:00`, 'warning');
+        log(`⏭️ REJECTED: ${timeStr} is outside ${params.DAYTIME_START}:00-${params.DAYTIME_END}:00`, 'warning');
       } else if (!isSignificantRise) {
-        log(`⏭️ REJECTED: totalRise ${totalRise.toFixed(4)} < min ${HSSP_PARAMS.MIN_VALLEY_DEPTH}`, 'warning');
+        log(`⏭️ REJECTED: totalRise ${totalRise.toFixed(4)} < min ${params.MIN_VALLEY_DEPTH}`, 'warning');
       } else {
         allEvents.push({
-          index: valleyIndex,
-          x: dataPoints[valleyIndex].x,
-          y: dataPoints[valleyIndex].y,
-          peakIndex: i,
+          index: sourceIndex,
+          x: dataPoints[sourceIndex].x,
+          y: dataPoints[sourceIndex].y,
+          peakIndex: series[i].sourceIndex,
           rise: totalRise,
           time: timeStr,
           hour: eventHour,
-          minute: eventMinute
+          minute: eventMinute,
+          ...(gap ? {
+            gap: { start: gap.start, end: gap.end, missingMinutes: gap.missingMinutes },
+            timingUncertain: gapCheck.timingUncertain
+          } : {})
         });
         
         lastEventIndex = valleyIndex;
         i = Math.max(i, valleyIndex + 15); // Skip forward to avoid double-detection
-        log(`✅ ACCEPTED: Valley at ${timeStr} (index ${valleyIndex}), rise: ${totalRise.toFixed(4)}`, 'success');
+        log(`✅ ACCEPTED: Valley at ${timeStr} (index ${sourceIndex}), rise: ${totalRise.toFixed(4)}`, 'success');
+        if (gap) {
+          log(`   ↳ across data gap ${gap.start}-${gap.end} (${gap.missingMinutes} min): jump ${gapCheck.gapJump.toFixed(4)}, seen ${gapCheck.observedRise.toFixed(4)}${gapCheck.timingUncertain ? ' - start time uncertain' : ''}`, 'warning');
+        }
       }
     }
   }
@@ -140,7 +282,7 @@ export function detectIrrigationEvents(dataPoints) {
   // ═══════════════════════════════════════════════════════════════════════════
   
   const uniqueEvents = [];
-  const minSeparation = dataPoints.length * HSSP_PARAMS.MIN_SEPARATION_PERCENT;
+  const minSeparation = dataPoints.length * params.MIN_SEPARATION_PERCENT;
   
   for (const event of allEvents) {
     let isDuplicate = false;
@@ -176,16 +318,309 @@ export function detectIrrigationEvents(dataPoints) {
 /**
  * Get first and last irrigation events
  * @param {Array} events - Detected irrigation events
- * @returns {{first: object|null, last: object|null}}
+ * @param {Array<{x: number, y: number}>|null} dataPoints - Series the event indices refer to; when given,
+ *   the LAST click point (peak + spike rule) is returned as lastPeak
+ * @param {object} options - {paramOverrides, profile, farmId, timeZone} for the peak search;
+ *   {lastPoint: 'end'} for detectors that locate the end themselves (peak pinned to event.peakIndex)
+ * @returns {{first: object|null, last: object|null, lastPeak: object|null}}
  */
-export function getFirstAndLastEvents(events) {
+export function getFirstAndLastEvents(events, dataPoints = null, options = {}) {
   if (!events || events.length === 0) {
-    return { first: null, last: null };
+    return { first: null, last: null, lastPeak: null };
   }
   
+  const last = events[events.length - 1];
+  
   return {
     first: events[0],
-    last: events[events.length - 1]
+    last,
+    lastPeak: dataPoints ? findLastClickPoint(dataPoints, last, options) : null
+  };
+}
+
+/**
+ * LAST click point of an event: the peak search, or the detector's own end point
+ * @param {Array<{x: number, y: number}>} dataPoints - Series the event indices refer to
+ * @param {object} event - Last detected event
+ * @param {object} options - As for findIrrigationPeak, plus {lastPoint: 'peak'|'end'}
+ * @returns {object|null} - findIrrigationPeak() result
+ */
+export function findLastClickPoint(dataPoints, event, options = {}) {
+  if (options.lastPoint === 'end') {
+    const endIndex = event.peakIndex ?? event.index;
+    return findIrrigationPeak(dataPoints, endIndex, { ...options, endIndex });
+  }
+  return findIrrigationPeak(dataPoints, event.index, options);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ⛰️ PEAK DETECTION - LAST click rule (IRRIGATION_RULES.md)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Find the peak of an irrigation and the LAST click point
+ * Rule: LAST = the peak. If the peak is a spike (held < SPIKE_MAX_SECONDS), the click
+ * goes SPIKE_OFFSET_SECONDS after it to allow for sensor lag.
+ * @param {Array<{x: number, y: number}>} dataPoints - Series the index refers to
+ * @param {number} startIndex - Event start (valley) index
+ * @param {object} options - {endIndex} to stop before the next event, plus {paramOverrides, profile, farmId, timeZone}
+ * @returns {{raw: object, offset: object, isSpike: boolean, plateauSeconds: number}|null}
+ *   raw/offset: {index, x, y, time}; offset also has position (fractional index for screen
+ *   interpolation) and offsetSeconds (0 when the peak is not a spike)
+ */
+export function findIrrigationPeak(dataPoints, startIndex, options = {}) {
+  if (!dataPoints || !dataPoints[startIndex]) return null;
+  
+  const { params, timeZone } = resolveDetectionParams(options.paramOverrides, options);
+  const searchEnd = Math.min(
+    startIndex + params.PEAK_SEARCH_WINDOW,
+    options.endIndex ?? Infinity,
+    dataPoints.length - 1
+  );
+  
+  let peakIndex = startIndex;
+  for (let j = startIndex; j <= searchEnd; j++) {
+    if (dataPoints[j].y > dataPoints[peakIndex].y) {
+      peakIndex = j;
+    }
+  }
+  
+  // x is epoch ms when the payload had timestamps, otherwise the point index (≈ 1 minute)
+  const hasTimestamps = dataPoints[peakIndex].x > 1e11;
+  const secondsBetween = (a, b) => (hasTimestamps ? (dataPoints[b].x - dataPoints[a].x) / 1000 : (b - a) * 60);
+  
+  // PLATEAU: how long the series stays at peak level around the peak
+  const peakY = dataPoints[peakIndex].y;
+  const floor = peakY - (peakY - dataPoints[startIndex].y) * params.PEAK_PLATEAU_TOLERANCE;
+  let plateauStart = peakIndex;
+  let plateauEnd = peakIndex;
+  while (plateauStart > startIndex && dataPoints[plateauStart - 1].y >= floor) plateauStart--;
+  while (plateauEnd < dataPoints.length - 1 && dataPoints[plateauEnd + 1].y >= floor) plateauEnd++;
+  
+  const plateauSeconds = secondsBetween(plateauStart, plateauEnd);
+  const isSpike = plateauSeconds < params.SPIKE_MAX_SECONDS;
+  
+  const pointAt = idx => ({
+    index: idx,
+    x: dataPoints[idx].x,
+    y: dataPoints[idx].y,
+    time: formatTimeHM(dataPoints[idx].x, timeZone)
+  });
+  const raw = pointAt(peakIndex);
+  
+  // OFFSET: interpolate SPIKE_OFFSET_SECONDS along the line after the peak
+  const offsetSeconds = isSpike ? params.SPIKE_OFFSET_SECONDS : 0;
+  let offset = { index: raw.index, position: peakIndex, x: raw.x, y: raw.y, time: raw.time, offsetSeconds };
+  const next = dataPoints[peakIndex + 1];
+  if (offsetSeconds > 0 && next) {
+    const fraction = Math.min(1, offsetSeconds / secondsBetween(peakIndex, peakIndex + 1));
+    const x = hasTimestamps ? raw.x + offsetSeconds * 1000 : raw.x + fraction;
+    offset = {
+      index: fraction < 0.5 ? peakIndex : peakIndex + 1,
+      position: peakIndex + fraction,
+      x,
+      y: raw.y + (next.y - raw.y) * fraction,
+      time: formatTimeHM(x, timeZone),
+      offsetSeconds
+    };
+  }
+  
+  log(`Peak at ${raw.time} (index ${peakIndex}) held ${plateauSeconds}s${isSpike ? ` → spike, LAST +${offsetSeconds}s` : ''}`, 'info');
+  
+  return { raw, offset, isSpike, plateauSeconds };
+}
+
+/**
+ * Compact LAST click description for results (offset point, with the raw peak alongside)
+ * @param {object|null} lastPeak - findIrrigationPeak() result
+ * @returns {{time: string, index: number, position: number, offsetSeconds: number, isSpike: boolean, plateauSeconds: number, raw: {time: string, index: number}}|null}
+ */
+export function summarizeLastClick(lastPeak) {
+  if (!lastPeak) return null;
+  return {
+    time: lastPeak.offset.time,
+    index: lastPeak.offset.index,
+    position: Number(lastPeak.offset.position.toFixed(3)),
+    offsetSeconds: lastPeak.offset.offsetSeconds,
+    isSpike: lastPeak.isSpike,
+    plateauSeconds: lastPeak.plateauSeconds,
+    raw: { time: lastPeak.raw.time, index: lastPeak.raw.index }
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🎯 CONFIDENCE - how sure we are about a FIRST/LAST point
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const CONFIDENCE_PARAMS = {
+  RISE_SNR_FULL: 20,            // Rise of 20× the step noise scores full marks
+  SHARPNESS_MINUTES: 5,         // Share of the rise reached this soon after the valley
+  COVERAGE_WINDOW_MINUTES: 30,  // Data completeness is checked ± this around the point
+  DAYTIME_MARGIN_MINUTES: 60,   // Points closer than this to a daytime edge lose confidence
+  SENSOR_MATCH_MINUTES: 10,     // Other sensor must start rising within this of the point
+  WEIGHTS: { rise: 0.3, sharpness: 0.2, sensors: 0.2, completeness: 0.15, daytime: 0.15 },
+  UNCERTAIN_TIMING_MAX: 0.4,    // Cap for points whose rise happened inside a data gap
+  HIGH: 0.75,                   // score ≥ HIGH → 'high'
+  MEDIUM: 0.5                   // score ≥ MEDIUM → 'medium', below → 'low'
+};
+
+const clamp01 = v => Math.min(1, Math.max(0, v));
+
+/**
+ * Robust step noise of a series (scaled MAD of sample-to-sample changes)
+ * Irrigation steps are few, so they barely move the median.
+ */
+function stepNoise(points) {
+  const median = values => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  };
+  const steps = points.slice(1).map((p, i) => p.y - points[i].y);
+  if (steps.length === 0) return 0;
+  const typical = median(steps);
+  return 1.4826 * median(steps.map(s => Math.abs(s - typical)));
+}
+
+/**
+ * Did another sensor (weight ↔ VWC) rise around the event?
+ * @returns {number|null} - 1 agree, 0 no response, null when no other sensor is available
+ */
+function otherSensorAgreement(event, series, sensorKey, matchMinutes) {
+  const kind = key => (/wgt/i.test(key) ? 'wgt' : /vwc/i.test(key) ? 'vwc' : null);
+  const ownKind = kind(sensorKey);
+  const otherKey = Object.keys(series || {}).find(key => kind(key) && kind(key) !== ownKind);
+  if (!ownKind || !otherKey) return null;
+
+  const other = series[otherKey];
+  const matchMs = matchMinutes * 60000;
+  const before = other.filter(p => p.x >= event.x - matchMs && p.x <= event.x);
+  const after = other.filter(p => p.x >= event.x && p.x <= event.x + matchMs * 1.5);
+  if (before.length === 0 || after.length === 0) return 0;
+
+  const yValues = other.map(p => p.y);
+  const range = Math.max(...yValues) - Math.min(...yValues);
+  const rise = Math.max(...after.map(p => p.y)) - Math.min(...before.map(p => p.y));
+  return rise > Math.max(3 * stepNoise(other), 0.01 * range) ? 1 : 0;
+}
+
+/**
+ * Score how certain a detected irrigation point is
+ * Factors (each 0-1, missing ones are left out of the weighted mean):
+ *   rise         - rise relative to the series' step noise
+ *   sharpness    - share of the rise reached within SHARPNESS_MINUTES of the valley
+ *   sensors      - fused events: backed by both sensors; otherwise the other sensor's response
+ *   completeness - data coverage around the point (data gaps lower it)
+ *   daytime      - distance from the daytime window edges
+ * A point whose rise happened inside a data gap is capped at UNCERTAIN_TIMING_MAX.
+ * @param {object} event - Detected event (index into dataPoints)
+ * @param {Array<{x: number, y: number}>} dataPoints - Series the event index refers to
+ * @param {object} options - {series, sensorKey} for sensor agreement, {paramOverrides, profile, farmId, timeZone}, {confidenceParams}
+ * @returns {{score: number, level: 'high'|'medium'|'low', factors: object}|null}
+ */
+export function scoreEventConfidence(event, dataPoints, options = {}) {
+  if (!event || !dataPoints || !dataPoints[event.index]) return null;
+
+  const { params } = resolveDetectionParams(options.paramOverrides, options, dataPoints);
+  const conf = { ...CONFIDENCE_PARAMS, ...(options.confidenceParams || {}) };
+  const hasTimestamps = dataPoints[event.index].x > 1e11;
+  const minutesFrom = p => (p.x - event.x) / 60000;
+  const valley = dataPoints[event.index];
+
+  // RISE vs NOISE
+  const noise = stepNoise(dataPoints);
+  const rise = clamp01(event.rise / Math.max(noise * conf.RISE_SNR_FULL, 1e-9));
+
+  // SHARPNESS: irrigation fills the slab within minutes; slow drifts do not
+  const soon = dataPoints.slice(event.index).find((p, k) => (hasTimestamps ? minutesFrom(p) : k) >= conf.SHARPNESS_MINUTES);
+  const sharpness = soon && event.rise > 0 ? clamp01((soon.y - valley.y) / event.rise) : 0;
+
+  // SENSORS
+  const sensors = event.sensors
+    ? (event.sensors.length >= 2 ? 1 : 0)
+    : otherSensorAgreement(event, options.series, options.sensorKey, conf.SENSOR_MATCH_MINUTES);
+
+  // COMPLETENESS: coverage ± window, lowered when the surge crossed a data gap
+  const window = conf.COVERAGE_WINDOW_MINUTES;
+  const nearby = dataPoints.filter((p, k) => Math.abs(hasTimestamps ? minutesFrom(p) : k - event.index) <= window).length;
+  const interval = hasTimestamps && dataPoints.length > 1
+    ? (dataPoints[dataPoints.length - 1].x - dataPoints[0].x) / 60000 / (dataPoints.length - 1)
+    : 1;
+  const gapFactor = event.timingUncertain ? 0.3 : event.gap ? 0.7 : 1;
+  const completeness = clamp01(nearby / (2 * window / Math.max(interval, 1e-9) + 1)) * gapFactor;
+
+  // DAYTIME EDGES: events accepted while hour ≤ DAYTIME_END, so the window ends at END+1:00
+  const minuteOfDay = event.hour * 60 + event.minute;
+  const edgeDistance = Math.min(minuteOfDay - params.DAYTIME_START * 60, (params.DAYTIME_END + 1) * 60 - minuteOfDay);
+  const daytime = clamp01(edgeDistance / conf.DAYTIME_MARGIN_MINUTES);
+
+  const factors = { rise, sharpness, sensors, completeness, daytime };
+  let weighted = 0;
+  let totalWeight = 0;
+  for (const [name, value] of Object.entries(factors)) {
+    if (value === null || value === undefined || Number.isNaN(value)) continue;
+    weighted += conf.WEIGHTS[name] * value;
+    totalWeight += conf.WEIGHTS[name];
+  }
+
+  const mean = totalWeight > 0 ? weighted / totalWeight : 0;
+  const score = Number((event.timingUncertain ? Math.min(mean, conf.UNCERTAIN_TIMING_MAX) : mean).toFixed(3));
+  const level = score >= conf.HIGH ? 'high' : score >= conf.MEDIUM ? 'medium' : 'low';
+  const rounded = Object.fromEntries(Object.entries(factors).map(([k, v]) => [k, v === null ? null : Number(v.toFixed(3))]));
+
+  return { score, level, factors: rounded };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 📋 DAILY EVENT LOG
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Shot size is the sensor delta from start to peak: slab weight in kg (≈ litres), VWC in % points
+const SHOT_UNITS = { wgt: 'kg', vwc: '%' };
+
+/**
+ * Build the full per-day irrigation log from detected events
+ * @param {Array} events - Detected irrigation events (chronological)
+ * @param {Array<{x: number, y: number}>} dataPoints - Series the event indices refer to
+ * @param {object} options - {sensorKey} for the shot unit, plus {paramOverrides, profile, timeZone} for the peak search
+ * @returns {{count: number, meanIntervalMinutes: number|null, totalShotSize: number, shotUnit: string|null, events: Array}}
+ */
+export function buildEventLog(events, dataPoints, options = {}) {
+  const { sensorKey = null } = options;
+  const unitKey = Object.keys(SHOT_UNITS).find(key => String(sensorKey).toLowerCase().includes(key));
+  const shotUnit = unitKey ? SHOT_UNITS[unitKey] : null;
+  // x is epoch ms when the payload had timestamps, otherwise the point index (≈ 1 minute)
+  const minutesBetween = (a, b) => (a.x > 1e11 ? (b.x - a.x) / 60000 : b.index - a.index);
+
+  const sorted = [...(events || [])].sort((a, b) => a.index - b.index);
+  const entries = sorted.map((event, idx) => {
+    const next = sorted[idx + 1];
+    const peak = findIrrigationPeak(dataPoints, event.index, { ...options, endIndex: next ? next.index - 1 : undefined });
+    const previous = sorted[idx - 1];
+
+    return {
+      number: idx + 1,
+      start: event.time,
+      startIndex: event.index,
+      peak: peak.raw.time,
+      peakIndex: peak.raw.index,
+      spike: peak.isSpike,
+      rise: Number(event.rise.toFixed(4)),
+      intervalMinutes: previous ? Math.round(minutesBetween(previous, event)) : null,
+      shotSize: Number((peak.raw.y - dataPoints[event.index].y).toFixed(4)),
+      ...(event.sensors ? { sensors: event.sensors, confidence: event.confidence } : {}),
+      ...(event.gap ? { gap: event.gap, timingUncertain: event.timingUncertain } : {})
+    };
+  });
+
+  const intervals = entries.map(e => e.intervalMinutes).filter(v => v !== null);
+
+  return {
+    count: entries.length,
+    meanIntervalMinutes: intervals.length > 0 ? Math.round(intervals.reduce((a, v) => a + v, 0) / intervals.length) : null,
+    totalShotSize: Number(entries.reduce((a, e) => a + e.shotSize, 0).toFixed(4)),
+    shotUnit,
+    events: entries
   };
 }
 
@@ -395,8 +830,20 @@ export async function clickViaHighchartsAPI(page, firstIndex, lastIndex, options
 
 export default {
   HSSP_PARAMS,
+  DEFAULT_HSSP_PARAMS,
+  TUNED_PARAMS_FILE,
+  loadTunedParams,
+  resolveDetectionParams,
+  assessGapSurge,
+  describeDataGaps,
   detectIrrigationEvents,
   getFirstAndLastEvents,
+  findLastClickPoint,
+  findIrrigationPeak,
+  summarizeLastClick,
+  CONFIDENCE_PARAMS,
+  scoreEventConfidence,
+  buildEventLog,
   clickChartPoint,
   getChartBounds,
   waitForChartRender,
@@ -0,0 +1,269 @@
+/**
+ * Detector Registry Module
+ * Every irrigation detector behind one interface: detect(dataPoints, context) → events
+ *
+ * Built-in detectors:
+ *   - 'hssp-rise'   HSSP rolling-window valley detection on a rising series (VWC, slab weight),
+ *                   see detectIrrigationEvents in chartAnalysis.js
+ *   - 'weight-drop' Sustained fall of the series (≥ 8% of the daily range between the 10 points
+ *                   before and after), START = the high before the fall, END = the recovered high
+ *                   after it. Formerly the SVG fallback inside page.evaluate, now run in Node on
+ *                   the intercepted points.
+ *
+ * Selection (resolveDetectorName): explicit name > farm profile "detector" > DEFAULT_DETECTOR.
+ * The profile entry is one name for every sensor, or a map by sensor type:
+ *   "detector": "weight-drop"
+ *   "detector": { "weight": "weight-drop", "vwc": "hssp-rise", "default": "hssp-rise" }
+ *
+ * Events have at least {index, x, y, peakIndex, rise, time, hour, minute} and index into the
+ * caller's points. lastPoint tells how the LAST click is found: 'peak' searches for the peak
+ * after the last event (IRRIGATION_RULES.md), 'end' uses the event's own peakIndex.
+ */
+
+import { detectIrrigationEvents, resolveDetectionParams } from './chartAnalysis.js';
+import { movingAverage } from './preprocessing.js';
+import { log, logSubsection, getZonedParts } from './utils.js';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ⚙️ CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const DEFAULT_DETECTOR = 'hssp-rise';
+
+export const WEIGHT_DROP_PARAMS = {
+  DROP_SMOOTH_WINDOW: 7,          // Centered moving average before the scan (points)
+  DROP_AVERAGE_POINTS: 10,        // Points averaged before and after each candidate
+  DROP_EDGE_POINTS: 15,           // Points skipped at both ends of the day
+  DROP_MIN_RANGE_FRACTION: 0.08,  // Fall must be at least this share of the daily range
+  DROP_MERGE_SPAN_FRACTION: 0.1,  // Falls closer than this share of the day are one event
+  DROP_START_LOOKBACK: 20,        // Points searched back for the high before the fall
+  DROP_END_LOOKAHEAD: 30          // Points searched forward for the recovered high
+};
+
+// Registry: name → {description, lastPoint, detect}
+const registry = new Map();
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🔎 SENSOR TYPES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Classify a sensor key
+ * @param {string} key - e.g. "slabwgt_1", "calslabvwc_1"
+ * @returns {'weight'|'vwc'|null}
+ */
+export function classifySensor(key) {
+  const lower = String(key).toLowerCase();
+  if (lower.includes('wgt')) return 'weight';
+  if (lower.includes('vwc')) return 'vwc';
+  return null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 📚 REGISTRY
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Register a detector (replaces one with the same name)
+ * @param {string} name - Detector name used in profiles
+ * @param {object} detector - {description, lastPoint: 'peak'|'end', detect(dataPoints, context) → Array<event>}
+ *   context: {profile, paramOverrides, timeZone, sensorKey, preprocess}
+ */
+export function registerDetector(name, detector) {
+  if (typeof detector?.detect !== 'function') {
+    throw new Error(`Detector "${name}" needs a detect(dataPoints, context) function`);
+  }
+  registry.set(name, {
+    name,
+    description: detector.description || '',
+    lastPoint: detector.lastPoint === 'end' ? 'end' : 'peak',
+    detect: detector.detect
+  });
+}
+
+/**
+ * Look up a registered detector
+ * @param {string} name - Detector name
+ * @returns {{name: string, description: string, lastPoint: string, detect: Function}}
+ */
+export function getDetector(name) {
+  const detector = registry.get(name);
+  if (!detector) {
+    throw new Error(`Unknown detector: ${name} (use ${listDetectors().map(d => d.name).join(', ')})`);
+  }
+  return detector;
+}
+
+/**
+ * List registered detectors
+ * @returns {Array<{name: string, description: string, lastPoint: string}>}
+ */
+export function listDetectors() {
+  return [...registry.values()].map(({ name, description, lastPoint }) => ({ name, description, lastPoint }));
+}
+
+/**
+ * Pick the detector for a farm and sensor
+ * @param {object} options - {detector (explicit name), profile, sensorKey}
+ * @returns {string}
+ */
+export function resolveDetectorName(options = {}) {
+  const { detector = null, profile = null, sensorKey = null } = options;
+  if (detector) return detector;
+
+  const configured = profile?.detector;
+  if (typeof configured === 'string') return configured;
+  if (configured && typeof configured === 'object') {
+    return configured[classifySensor(sensorKey)] || configured.default || DEFAULT_DETECTOR;
+  }
+  return DEFAULT_DETECTOR;
+}
+
+/**
+ * Run the detector chosen for a farm/sensor
+ * @param {Array<{x: number, y: number}>} dataPoints - Normalized data points
+ * @param {object} options - {detector, profile, farmId, sensorKey, paramOverrides, timeZone, preprocess}
+ * @returns {{detector: string, lastPoint: string, events: Array<object>}}
+ */
+export function runDetector(dataPoints, options = {}) {
+  const { profile, timeZone } = resolveDetectionParams({}, options);
+  const detector = getDetector(resolveDetectorName({ ...options, profile }));
+
+  const events = detector.detect(dataPoints, {
+    profile,
+    paramOverrides: options.paramOverrides || {},
+    timeZone,
+    sensorKey: options.sensorKey || null,
+    preprocess: options.preprocess
+  });
+
+  return { detector: detector.name, lastPoint: detector.lastPoint, events };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 📉 WEIGHT DROP
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Find sustained falls and the highs either side of them
+ * @param {Array<{x: number, y: number}>} dataPoints - Normalized data points
+ * @param {object} paramOverrides - HSSP_PARAMS / WEIGHT_DROP_PARAMS overrides
+ * @param {object} options - {profile} or {farmId}, optional {timeZone}
+ * @returns {Array<{index: number, x: number, y: number, peakIndex: number, rise: number, time: string, hour: number, minute: number}>}
+ *   index = START (high before the fall), peakIndex = END (recovered high), rise = size of the fall
+ */
+export function detectWeightDrops(dataPoints, paramOverrides = {}, options = {}) {
+  logSubsection('Weight Drop Detection');
+
+  const { params: hssp, timeZone } = resolveDetectionParams(paramOverrides, options, dataPoints);
+  const params = { ...WEIGHT_DROP_PARAMS, ...hssp };
+
+  if (!dataPoints || dataPoints.length < Math.max(hssp.MIN_DATA_POINTS, params.DROP_EDGE_POINTS * 2 + 1)) {
+    log(`Insufficient data points: ${dataPoints?.length || 0}`, 'warning');
+    return [];
+  }
+
+  const smoothed = movingAverage(dataPoints.map(p => p.y), params.DROP_SMOOTH_WINDOW);
+  const yRange = Math.max(...smoothed) - Math.min(...smoothed);
+  const mean = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+  // SCAN: average of the points before vs after each candidate
+  const drops = [];
+  for (let i = params.DROP_EDGE_POINTS; i < dataPoints.length - params.DROP_EDGE_POINTS; i++) {
+    const before = mean(smoothed.slice(i - params.DROP_AVERAGE_POINTS, i));
+    const after = mean(smoothed.slice(i, i + params.DROP_AVERAGE_POINTS));
+    const dropAmount = before - after;
+
+    if (dropAmount > yRange * params.DROP_MIN_RANGE_FRACTION) {
+      drops.push({ index: i, dropAmount });
+    }
+  }
+
+  // MERGE: falls within DROP_MERGE_SPAN_FRACTION of the day are one event (keep the bigger)
+  const span = dataPoints[dataPoints.length - 1].x - dataPoints[0].x;
+  const uniqueDrops = [];
+  for (const drop of drops) {
+    const existingIdx = uniqueDrops.findIndex(d =>
+      Math.abs(dataPoints[drop.index].x - dataPoints[d.index].x) < span * params.DROP_MERGE_SPAN_FRACTION
+    );
+    if (existingIdx === -1) {
+      uniqueDrops.push(drop);
+    } else if (drop.dropAmount > uniqueDrops[existingIdx].dropAmount) {
+      uniqueDrops[existingIdx] = drop;
+    }
+  }
+  uniqueDrops.sort((a, b) => a.index - b.index);
+
+  // START / END: highest smoothed value before the fall and after the recovery
+  const events = [];
+  for (const drop of uniqueDrops) {
+    let startIndex = drop.index;
+    for (let j = drop.index - 1; j >= Math.max(0, drop.index - params.DROP_START_LOOKBACK); j--) {
+      if (smoothed[j] > smoothed[startIndex]) startIndex = j;
+    }
+
+    let endIndex = drop.index;
+    for (let j = drop.index + 1; j < Math.min(dataPoints.length, drop.index + params.DROP_END_LOOKAHEAD); j++) {
+      if (smoothed[j] > smoothed[endIndex]) endIndex = j;
+    }
+
+    const { hour, minute } = getZonedParts(dataPoints[startIndex].x, timeZone);
+    const time = `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+
+    if (startIndex >= drop.index || endIndex <= drop.index) {
+      log(`⏭️ REJECTED ${time}: no high before/after the fall`, 'warning');
+    } else if (hour < params.DAYTIME_START || hour > params.DAYTIME_END) {
+      log(`⏭️ REJECTED: ${time} is outside ${params.DAYTIME_START}:00-${params.DAYTIME_END}:00`, 'warning');
+    } else {
+      events.push({
+        index: startIndex,
+        x: dataPoints[startIndex].x,
+        y: dataPoints[startIndex].y,
+        peakIndex: endIndex,
+        rise: drop.dropAmount,
+        time,
+        hour,
+        minute
+      });
+      log(`✅ ACCEPTED: fall at ${time} (index ${startIndex} → ${endIndex}), size ${drop.dropAmount.toFixed(4)}`, 'success');
+    }
+  }
+
+  log(`Final events: ${events.length} weight drops`, 'success');
+  return events;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🧩 BUILT-IN DETECTORS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+registerDetector('hssp-rise', {
+  description: 'HSSP rolling-window valley detection (rising VWC / slab weight)',
+  lastPoint: 'peak',
+  detect: (dataPoints, context) => detectIrrigationEvents(dataPoints, context.paramOverrides, {
+    profile: context.profile,
+    timeZone: context.timeZone,
+    preprocess: context.preprocess
+  })
+});
+
+registerDetector('weight-drop', {
+  description: 'Sustained fall of the series, START = high before it, END = recovered high',
+  lastPoint: 'end',
+  detect: (dataPoints, context) => detectWeightDrops(dataPoints, context.paramOverrides, {
+    profile: context.profile,
+    timeZone: context.timeZone
+  })
+});
+
+export default {
+  DEFAULT_DETECTOR,
+  WEIGHT_DROP_PARAMS,
+  classifySensor,
+  registerDetector,
+  getDetector,
+  listDetectors,
+  resolveDetectorName,
+  runDetector,
+  detectWeightDrops
+};
@@ -0,0 +1,460 @@
+/**
+ * Evaluation Module
+ * Scores HSSP detection against labelled farm/date cases
+ *
+ * Labels (true irrigation times) come from either:
+ *   - training/training-data.json overlay corrections that carry context {farmId, date}
+ *     and corrected first/last times, and event labels (every irrigation of the day), or
+ *   - a hand-made CSV: farmId,date,first,last[,events]
+ *     first/last are HH:MM (leave both empty for "no irrigation that day"),
+ *     events is an optional ';'-separated list of every irrigation start (HH:MM)
+ *
+ * Payloads are looked up by farmId + date in a replay directory (default: payload archive).
+ * Each farm's detection profile (sensor key, HSSP overrides) is applied as in production.
+ *
+ * Metrics:
+ *   - precision / recall of event detection (match within ±toleranceMinutes)
+ *     When a label lists all events, every detected event is scored;
+ *     otherwise only the FIRST/LAST pair is compared.
+ *   - FIRST / LAST minute error (mean absolute and mean signed = bias)
+ */
+
+import fs from 'fs';
+import { extractDataPoints, extractSensorSeries, resolveSensorKey } from '../network-interceptor.js';
+import { HSSP_PARAMS, getFirstAndLastEvents, describeDataGaps, scoreEventConfidence } from './chartAnalysis.js';
+import { listPayloadFiles, loadPayload } from './replay.js';
+import { ARCHIVE_DIR } from './payloadArchive.js';
+import { getFarmProfile } from './farmProfiles.js';
+import { detectFusedEvents } from './sensorFusion.js';
+import { runDetector } from './detectors.js';
+import { TRAINING_FILE, loadTrainingStore } from './trainingStore.js';
+import { log, logSection, saveJSON, formatDateISO } from './utils.js';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ⚙️ CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export { TRAINING_FILE };
+
+export const DEFAULT_TOLERANCE_MINUTES = 15;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🏷️ LABEL LOADING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Convert "HH:MM" to minutes since midnight
+ * @param {string} time - e.g. "08:15"
+ * @returns {number|null}
+ */
+export function timeToMinutes(time) {
+  const match = String(time || '').trim().match(/^(\d{1,2}):(\d{2})/);
+  if (!match) return null;
+  return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+}
+
+/**
+ * Build a label object from first/last/event times
+ * @returns {{farmId: string, date: string, first: number|null, last: number|null, events: Array<number>|null, source: string}}
+ */
+function makeLabel(farmId, date, first, last, events, source) {
+  return {
+    farmId: String(farmId),
+    date,
+    first: timeToMinutes(first),
+    last: timeToMinutes(last),
+    events: events ? events.map(timeToMinutes).filter(m => m !== null) : null,
+    source
+  };
+}
+
+/**
+ * Load labels from a CSV file (header: farmId,date,first,last[,events])
+ * @param {string} filePath - CSV path
+ * @returns {Array<object>}
+ */
+export function loadLabelsFromCSV(filePath) {
+  const lines = fs.readFileSync(filePath, 'utf8').split(/\r?\n/).filter(line => line.trim());
+  if (lines.length === 0) return [];
+
+  const header = lines[0].split(',').map(h => h.trim());
+  const col = name => header.indexOf(name);
+
+  for (const required of ['farmId', 'date', 'first', 'last']) {
+    if (col(required) === -1) {
+      throw new Error(`Label CSV ${filePath} is missing column "${required}"`);
+    }
+  }
+
+  return lines.slice(1).map(line => {
+    const cells = line.split(',').map(c => c.trim());
+    const events = col('events') !== -1 && cells[col('events')]
+      ? cells[col('events')].split(';')
+      : null;
+
+    return makeLabel(cells[col('farmId')], cells[col('date')], cells[col('first')], cells[col('last')], events, 'csv');
+  });
+}
+
+/**
+ * Load labels from overlay corrections and event labels in the training file
+ * Only corrections saved with context {farmId, date} and corrected times are usable;
+ * older pixel-only corrections are counted and skipped. An event label lists every
+ * irrigation of its day, so it replaces a FIRST/LAST correction of the same farm/date.
+ * @param {string} filePath - Training data path
+ * @returns {{labels: Array<object>, skipped: number}}
+ */
+export function loadLabelsFromTraining(filePath = TRAINING_FILE) {
+  const { corrections, eventLabels } = loadTrainingStore(filePath);
+
+  const labels = [];
+  let skipped = 0;
+
+  for (const correction of corrections) {
+    const context = correction.context || {};
+    const corrected = correction.corrected || {};
+
+    if (!context.farmId || !context.date || (!corrected.firstTime && !corrected.lastTime)) {
+      skipped++;
+      continue;
+    }
+
+    labels.push(makeLabel(context.farmId, context.date, corrected.firstTime, corrected.lastTime, null, 'training'));
+  }
+
+  for (const eventLabel of eventLabels) {
+    const times = (eventLabel.events || []).map(e => e.time).filter(Boolean);
+    if (!eventLabel.farmId || !eventLabel.date || times.length !== (eventLabel.events || []).length) {
+      skipped++;
+      continue;
+    }
+
+    labels.push(makeLabel(eventLabel.farmId, eventLabel.date, times[0] || null, times[times.length - 1] || null, times, 'training-events'));
+  }
+
+  // Later corrections of the same farm/date supersede earlier ones
+  const byKey = new Map(labels.map(label => [`${label.farmId}|${label.date}`, label]));
+  return { labels: [...byKey.values()], skipped };
+}
+
+/**
+ * Load labels from a CSV or training JSON file
+ * @param {string|null} labelsFile - .csv path, training JSON path, or null for TRAINING_FILE
+ * @returns {{labels: Array<object>, skipped: number, source: string}}
+ */
+export function loadLabels(labelsFile = null) {
+  const source = labelsFile || TRAINING_FILE;
+
+  if (source.endsWith('.csv')) {
+    return { labels: loadLabelsFromCSV(source), skipped: 0, source };
+  }
+
+  return { ...loadLabelsFromTraining(source), source };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 📏 SCORING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Greedily match detected minutes to true minutes within tolerance
+ * @returns {number} - True positive count
+ */
+function countMatches(detected, truth, toleranceMinutes) {
+  const unmatched = [...truth];
+  let truePositives = 0;
+
+  for (const minute of detected) {
+    let bestIdx = -1;
+    let bestDiff = Infinity;
+
+    unmatched.forEach((t, idx) => {
+      const diff = Math.abs(t - minute);
+      if (diff <= toleranceMinutes && diff < bestDiff) {
+        bestDiff = diff;
+        bestIdx = idx;
+      }
+    });
+
+    if (bestIdx !== -1) {
+      truePositives++;
+      unmatched.splice(bestIdx, 1);
+    }
+  }
+
+  return truePositives;
+}
+
+/**
+ * Score detected events for one labelled case
+ * @param {Array<object>} events - runDetector() / detectFusedEvents() events
+ * @param {object} label - Label from loadLabelsFrom*()
+ * @param {number} toleranceMinutes - Match window
+ * @param {Array<object>|null} dataPoints - Series the events index into; when given, LAST is scored at the
+ *   LAST click point (peak + spike rule) like the automation clicks it, otherwise at the last event start
+ * @param {object} peakOptions - {profile, paramOverrides, lastPoint} for the peak search
+ * @returns {object} - {tp, fp, fn, firstError, lastError, detectedFirst, detectedLast}
+ */
+export function scoreCase(events, label, toleranceMinutes = DEFAULT_TOLERANCE_MINUTES, dataPoints = null, peakOptions = {}) {
+  const { first, last, lastPeak } = getFirstAndLastEvents(events, dataPoints, peakOptions);
+  const detectedFirst = first ? first.hour * 60 + first.minute : null;
+  const detectedLast = lastPeak ? timeToMinutes(lastPeak.offset.time) : last ? last.hour * 60 + last.minute : null;
+
+  let detected;
+  let truth;
+
+  if (label.events) {
+    detected = events.map(e => e.hour * 60 + e.minute);
+    truth = label.events;
+  } else {
+    detected = [...new Set([detectedFirst, detectedLast].filter(m => m !== null))];
+    truth = [...new Set([label.first, label.last].filter(m => m !== null))];
+  }
+
+  const tp = countMatches(detected, truth, toleranceMinutes);
+
+  return {
+    tp,
+    fp: detected.length - tp,
+    fn: truth.length - tp,
+    detectedFirst,
+    detectedLast,
+    firstError: detectedFirst !== null && label.first !== null ? detectedFirst - label.first : null,
+    lastError: detectedLast !== null && label.last !== null ? detectedLast - label.last : null
+  };
+}
+
+/**
+ * Aggregate per-case scores into precision/recall and minute errors
+ * @param {Array<object>} scores - scoreCase() outputs
+ * @returns {object}
+ */
+export function summarizeScores(scores) {
+  const sum = key => scores.reduce((acc, s) => acc + s[key], 0);
+  const tp = sum('tp');
+  const fp = sum('fp');
+  const fn = sum('fn');
+
+  const errorStats = key => {
+    const errors = scores.map(s => s[key]).filter(e => e !== null);
+    if (errors.length === 0) return { count: 0, meanAbs: null, bias: null };
+    return {
+      count: errors.length,
+      meanAbs: errors.reduce((a, e) => a + Math.abs(e), 0) / errors.length,
+      bias: errors.reduce((a, e) => a + e, 0) / errors.length
+    };
+  };
+
+  return {
+    cases: scores.length,
+    tp,
+    fp,
+    fn,
+    precision: tp + fp > 0 ? tp / (tp + fp) : null,
+    recall: tp + fn > 0 ? tp / (tp + fn) : null,
+    first: errorStats('firstError'),
+    last: errorStats('lastError')
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🧪 EVALUATION RUN
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Capture time of a payload record: archive capturedAt, else the file's modification time
+ * @param {object} record - loadPayload() record with filePath
+ * @returns {number} - Epoch ms
+ */
+function captureTime(record) {
+  const captured = Date.parse(record.capturedAt);
+  return Number.isFinite(captured) ? captured : fs.statSync(record.filePath).mtimeMs;
+}
+
+/**
+ * Index payload files in a directory by "farmId|date"
+ * Labels carry no section, so several sections or captures of one farm and day share a key:
+ * the newest capture is kept (ties: the later file path) and the others are logged.
+ * @param {string} payloadDir - Replay/archive directory
+ * @returns {Map<string, object>} - key → loaded payload record
+ */
+export function indexPayloads(payloadDir) {
+  const index = new Map();
+  if (!fs.existsSync(payloadDir)) return index;
+
+  for (const filePath of listPayloadFiles(payloadDir)) {
+    const record = loadPayload(filePath);
+    if (!record) continue;
+
+    const profile = getFarmProfile(record.farmId);
+    const dataPoints = extractDataPoints(record.payload, profile.sensorKey, profile.timezone);
+    if (!dataPoints || dataPoints.length === 0) continue;
+
+    const date = record.date || formatDateISO(new Date(dataPoints[0].x), profile.timezone);
+    const key = `${record.farmId}|${date}`;
+    const entry = { ...record, filePath, date, dataPoints, profile };
+    const existing = index.get(key);
+
+    if (existing) {
+      // listPayloadFiles() is sorted, so an equal capture time keeps the later path
+      const newer = captureTime(entry) >= captureTime(existing) ? entry : existing;
+      const older = newer === entry ? existing : entry;
+      log(`Duplicate payload for ${key}: using ${newer.filePath}${newer.sectionId ? ` (section ${newer.sectionId})` : ''}, ignoring ${older.filePath}${older.sectionId ? ` (section ${older.sectionId})` : ''}`, 'warning');
+      index.set(key, newer);
+    } else {
+      index.set(key, entry);
+    }
+  }
+
+  return index;
+}
+
+/**
+ * Evaluate detection on every label with a matching payload
+ * @param {Array<object>} labels - Labels to score
+ * @param {Map<string, object>} payloadIndex - indexPayloads() output
+ * @param {object} options - {paramOverrides, toleranceMinutes, fusionMode}
+ * @returns {{overall: object, byFarm: object, cases: Array<object>, missing: Array<string>}}
+ */
+export function evaluateLabels(labels, payloadIndex, options = {}) {
+  const { paramOverrides = {}, toleranceMinutes = DEFAULT_TOLERANCE_MINUTES, fusionMode = null } = options;
+
+  const cases = [];
+  const missing = [];
+
+  for (const label of labels) {
+    const record = payloadIndex.get(`${label.farmId}|${label.date}`);
+    if (!record) {
+      missing.push(`${label.farmId}|${label.date}`);
+      continue;
+    }
+
+    const mode = fusionMode || record.profile.fusion;
+    const sensorKey = resolveSensorKey(record.payload, record.profile.sensorKey);
+    let events;
+    let lastPoint;
+    let points = record.dataPoints;
+    if (mode) {
+      // Series are extracted once per payload and reused across tuner candidates
+      record.series = record.series || extractSensorSeries(record.payload, record.profile.timezone);
+      const fused = detectFusedEvents(record.series, { mode, paramOverrides, profile: record.profile });
+      events = fused.events;
+      lastPoint = fused.lastPoint;
+      points = fused.anchorPoints;
+    } else {
+      ({ events, lastPoint } = runDetector(record.dataPoints, { paramOverrides, profile: record.profile, sensorKey }));
+    }
+
+    const score = scoreCase(events, label, toleranceMinutes, points, { profile: record.profile, paramOverrides, lastPoint });
+    const gapCount = describeDataGaps(points, { profile: record.profile, paramOverrides }).count;
+
+    // Confidence of the detected points, to check that low scores go with the misses
+    record.series = record.series || extractSensorSeries(record.payload, record.profile.timezone);
+    const { first, last } = getFirstAndLastEvents(events);
+    const scoreOptions = { series: mode ? null : record.series, sensorKey, profile: record.profile, paramOverrides };
+    const firstConfidence = scoreEventConfidence(first, points, scoreOptions)?.score ?? null;
+    const lastConfidence = scoreEventConfidence(last, points, scoreOptions)?.score ?? null;
+
+    cases.push({ farmId: label.farmId, date: label.date, profile: record.profile.id, gapCount, firstConfidence, lastConfidence, ...score });
+  }
+
+  const byFarm = {};
+  for (const farmId of [...new Set(cases.map(c => c.farmId))].sort()) {
+    byFarm[farmId] = summarizeScores(cases.filter(c => c.farmId === farmId));
+  }
+
+  return { overall: summarizeScores(cases), byFarm, cases, missing };
+}
+
+/**
+ * Print an evaluation report table
+ * @param {object} evaluation - evaluateLabels() output
+ */
+export function printEvaluation(evaluation) {
+  const pct = v => (v === null ? '  -  ' : `${(v * 100).toFixed(1)}%`.padStart(6));
+  const min = v => (v === null ? '   -  ' : v.toFixed(1).padStart(6));
+
+  const row = (name, s) =>
+    `  ${String(name).padEnd(12)} ${String(s.cases).padStart(5)}  ${pct(s.precision)} ${pct(s.recall)}  ${min(s.first.meanAbs)} ${min(s.first.bias)}  ${min(s.last.meanAbs)} ${min(s.last.bias)}`;
+
+  logSection('Evaluation Results');
+  console.log(`  ${'Farm'.padEnd(12)} ${'Cases'.padStart(5)}  ${'Prec'.padStart(6)} ${'Recall'.padStart(6)}  ${'|1st|'.padStart(6)} ${'1stΔ'.padStart(6)}  ${'|Last|'.padStart(6)} ${'LastΔ'.padStart(6)}`);
+  console.log(`  ${'─'.repeat(76)}`);
+
+  for (const [farmId, summary] of Object.entries(evaluation.byFarm)) {
+    console.log(row(farmId, summary));
+  }
+
+  console.log(`  ${'─'.repeat(76)}`);
+  console.log(row('ALL', evaluation.overall));
+  console.log('');
+  console.log('  Errors are in minutes (|x| = mean absolute, Δ = mean signed; + means detected later than label)');
+  console.log('');
+}
+
+/**
+ * Load labels, score detection and print per-farm accuracy
+ * @param {object} options - {labelsFile, payloadDir, paramOverrides, toleranceMinutes, fusionMode, outputFile}
+ * @returns {Promise<object>} - evaluateLabels() output
+ */
+export async function runEvaluation(options = {}) {
+  const {
+    labelsFile = null,
+    payloadDir = ARCHIVE_DIR,
+    paramOverrides = {},
+    toleranceMinutes = DEFAULT_TOLERANCE_MINUTES,
+    fusionMode = null,
+    outputFile = null
+  } = options;
+
+  logSection('Detection Accuracy Evaluation');
+
+  const { labels, skipped, source } = loadLabels(labelsFile);
+  log(`Loaded ${labels.length} label(s) from ${source}`, 'info');
+  if (skipped > 0) {
+    log(`Skipped ${skipped} correction(s) without farm/date/time context`, 'warning');
+  }
+
+  const payloadIndex = indexPayloads(payloadDir);
+  log(`Indexed ${payloadIndex.size} payload(s) from ${payloadDir}`, 'info');
+
+  if (fusionMode) {
+    log(`Sensor fusion: ${fusionMode} (weight + VWC)`, 'info');
+  }
+
+  const evaluation = evaluateLabels(labels, payloadIndex, { paramOverrides, toleranceMinutes, fusionMode });
+
+  if (evaluation.missing.length > 0) {
+    log(`${evaluation.missing.length} label(s) have no payload: ${evaluation.missing.slice(0, 5).join(', ')}${evaluation.missing.length > 5 ? ', ...' : ''}`, 'warning');
+  }
+
+  printEvaluation(evaluation);
+
+  if (outputFile) {
+    saveJSON(outputFile, {
+      evaluatedAt: new Date().toISOString(),
+      labels: source,
+      payloads: payloadDir,
+      toleranceMinutes,
+      fusionMode,
+      params: { ...HSSP_PARAMS, ...paramOverrides },
+      ...evaluation
+    });
+    log(`Evaluation saved to ${outputFile}`, 'success');
+  }
+
+  return evaluation;
+}
+
+export default {
+  timeToMinutes,
+  loadLabelsFromCSV,
+  loadLabelsFromTraining,
+  loadLabels,
+  scoreCase,
+  summarizeScores,
+  indexPayloads,
+  evaluateLabels,
+  printEvaluation,
+  runEvaluation
+};
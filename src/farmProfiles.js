@@ -0,0 +1,146 @@
+/**
+ * Farm Profiles Module
+ * Per-farm detection settings keyed by farmId (from extractFarmIds)
+ *
+ * Registry file (FARM_PROFILES_FILE):
+ * {
+ *   "default": { "hssp": {}, "daytime": { "start": 7, "end": 17 }, "sensorKey": null },
+ *   "farms": {
+ *     "583": {
+ *       "name": "승진 1농장",
+ *       "hssp": { "SURGE_WINDOW": 8, "MIN_VALLEY_DEPTH": 0.05 },
+ *       "daytime": { "start": 6, "end": 18 },
+ *       "location": { "latitude": 35.18, "longitude": 128.11 },
+ *       "sensorKey": "calslabvwc",
+ *       "timezone": "Asia/Seoul",
+ *       "fusion": "agree",
+ *       "detector": { "weight": "weight-drop", "vwc": "hssp-rise" },
+ *       "preprocess": { "smoothing": { "method": "savitzky-golay", "window": 7, "order": 2 } }
+ *     }
+ *   }
+ * }
+ *
+ * Resolution: global HSSP_PARAMS < "default" profile < farm profile < explicit overrides.
+ * sensorKey picks the series in extractDataPoints (exact key or prefix, e.g. "slabvwc" → "slabvwc_1").
+ * timezone (IANA) is used for event times, the daytime filter and dates; default Asia/Seoul.
+ * fusion ('agree' | 'weighted') enables weight + VWC sensor fusion (see sensorFusion.js).
+ * detector picks the registry detector, one name or a map by sensor type (see detectors.js).
+ * preprocess configures resampling/despiking/smoothing before detection (see preprocessing.js);
+ * the farm's keys are merged over the default entry's, false disables preprocessing.
+ * location (degrees) feeds the offline solar calculator; daytime { "solar": true } then follows
+ * sunrise/sunset per date instead of fixed hours (see solar.js).
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadJSON, DEFAULT_TIMEZONE } from './utils.js';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ⚙️ CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Absolute (repo root), so profiles apply whatever the cwd
+export const FARM_PROFILES_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'config', 'farm-profiles.json');
+
+// Registry is read once per file path; call reloadFarmProfiles() after editing it
+const registryCache = new Map();
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 📂 REGISTRY
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Load the profile registry
+ * @param {string} filePath - Registry path
+ * @returns {{default: object, farms: object}}
+ */
+export function loadFarmProfiles(filePath = FARM_PROFILES_FILE) {
+  if (!registryCache.has(filePath)) {
+    const registry = loadJSON(filePath) || {};
+    registryCache.set(filePath, {
+      default: registry.default || {},
+      farms: registry.farms || {}
+    });
+  }
+  return registryCache.get(filePath);
+}
+
+/**
+ * Drop cached registries so the next lookup re-reads the file
+ */
+export function reloadFarmProfiles() {
+  registryCache.clear();
+}
+
+/**
+ * Resolve the profile for a farm (farm entry merged over the default entry)
+ * @param {string|number|null} farmId - Farm ID from extractFarmIds
+ * @param {string} filePath - Registry path
+ * @returns {{id: string, source: string, name: string|null, hssp: object, daytime: object|null, location: object|null, sensorKey: string|null, timezone: string, fusion: string|null, detector: string|object|null, preprocess: object|false}}
+ */
+export function getFarmProfile(farmId, filePath = FARM_PROFILES_FILE) {
+  const registry = loadFarmProfiles(filePath);
+  const base = registry.default;
+  const farm = farmId !== null && farmId !== undefined ? registry.farms[String(farmId)] : undefined;
+
+  return {
+    id: farm ? String(farmId) : 'default',
+    source: farm ? 'farm' : 'default',
+    name: farm?.name || null,
+    hssp: { ...(base.hssp || {}), ...(farm?.hssp || {}) },
+    daytime: farm?.daytime || base.daytime || null,
+    location: farm?.location || base.location || null,
+    sensorKey: farm?.sensorKey || base.sensorKey || null,
+    timezone: farm?.timezone || base.timezone || DEFAULT_TIMEZONE,
+    fusion: farm?.fusion || base.fusion || null,
+    detector: farm?.detector || base.detector || null,
+    preprocess: (farm?.preprocess ?? base.preprocess) === false
+      ? false
+      : { ...(base.preprocess || {}), ...(farm?.preprocess || {}) }
+  };
+}
+
+/**
+ * Convert a profile into HSSP_PARAMS overrides (daytime window included)
+ * @param {object} profile - getFarmProfile() result
+ * @returns {object}
+ */
+export function profileParamOverrides(profile) {
+  const overrides = { ...(profile?.hssp || {}) };
+
+  if (profile?.daytime) {
+    if (typeof profile.daytime.start === 'number') overrides.DAYTIME_START = profile.daytime.start;
+    if (typeof profile.daytime.end === 'number') overrides.DAYTIME_END = profile.daytime.end;
+  }
+
+  return overrides;
+}
+
+/**
+ * Compact description of a profile for results and reports
+ * @param {object} profile - getFarmProfile() result
+ * @returns {{id: string, source: string, overrides: object, daytime: object|null, location: object|null, sensorKey: string|null, timezone: string, fusion: string|null, detector: string|object|null, preprocess: object|false}}
+ */
+export function describeProfile(profile) {
+  return {
+    id: profile.id,
+    source: profile.source,
+    overrides: profileParamOverrides(profile),
+    daytime: profile.daytime,
+    location: profile.location,
+    sensorKey: profile.sensorKey,
+    timezone: profile.timezone,
+    fusion: profile.fusion,
+    detector: profile.detector,
+    preprocess: profile.preprocess
+  };
+}
+
+export default {
+  FARM_PROFILES_FILE,
+  loadFarmProfiles,
+  reloadFarmProfiles,
+  getFarmProfile,
+  profileParamOverrides,
+  describeProfile
+};
@@ -35,8 +35,20 @@ export {
 // Chart Analysis (HSSP Algorithm)
 export {
   HSSP_PARAMS,
+  DEFAULT_HSSP_PARAMS,
+  TUNED_PARAMS_FILE,
+  loadTunedParams,
+  resolveDetectionParams,
+  assessGapSurge,
+  describeDataGaps,
   detectIrrigationEvents,
   getFirstAndLastEvents,
+  findLastClickPoint,
+  findIrrigationPeak,
+  summarizeLastClick,
+  CONFIDENCE_PARAMS,
+  scoreEventConfidence,
+  buildEventLog,
   clickChartPoint,
   getChartBounds,
   waitForChartRender,
@@ -44,11 +56,197 @@ export {
   clickViaHighchartsAPI
 } from './chartAnalysis.js';
 
+// Signal Preprocessing (resample, despike, smooth)
+export {
+  SMOOTHING_METHODS,
+  PREPROCESS_DEFAULTS,
+  resolvePreprocessConfig,
+  resampleSeries,
+  findDataGaps,
+  summarizeDataGaps,
+  despike,
+  movingAverage,
+  savitzkyGolay,
+  preprocessSeries
+} from './preprocessing.js';
+
+// Detector Registry
+export {
+  DEFAULT_DETECTOR,
+  WEIGHT_DROP_PARAMS,
+  classifySensor,
+  registerDetector,
+  getDetector,
+  listDetectors,
+  resolveDetectorName,
+  runDetector,
+  detectWeightDrops
+} from './detectors.js';
+
+// Sensor Fusion (weight + VWC)
+export {
+  FUSION_MODES,
+  FUSION_PARAMS,
+  pickPrimarySensors,
+  detectFusedEvents,
+  detectPayloadEvents
+} from './sensorFusion.js';
+
+// Farm Detection Profiles
+export {
+  FARM_PROFILES_FILE,
+  loadFarmProfiles,
+  reloadFarmProfiles,
+  getFarmProfile,
+  profileParamOverrides,
+  describeProfile
+} from './farmProfiles.js';
+
+// Irrigation Zones (구역 N)
+export {
+  ZONE_LABEL_PATTERN,
+  zoneFieldLabel,
+  discoverZones,
+  pickZoneSensorKey,
+  detectZoneEvents
+} from './zones.js';
+
+// Sensor Health (anomalies → issue tracker rows)
+export {
+  SENSOR_ISSUES_FILE,
+  ISSUE_COLUMNS,
+  HEALTH_PARAMS,
+  ISSUE_TYPES,
+  analyzeSeriesHealth,
+  analyzePayloadHealth,
+  toIssueRows,
+  appendIssueRows,
+  recordSensorHealth,
+  runHealthCheck
+} from './sensorHealth.js';
+
+// Offline Replay (no browser)
+export {
+  listPayloadFiles,
+  loadPayload,
+  replayPayload,
+  parseParamOverrides,
+  runReplay
+} from './replay.js';
+
+// Payload Archive (raw node.* responses)
+export {
+  ARCHIVE_DIR,
+  hashPayload,
+  inferPayloadDate,
+  archivePayload,
+  readArchivedRecord,
+  listArchivedPayloads
+} from './payloadArchive.js';
+
+// Evaluation (accuracy vs labelled cases)
+export {
+  timeToMinutes,
+  loadLabelsFromCSV,
+  loadLabelsFromTraining,
+  loadLabels,
+  scoreCase,
+  summarizeScores,
+  indexPayloads,
+  evaluateLabels,
+  runEvaluation
+} from './evaluation.js';
+
+// Parameter Tuning
+export {
+  SEARCH_SPACE,
+  gridCandidates,
+  randomCandidates,
+  objectiveScore,
+  saveTunedVersion,
+  runTuning
+} from './tuner.js';
+
+// Review queue
+export {
+  REVIEW_QUEUE_FILE,
+  REVIEW_STATUSES,
+  DEFAULT_AUTO_COMMIT_CONFIDENCE,
+  decideReview,
+  loadReviewQueue,
+  saveReviewQueue,
+  enqueueReview,
+  listReviewItems,
+  resolveReviewItem,
+  findResolvedReview,
+  reviewedZoneTimes,
+  markReviewApplied
+} from './reviewQueue.js';
+
+// Training report
+export {
+  TRAINING_REPORT_FILE,
+  REPORT_DEFAULTS,
+  buildHistogram,
+  buildTrainingReport,
+  renderTrainingReport,
+  writeTrainingReport
+} from './trainingReport.js';
+
+// Training store
+export {
+  TRAINING_FILE,
+  TRAINING_SCHEMA_VERSION,
+  createTrainingStore,
+  normalizeSession,
+  migrateTrainingData,
+  loadTrainingStore,
+  saveTrainingStore,
+  addCorrection,
+  addSession,
+  addReview,
+  addEventLabel,
+  SESSION_COORDINATES,
+  summarizeSessions,
+  migrateTrainingFile
+} from './trainingStore.js';
+
+// Learned bias (overlay corrections)
+export {
+  LEARNED_BIAS_MIN_SAMPLES,
+  seasonOf,
+  biasGroupKeys,
+  correctionMinutes,
+  learnBias,
+  resolveLearnedBias,
+  describeFarmBiases
+} from './learnedBias.js';
+
+// Solar calculator
+export {
+  SUNRISE_ALTITUDE,
+  computeSunTimes,
+  hasLocation,
+  solarDaytimeOverrides,
+  describeSunriseTiming
+} from './solar.js';
+
+// Dryback & water balance
+export {
+  NIGHT_DEVIATION_TOLERANCE,
+  computeSteeringMetrics,
+  linkOvernightDryback,
+  isPreviousDay,
+  loadComputedSteering,
+  checkNightMoistureDeviation
+} from './steering.js';
+
 // Utilities
 export {
   log,
   logSection,
   logSubsection,
+  setQuietMode,
   delay,
   getTimestamp,
   ensureDir,
@@ -56,6 +254,11 @@ export {
   loadJSON,
   buildUrlWithManager,
   extractFarmIds,
+  DEFAULT_TIMEZONE,
+  getZonedParts,
+  zonedTimeToEpoch,
+  parseTimestamp,
+  formatTimeHM,
   formatDateISO,
   formatDateKorean,
   getDateRange
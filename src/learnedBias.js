@@ -0,0 +1,228 @@
+/**
+ * Learned Bias Module
+ * Turns overlay corrections into the minute bias applied to detected FIRST/LAST points
+ *
+ * Bias is learned per group, most specific first, and a group is only used once it has
+ * LEARNED_BIAS_MIN_SAMPLES corrections:
+ *   farm + sensor type + season → farm + sensor type → farm + season → farm → global
+ * so one farm whose sensor lags does not move the points of every other farm.
+ *
+ * learnedAdjustments (stored in the training file):
+ * {
+ *   "firstMinuteBias": 2, "lastMinuteBias": -1, "samples": 14,          ← global
+ *   "groups": {
+ *     "farm:583": { farmId, farmName, sensorType: null, season: null, samples, firstMinuteBias, lastMinuteBias },
+ *     "farm:583|sensor:vwc|season:winter": { ... }
+ *   }
+ * }
+ */
+
+import { classifySensor } from './detectors.js';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ⚙️ CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const LEARNED_BIAS_MIN_SAMPLES = 5;
+
+// Month (1-12) → season, northern hemisphere
+const SEASONS = ['winter', 'winter', 'spring', 'spring', 'spring', 'summer', 'summer', 'summer', 'autumn', 'autumn', 'autumn', 'winter'];
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🏷️ GROUPS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Season of a date
+ * @param {string|null} date - YYYY-MM-DD
+ * @returns {'spring'|'summer'|'autumn'|'winter'|null}
+ */
+export function seasonOf(date) {
+  const month = Number(String(date || '').split('-')[1]);
+  return month >= 1 && month <= 12 ? SEASONS[month - 1] : null;
+}
+
+/**
+ * Group keys a correction (or a detection) belongs to, most specific first
+ * @param {object} context - {farmId, sensorType | sensorKey, date}
+ * @returns {Array<string>} - Group keys, without the global group
+ */
+export function biasGroupKeys(context = {}) {
+  const farmId = context.farmId !== null && context.farmId !== undefined ? String(context.farmId) : null;
+  if (!farmId) return [];
+
+  const sensorType = context.sensorType || (context.sensorKey ? classifySensor(context.sensorKey) : null);
+  const season = seasonOf(context.date);
+  const farm = `farm:${farmId}`;
+
+  return [
+    sensorType && season ? `${farm}|sensor:${sensorType}|season:${season}` : null,
+    sensorType ? `${farm}|sensor:${sensorType}` : null,
+    season ? `${farm}|season:${season}` : null,
+    farm
+  ].filter(Boolean);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 📐 LEARNING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Correction size in minutes; entries without minute deltas count only when both the predicted and
+ * the corrected point kept a timestamp (an index delta is not minutes on every series)
+ * @param {object} correction - Stored correction
+ * @returns {{first: number|null, last: number|null}}
+ */
+export function correctionMinutes(correction) {
+  const fromTimestamps = (predicted, corrected) => {
+    const from = predicted ? Date.parse(predicted) : NaN;
+    const to = corrected ? Date.parse(corrected) : NaN;
+    return Number.isFinite(from) && Number.isFinite(to) ? Math.round((to - from) / 600) / 100 : null;
+  };
+  return {
+    first: typeof correction.delta?.firstMinutes === 'number'
+      ? correction.delta.firstMinutes
+      : fromTimestamps(correction.predicted?.firstTimestamp, correction.corrected?.firstTimestamp),
+    last: typeof correction.delta?.lastMinutes === 'number'
+      ? correction.delta.lastMinutes
+      : fromTimestamps(correction.predicted?.lastTimestamp, correction.corrected?.lastTimestamp)
+  };
+}
+
+/**
+ * Recency-weighted mean of correction minutes (newer corrections count up to twice as much).
+ * Each side is averaged only over samples where it was corrected, with its own weight total.
+ * @param {Array<{first: number|null, last: number|null}>} samples - Chronological
+ * @returns {{first: number, last: number}}
+ */
+function weightedMean(samples) {
+  const sums = { first: 0, last: 0 };
+  const weights = { first: 0, last: 0 };
+
+  samples.forEach((m, i) => {
+    const weight = 1 + (i / samples.length);
+    for (const side of ['first', 'last']) {
+      if (typeof m[side] === 'number' && Number.isFinite(m[side])) {
+        sums[side] += m[side] * weight;
+        weights[side] += weight;
+      }
+    }
+  });
+
+  return {
+    first: weights.first > 0 ? sums.first / weights.first : 0,
+    last: weights.last > 0 ? sums.last / weights.last : 0
+  };
+}
+
+/**
+ * Learn the global and per-group minute bias from corrections
+ * @param {Array<object>} corrections - Stored corrections, oldest first
+ * @returns {{statistics: object, learnedAdjustments: object}}
+ */
+export function learnBias(corrections = []) {
+  // Entries from before minute deltas (pixel or index only) cannot be converted and are left out
+  const usable = corrections
+    .map(c => ({ minutes: correctionMinutes(c), context: c.context || {} }))
+    .filter(({ minutes }) => minutes.first !== null || minutes.last !== null);
+
+  const global = weightedMean(usable.map(u => u.minutes));
+  const enough = count => count >= LEARNED_BIAS_MIN_SAMPLES;
+
+  const grouped = new Map();
+  usable.forEach(u => {
+    biasGroupKeys(u.context).forEach(key => {
+      if (!grouped.has(key)) grouped.set(key, { context: u.context, samples: [] });
+      grouped.get(key).samples.push(u.minutes);
+    });
+  });
+
+  const groups = {};
+  grouped.forEach(({ context, samples }, key) => {
+    const mean = weightedMean(samples);
+    groups[key] = {
+      farmId: String(context.farmId),
+      farmName: context.farmName || null,
+      sensorType: key.includes('|sensor:') ? key.split('|sensor:')[1].split('|')[0] : null,
+      season: key.includes('|season:') ? key.split('|season:')[1] : null,
+      samples: samples.length,
+      firstMinuteBias: enough(samples.length) ? Math.round(mean.first) : 0,
+      lastMinuteBias: enough(samples.length) ? Math.round(mean.last) : 0,
+      avgFirstOffset: Math.round(mean.first * 10) / 10,
+      avgLastOffset: Math.round(mean.last * 10) / 10
+    };
+  });
+
+  return {
+    statistics: {
+      totalCorrections: corrections.length,
+      usableCorrections: usable.length,
+      avgFirstOffset: Math.round(global.first * 10) / 10,
+      avgLastOffset: Math.round(global.last * 10) / 10,
+      avgOffset: Math.round((Math.abs(global.first) + Math.abs(global.last)) / 2 * 10) / 10,
+      unit: 'minutes',
+      lastUpdated: new Date().toISOString()
+    },
+    learnedAdjustments: {
+      firstMinuteBias: enough(usable.length) ? Math.round(global.first) : 0,
+      lastMinuteBias: enough(usable.length) ? Math.round(global.last) : 0,
+      samples: usable.length,
+      groups
+    }
+  };
+}
+
+/**
+ * Pick the bias for a detection: the most specific group with enough samples, else global
+ * @param {object} learnedAdjustments - learnBias().learnedAdjustments
+ * @param {object} context - {farmId, sensorKey | sensorType, date}
+ * @returns {{firstMinuteBias: number, lastMinuteBias: number, samples: number, source: string}}
+ */
+export function resolveLearnedBias(learnedAdjustments, context = {}) {
+  const groups = learnedAdjustments?.groups || {};
+  const key = biasGroupKeys(context).find(k => groups[k]?.samples >= LEARNED_BIAS_MIN_SAMPLES);
+
+  if (key) {
+    const group = groups[key];
+    return { firstMinuteBias: group.firstMinuteBias, lastMinuteBias: group.lastMinuteBias, samples: group.samples, source: key };
+  }
+
+  return {
+    firstMinuteBias: learnedAdjustments?.firstMinuteBias || 0,
+    lastMinuteBias: learnedAdjustments?.lastMinuteBias || 0,
+    samples: learnedAdjustments?.samples || 0,
+    source: 'global'
+  };
+}
+
+/**
+ * One row per farm for the dashboard: the farm's own bias, or the global one it falls back to
+ * @param {object} learnedAdjustments - learnBias().learnedAdjustments
+ * @returns {Array<{farmId: string, farmName: string|null, samples: number, firstMinuteBias: number, lastMinuteBias: number, source: 'farm'|'global'}>}
+ */
+export function describeFarmBiases(learnedAdjustments) {
+  return Object.entries(learnedAdjustments?.groups || {})
+    .filter(([key]) => !key.includes('|'))
+    .map(([, group]) => {
+      const own = group.samples >= LEARNED_BIAS_MIN_SAMPLES;
+      return {
+        farmId: group.farmId,
+        farmName: group.farmName,
+        samples: group.samples,
+        firstMinuteBias: own ? group.firstMinuteBias : learnedAdjustments.firstMinuteBias || 0,
+        lastMinuteBias: own ? group.lastMinuteBias : learnedAdjustments.lastMinuteBias || 0,
+        source: own ? 'farm' : 'global'
+      };
+    })
+    .sort((a, b) => b.samples - a.samples);
+}
+
+export default {
+  LEARNED_BIAS_MIN_SAMPLES,
+  seasonOf,
+  biasGroupKeys,
+  correctionMinutes,
+  learnBias,
+  resolveLearnedBias,
+  describeFarmBiases
+};
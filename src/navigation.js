@@ -5,7 +5,7 @@
  * KEY FIX: Uses exact matching to prevent '승진' from matching '진우'
  */
 
-import { log, logSubsection, delay, buildUrlWithManager } from './utils.js';
+import { log, logSubsection, delay, buildUrlWithManager, formatDateISO } from './utils.js';
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // 👤 MANAGER SELECTION - STRICT EXACT MATCHING (5 STRATEGIES)
@@ -339,8 +339,8 @@ export async function navigateToFarm(page, farmUrl, managerName) {
  * @returns {Promise<boolean>}
  */
 export async function selectDate(page, date) {
-  const dateObj = typeof date === 'string' ? new Date(date) : date;
-  const dateStr = dateObj.toISOString().split('T')[0];
+  // Strings are already calendar dates; Date objects are read in farm-local time (toISOString would shift to UTC)
+  const dateStr = typeof date === 'string' ? date.slice(0, 10) : formatDateISO(date);
   
   log(`Selecting date: ${dateStr}`, 'step');
   
@@ -364,7 +364,7 @@ export async function selectDate(page, date) {
     }
     
     // Try clicking on calendar day
-    const dayNumber = dateObj.getDate();
+    const dayNumber = parseInt(dateStr.slice(8, 10), 10);
     const dayButton = page.locator(`button:text-is("${dayNumber}"), td:text-is("${dayNumber}")`).first();
     
     if (await dayButton.count() > 0) {
@@ -0,0 +1,167 @@
+/**
+ * Payload Archive Module
+ * Persists every captured "node." sensor response to disk for later reprocessing
+ *
+ * Layout: <archiveDir>/<farmId>/<sectionId>/<YYYY-MM-DD>/<hash>.json.gz
+ * Each file is a gzipped record:
+ *   { farmId, sectionId, date, url, capturedAt, hash, payload }
+ *
+ * Identical payloads (same SHA-256 of the response body) are stored once per
+ * farm/section/date, so re-visiting a date does not grow the archive.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import crypto from 'crypto';
+import { ensureDir, formatDateISO, parseTimestamp, DEFAULT_TIMEZONE } from './utils.js';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ⚙️ CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const ARCHIVE_DIR = './data/payload-archive';
+
+const ARCHIVE_EXTENSION = '.json.gz';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🔑 KEYING HELPERS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Hash a payload for de-duplication
+ * @param {object} payload - Raw API response
+ * @returns {string} - Hex SHA-256 (first 16 chars)
+ */
+export function hashPayload(payload) {
+  return crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Infer the data date from the first timestamped entry of any "node." series
+ * @param {object} payload - Raw API response
+ * @param {string} timeZone - Farm timezone (default: Asia/Seoul)
+ * @returns {string|null} - YYYY-MM-DD or null if no timestamps present
+ */
+export function inferPayloadDate(payload, timeZone = DEFAULT_TIMEZONE) {
+  const nodeKeys = Object.keys(payload || {}).filter(key => key.startsWith('node.'));
+
+  for (const key of nodeKeys) {
+    const series = payload[key];
+    if (!Array.isArray(series)) continue;
+
+    for (const entry of series) {
+      const epoch = parseTimestamp(entry && (entry.timestamp || entry.time || entry.t), timeZone);
+      if (epoch !== null) {
+        return formatDateISO(new Date(epoch), timeZone);
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Make a key segment safe for use as a directory name
+ * @param {string|number|null} value - Key segment
+ * @returns {string}
+ */
+function safeSegment(value) {
+  return String(value ?? 'unknown').replace(/[^a-zA-Z0-9_-]/g, '_');
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 💾 WRITE / READ
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Archive a captured payload (compressed, de-duplicated)
+ * @param {object} payload - Raw API response with "node." keys
+ * @param {object} meta - {farmId, sectionId, date, url, capturedAt, timeZone}
+ * @param {string} archiveDir - Archive root directory
+ * @returns {{filePath: string, hash: string, duplicate: boolean}}
+ */
+export function archivePayload(payload, meta = {}, archiveDir = ARCHIVE_DIR) {
+  const hash = hashPayload(payload);
+  const date = meta.date || inferPayloadDate(payload, meta.timeZone) || 'undated';
+
+  const dir = path.join(archiveDir, safeSegment(meta.farmId), safeSegment(meta.sectionId), safeSegment(date));
+  const filePath = path.join(dir, `${hash}${ARCHIVE_EXTENSION}`);
+
+  if (fs.existsSync(filePath)) {
+    return { filePath, hash, duplicate: true };
+  }
+
+  const record = {
+    farmId: meta.farmId ?? null,
+    sectionId: meta.sectionId ?? null,
+    date,
+    url: meta.url ?? null,
+    capturedAt: new Date(meta.capturedAt || Date.now()).toISOString(),
+    hash,
+    payload
+  };
+
+  ensureDir(dir);
+
+  // Write to a temp file first so a crash never leaves a truncated .gz behind
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, zlib.gzipSync(JSON.stringify(record)));
+  fs.renameSync(tempPath, filePath);
+
+  return { filePath, hash, duplicate: false };
+}
+
+/**
+ * Read an archived record (gzipped or plain JSON)
+ * @param {string} filePath - Path to .json.gz or .json file
+ * @returns {object} - Parsed record
+ */
+export function readArchivedRecord(filePath) {
+  const buffer = fs.readFileSync(filePath);
+  const text = filePath.endsWith('.gz') ? zlib.gunzipSync(buffer).toString('utf8') : buffer.toString('utf8');
+  return JSON.parse(text);
+}
+
+/**
+ * List archived records, optionally filtered by farm and date
+ * @param {object} filter - {farmId, sectionId, date}
+ * @param {string} archiveDir - Archive root directory
+ * @returns {Array<{farmId: string, sectionId: string, date: string, filePath: string}>}
+ */
+export function listArchivedPayloads(filter = {}, archiveDir = ARCHIVE_DIR) {
+  const entries = [];
+  if (!fs.existsSync(archiveDir)) return entries;
+
+  const subdirs = dir => fs.readdirSync(dir, { withFileTypes: true }).filter(e => e.isDirectory()).map(e => e.name);
+
+  for (const farmId of subdirs(archiveDir)) {
+    if (filter.farmId && String(filter.farmId) !== farmId) continue;
+
+    for (const sectionId of subdirs(path.join(archiveDir, farmId))) {
+      if (filter.sectionId && String(filter.sectionId) !== sectionId) continue;
+
+      for (const date of subdirs(path.join(archiveDir, farmId, sectionId))) {
+        if (filter.date && filter.date !== date) continue;
+
+        const dateDir = path.join(archiveDir, farmId, sectionId, date);
+        for (const file of fs.readdirSync(dateDir)) {
+          if (file.endsWith(ARCHIVE_EXTENSION)) {
+            entries.push({ farmId, sectionId, date, filePath: path.join(dateDir, file) });
+          }
+        }
+      }
+    }
+  }
+
+  return entries;
+}
+
+export default {
+  ARCHIVE_DIR,
+  hashPayload,
+  inferPayloadDate,
+  archivePayload,
+  readArchivedRecord,
+  listArchivedPayloads
+};
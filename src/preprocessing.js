@@ -0,0 +1,326 @@
+/**
+ * Signal Preprocessing Module
+ * Cleans a sensor series before HSSP detection
+ *
+ * Pipeline (each step optional):
+ *   1. Despike    - rolling median; points further than threshold × MAD from it are
+ *                   replaced by the median (single-sample sensor glitches). Runs on the raw
+ *                   samples, before interpolation smears a glitch over several grid points.
+ *   2. Resample   - linear interpolation onto a fixed grid (default 1 minute), so the
+ *                   index-based HSSP windows really mean minutes. Skipped when the series
+ *                   is already on the grid or has no timestamps.
+ *   3. Smoothing  - 'moving-average' or 'savitzky-golay' (keeps rise shape better)
+ *
+ * Every output point keeps sourceIndex (nearest input point), so detection can map
+ * events back to the series the caller clicks/plots.
+ *
+ * Configured per farm with "preprocess" in config/farm-profiles.json:
+ *   { "resampleMinutes": 1, "despike": { "window": 5, "threshold": 3.5 },
+ *     "smoothing": { "method": "savitzky-golay", "window": 7, "order": 2 } }
+ * Set a step to null to disable it.
+ *
+ * Data gaps (node box dropouts, see nodebox_issues_analysis.csv) are found from the
+ * timestamps by findDataGaps. Resampling still bridges them linearly so the grid stays
+ * continuous; detection uses the gap list to judge surges that straddle one.
+ */
+
+import { formatTimeHM, DEFAULT_TIMEZONE } from './utils.js';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ⚙️ CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const SMOOTHING_METHODS = ['none', 'moving-average', 'savitzky-golay'];
+
+export const PREPROCESS_DEFAULTS = {
+  resampleMinutes: 1,                             // Grid step; null keeps the raw spacing
+  despike: { window: 5, threshold: 3.5 },         // Rolling median ± threshold × MAD; null disables
+  smoothing: { method: 'none', window: 5, order: 2 }
+};
+
+/**
+ * Merge preprocessing settings: defaults < farm profile < explicit overrides
+ * @param {object|null} profile - getFarmProfile() result
+ * @param {object|false} overrides - Extra settings, or false to disable preprocessing
+ * @returns {object|null} - null when preprocessing is disabled
+ */
+export function resolvePreprocessConfig(profile = null, overrides = {}) {
+  if (overrides === false || profile?.preprocess === false) return null;
+
+  const layers = [PREPROCESS_DEFAULTS, profile?.preprocess || {}, overrides || {}];
+  const config = {};
+
+  for (const key of Object.keys(PREPROCESS_DEFAULTS)) {
+    for (const layer of layers) {
+      if (!(key in layer)) continue;
+      const value = layer[key];
+      config[key] = value && typeof value === 'object' ? { ...(config[key] || {}), ...value } : value;
+    }
+  }
+
+  const method = config.smoothing?.method;
+  if (method && !SMOOTHING_METHODS.includes(method)) {
+    throw new Error(`Unknown smoothing method: ${method} (use ${SMOOTHING_METHODS.join(', ')})`);
+  }
+
+  return config;
+}
+
+const median = values => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ⏱️ RESAMPLING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Linearly interpolate a series onto a fixed time grid
+ * @param {Array<{x: number, y: number}>} dataPoints - Points with epoch-ms x, sorted by x
+ * @param {number} stepMinutes - Grid step
+ * @returns {Array<{x: number, y: number, sourceIndex: number}>}
+ */
+export function resampleSeries(dataPoints, stepMinutes = 1) {
+  const stepMs = stepMinutes * 60000;
+  const hasTimestamps = dataPoints.length > 1 && dataPoints[0].x > 1e11;
+  const onGrid = dataPoints.every((p, i) => i === 0 || p.x - dataPoints[i - 1].x === stepMs);
+
+  if (!hasTimestamps || onGrid) {
+    return dataPoints.map((p, i) => ({ x: p.x, y: p.y, sourceIndex: i }));
+  }
+
+  const start = Math.ceil(dataPoints[0].x / stepMs) * stepMs;
+  const end = dataPoints[dataPoints.length - 1].x;
+  const resampled = [];
+  let j = 0;
+
+  for (let x = start; x <= end; x += stepMs) {
+    while (j < dataPoints.length - 2 && dataPoints[j + 1].x < x) j++;
+
+    const a = dataPoints[j];
+    const b = dataPoints[j + 1] || a;
+    const fraction = b.x === a.x ? 0 : Math.min(1, Math.max(0, (x - a.x) / (b.x - a.x)));
+
+    resampled.push({
+      x,
+      y: a.y + (b.y - a.y) * fraction,
+      sourceIndex: fraction < 0.5 ? j : Math.min(j + 1, dataPoints.length - 1)
+    });
+  }
+
+  return resampled;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🕳️ DATA GAPS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Find dropouts in a timestamped series
+ * The expected spacing is the median interval; an interval that leaves at least
+ * minMissingMinutes of expected samples out is a gap.
+ * @param {Array<{x: number, y: number}>} dataPoints - Points with epoch-ms x, sorted by x
+ * @param {object} options - {minMissingMinutes} (default 2), {timeZone} for the start/end times
+ * @returns {Array<{startIndex: number, endIndex: number, startX: number, endX: number, start: string, end: string, missingMinutes: number}>}
+ *   startIndex is the last point before the gap, endIndex the first point after it
+ */
+export function findDataGaps(dataPoints, options = {}) {
+  const { minMissingMinutes = 2, timeZone = DEFAULT_TIMEZONE } = options;
+  if (!dataPoints || dataPoints.length < 3 || dataPoints[0].x < 1e11) return [];
+
+  const intervals = dataPoints.slice(1).map((p, i) => p.x - dataPoints[i].x);
+  const expected = median(intervals);
+  const gaps = [];
+
+  intervals.forEach((interval, i) => {
+    const missingMinutes = (interval - expected) / 60000;
+    if (missingMinutes < minMissingMinutes) return;
+
+    gaps.push({
+      startIndex: i,
+      endIndex: i + 1,
+      startX: dataPoints[i].x,
+      endX: dataPoints[i + 1].x,
+      start: formatTimeHM(dataPoints[i].x, timeZone),
+      end: formatTimeHM(dataPoints[i + 1].x, timeZone),
+      missingMinutes: Number(missingMinutes.toFixed(1))
+    });
+  });
+
+  return gaps;
+}
+
+/**
+ * Compact gap summary for results and reports
+ * @param {Array} gaps - findDataGaps() result
+ * @returns {{count: number, totalMissingMinutes: number, longestMissingMinutes: number, gaps: Array<{start: string, end: string, missingMinutes: number}>}}
+ */
+export function summarizeDataGaps(gaps) {
+  const list = gaps || [];
+  return {
+    count: list.length,
+    totalMissingMinutes: Number(list.reduce((sum, g) => sum + g.missingMinutes, 0).toFixed(1)),
+    longestMissingMinutes: list.reduce((max, g) => Math.max(max, g.missingMinutes), 0),
+    gaps: list.map(({ start, end, missingMinutes }) => ({ start, end, missingMinutes }))
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🧹 DESPIKING & SMOOTHING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Replace outliers with the rolling median (Hampel filter)
+ * @param {Array<number>} values - Y values
+ * @param {number} window - Odd window size
+ * @param {number} threshold - Outlier distance in scaled MADs
+ * @returns {{values: Array<number>, replaced: number}}
+ */
+export function despike(values, window = 5, threshold = 3.5) {
+  const half = Math.floor(window / 2);
+  let replaced = 0;
+
+  const cleaned = values.map((y, i) => {
+    const neighbourhood = values.slice(Math.max(0, i - half), i + half + 1);
+    const med = median(neighbourhood);
+    const mad = 1.4826 * median(neighbourhood.map(v => Math.abs(v - med)));
+
+    if (Math.abs(y - med) > threshold * Math.max(mad, 1e-9)) {
+      replaced++;
+      return med;
+    }
+    return y;
+  });
+
+  return { values: cleaned, replaced };
+}
+
+/**
+ * Centered moving average (window shrinks at the edges)
+ * @param {Array<number>} values - Y values
+ * @param {number} window - Window size
+ * @returns {Array<number>}
+ */
+export function movingAverage(values, window = 5) {
+  const half = Math.floor(window / 2);
+  return values.map((_, i) => {
+    const slice = values.slice(Math.max(0, i - half), i + half + 1);
+    return slice.reduce((sum, v) => sum + v, 0) / slice.length;
+  });
+}
+
+/**
+ * Savitzky–Golay smoothing coefficients (least-squares polynomial fit, center value)
+ * @param {number} window - Odd window size
+ * @param {number} order - Polynomial order (< window)
+ * @returns {Array<number>}
+ */
+function savitzkyGolayCoefficients(window, order) {
+  const half = Math.floor(window / 2);
+  const size = order + 1;
+
+  // Normal equations (AᵀA) c = e0, then coefficient k = Σ c_p · k^p
+  const ata = Array.from({ length: size }, (_, r) =>
+    Array.from({ length: size }, (_, c) => {
+      let sum = 0;
+      for (let k = -half; k <= half; k++) sum += k ** (r + c);
+      return sum;
+    })
+  );
+  const rhs = Array.from({ length: size }, (_, r) => (r === 0 ? 1 : 0));
+
+  // Gaussian elimination with partial pivoting (matrices are tiny)
+  for (let col = 0; col < size; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < size; r++) {
+      if (Math.abs(ata[r][col]) > Math.abs(ata[pivot][col])) pivot = r;
+    }
+    [ata[col], ata[pivot]] = [ata[pivot], ata[col]];
+    [rhs[col], rhs[pivot]] = [rhs[pivot], rhs[col]];
+
+    for (let r = 0; r < size; r++) {
+      if (r === col) continue;
+      const factor = ata[r][col] / ata[col][col];
+      for (let c = col; c < size; c++) ata[r][c] -= factor * ata[col][c];
+      rhs[r] -= factor * rhs[col];
+    }
+  }
+  const solution = rhs.map((v, r) => v / ata[r][r]);
+
+  return Array.from({ length: window }, (_, idx) => {
+    const k = idx - half;
+    return solution.reduce((sum, c, p) => sum + c * k ** p, 0);
+  });
+}
+
+/**
+ * Savitzky–Golay smoothing (edges, where the window does not fit, keep their values)
+ * @param {Array<number>} values - Y values
+ * @param {number} window - Odd window size
+ * @param {number} order - Polynomial order
+ * @returns {Array<number>}
+ */
+export function savitzkyGolay(values, window = 5, order = 2) {
+  const size = window % 2 === 0 ? window + 1 : window;
+  if (order >= size) {
+    throw new Error(`Savitzky-Golay order ${order} must be below the window size ${size}`);
+  }
+
+  const coefficients = savitzkyGolayCoefficients(size, order);
+  const half = Math.floor(size / 2);
+
+  return values.map((y, i) => {
+    if (i < half || i >= values.length - half) return y;
+    return coefficients.reduce((sum, c, k) => sum + c * values[i - half + k], 0);
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🔧 PIPELINE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Run the preprocessing pipeline on a series
+ * @param {Array<{x: number, y: number}>} dataPoints - Raw points
+ * @param {object|null} config - resolvePreprocessConfig() result (null = pass-through)
+ * @returns {Array<{x: number, y: number, index: number, sourceIndex: number}>} - Cleaned points;
+ *   sourceIndex is the nearest point of the input series
+ */
+export function preprocessSeries(dataPoints, config = PREPROCESS_DEFAULTS) {
+  if (!dataPoints || dataPoints.length === 0) return [];
+
+  let raw = dataPoints;
+  if (config?.despike) {
+    const { values } = despike(dataPoints.map(p => p.y), config.despike.window, config.despike.threshold);
+    raw = dataPoints.map((p, i) => ({ x: p.x, y: values[i] }));
+  }
+
+  const points = config?.resampleMinutes
+    ? resampleSeries(raw, config.resampleMinutes)
+    : raw.map((p, i) => ({ x: p.x, y: p.y, sourceIndex: i }));
+  let values = points.map(p => p.y);
+
+  const smoothing = config?.smoothing;
+  if (smoothing?.method === 'moving-average') {
+    values = movingAverage(values, smoothing.window);
+  } else if (smoothing?.method === 'savitzky-golay') {
+    values = savitzkyGolay(values, smoothing.window, smoothing.order);
+  }
+
+  return points.map((p, i) => ({ x: p.x, y: values[i], index: i, sourceIndex: p.sourceIndex }));
+}
+
+export default {
+  SMOOTHING_METHODS,
+  PREPROCESS_DEFAULTS,
+  resolvePreprocessConfig,
+  resampleSeries,
+  findDataGaps,
+  summarizeDataGaps,
+  despike,
+  movingAverage,
+  savitzkyGolay,
+  preprocessSeries
+};
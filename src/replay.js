@@ -0,0 +1,348 @@
+/**
+ * Offline Replay Module
+ * Runs HSSP detection over saved "node." API responses without a browser
+ *
+ * Input: a directory of .json / .json.gz files, searched recursively. Each file is either
+ *   - a raw sensor API response (object with "node.*" keys), or
+ *   - a wrapper { farmId, sectionId, date, url, payload } where payload is the raw response
+ *     (this is the record format written by the payload archive, see payloadArchive.js)
+ *
+ * Farm and date are taken from the wrapper when present, otherwise from the
+ * file path (".../<farmId>/<YYYY-MM-DD>.json") or the first data point timestamp.
+ * Payloads with several zones (구역) also get per-zone first/last results (see zones.js).
+ * "Last" is the LAST click point: the last irrigation's peak, +3 s when the peak is a spike
+ * (findIrrigationPeak in chartAnalysis.js, rule from IRRIGATION_RULES.md).
+ * dataGaps lists node box dropouts in the series; events detected across one carry the gap.
+ * confidence scores the first/last points (scoreEventConfidence) - low scores are the days to review.
+ * steering holds the dryback / water-balance metrics (steering.js); overnight dryback is linked
+ * across consecutive dates of the same farm once every payload is replayed.
+ * sun gives sunrise/sunset and the first irrigation's minutes after sunrise when the farm
+ * profile has a location (solar.js).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { HSSP_PARAMS, getFirstAndLastEvents, summarizeLastClick, buildEventLog, describeDataGaps, scoreEventConfidence } from './chartAnalysis.js';
+import { extractSensorSeries } from '../network-interceptor.js';
+import { detectPayloadEvents } from './sensorFusion.js';
+import { detectZoneEvents } from './zones.js';
+import { readArchivedRecord } from './payloadArchive.js';
+import { getFarmProfile, describeProfile } from './farmProfiles.js';
+import { describeSunriseTiming } from './solar.js';
+import { computeSteeringMetrics, linkOvernightDryback, isPreviousDay } from './steering.js';
+import { log, logSection, extractFarmIds, formatDateISO, saveJSON } from './utils.js';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 📂 PAYLOAD LOADING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Recursively list replayable payload files in a directory
+ * @param {string} dirPath - Directory to scan
+ * @returns {Array<string>} - Sorted file paths
+ */
+export function listPayloadFiles(dirPath) {
+  const files = [];
+
+  for (const entry of fs.readdirSync(dirPath, { withFileTypes: true })) {
+    const fullPath = path.join(dirPath, entry.name);
+
+    if (entry.isDirectory()) {
+      files.push(...listPayloadFiles(fullPath));
+    } else if (entry.name.endsWith('.json') || entry.name.endsWith('.json.gz')) {
+      files.push(fullPath);
+    }
+  }
+
+  return files.sort();
+}
+
+/**
+ * Check whether an object looks like a raw sensor API response
+ * @param {object} data - Parsed JSON
+ * @returns {boolean}
+ */
+function hasNodeKeys(data) {
+  return !!data && typeof data === 'object' && Object.keys(data).some(key => key.startsWith('node.'));
+}
+
+/**
+ * Load one saved payload and resolve its farm/date identity
+ * @param {string} filePath - Path to the saved JSON (or gzipped JSON) file
+ * @returns {{farmId: string|null, sectionId: string|null, date: string|null, url: string|null, capturedAt: string|null, payload: object}|null}
+ */
+export function loadPayload(filePath) {
+  let data;
+  try {
+    data = readArchivedRecord(filePath);
+  } catch (e) {
+    log(`Could not parse ${filePath}: ${e.message}`, 'warning');
+    return null;
+  }
+
+  // Raw response or wrapper with metadata
+  const isWrapper = !hasNodeKeys(data) && hasNodeKeys(data?.payload);
+  const payload = isWrapper ? data.payload : data;
+
+  if (!hasNodeKeys(payload)) {
+    log(`Skipping ${filePath}: no "node." keys`, 'warning');
+    return null;
+  }
+
+  const meta = isWrapper ? data : {};
+  const idsFromUrl = meta.url ? extractFarmIds(meta.url) : null;
+
+  // Fall back to path layout: .../<farmId>/<YYYY-MM-DD>.json
+  const baseName = path.basename(filePath).replace(/\.json(\.gz)?$/, '');
+  const dateFromName = (baseName.match(/\d{4}-\d{2}-\d{2}/) || [])[0] || null;
+  const parentDir = path.basename(path.dirname(filePath));
+  const farmIdFromDir = /^\d+$/.test(parentDir) ? parentDir : null;
+
+  return {
+    farmId: meta.farmId || idsFromUrl?.farmId || farmIdFromDir || 'unknown',
+    sectionId: meta.sectionId || idsFromUrl?.sectionId || null,
+    date: meta.date || dateFromName,
+    url: meta.url || null,
+    capturedAt: meta.capturedAt || null,
+    payload
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🔁 REPLAY
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Run detection on a single loaded payload
+ * @param {object} record - Result of loadPayload()
+ * @param {object} paramOverrides - HSSP_PARAMS overrides (applied on top of the farm profile)
+ * @param {object} options - {fusionMode: 'agree'|'weighted'} to fuse weight + VWC (default: profile.fusion)
+ * @returns {object} - Per farm/date replay result
+ */
+export function replayPayload(record, paramOverrides = {}, options = {}) {
+  const profile = getFarmProfile(record.farmId);
+  const { events, dataPoints, sensorKey, detector, lastPoint, fusion } = detectPayloadEvents(record.payload, {
+    profile,
+    paramOverrides,
+    fusionMode: options.fusionMode
+  });
+
+  const result = {
+    farmId: record.farmId,
+    sectionId: record.sectionId,
+    date: record.date,
+    profile: describeProfile(profile),
+    detector,
+    fusion,
+    pointCount: dataPoints?.length || 0,
+    eventCount: 0,
+    first: null,
+    last: null
+  };
+
+  if (!dataPoints || dataPoints.length === 0) {
+    result.error = 'no_data_points';
+    return result;
+  }
+
+  // Derive the date (farm-local) from the data itself when the file did not say
+  if (!result.date) {
+    const firstTimestamp = new Date(dataPoints[0].x);
+    if (!isNaN(firstTimestamp.getTime())) {
+      result.date = formatDateISO(firstTimestamp, profile.timezone);
+    }
+  }
+
+  const { first, last, lastPeak } = getFirstAndLastEvents(events, dataPoints, { profile, paramOverrides, lastPoint });
+  const summarize = e => ({
+    time: e.time,
+    index: e.index,
+    rise: e.rise,
+    ...(fusion ? { sensors: e.sensors, confidence: e.confidence } : {}),
+    ...(e.gap ? { gap: e.gap, timingUncertain: e.timingUncertain } : {})
+  });
+
+  result.eventCount = events.length;
+  result.first = first ? summarize(first) : null;
+  result.last = last ? summarize(last) : null;
+  result.lastClick = summarizeLastClick(lastPeak);
+  result.eventLog = buildEventLog(events, dataPoints, { sensorKey, profile, paramOverrides });
+  result.dataGaps = describeDataGaps(dataPoints, { profile, paramOverrides });
+  result.sun = describeSunriseTiming(profile, dataPoints[0].x, first);
+  result.steering = computeSteeringMetrics(dataPoints, result.eventLog, {
+    sensorKey,
+    timeZone: profile.timezone,
+    date: result.date
+  });
+
+  // Fused events already say which sensors backed them; otherwise check the other sensor's series
+  const scoreOptions = {
+    series: fusion ? null : extractSensorSeries(record.payload, profile.timezone),
+    sensorKey,
+    profile,
+    paramOverrides
+  };
+  result.confidence = {
+    first: scoreEventConfidence(first, dataPoints, scoreOptions),
+    last: scoreEventConfidence(last, dataPoints, scoreOptions)
+  };
+
+  // With fusion, list every event with the sensors that backed it
+  if (fusion) {
+    result.events = events.map(summarize);
+  }
+
+  // Multi-zone payloads: detect each 구역 on its own sensor series
+  const zones = detectZoneEvents(record.payload, null, { profile, paramOverrides, fusionMode: options.fusionMode });
+  if (zones.length > 1) {
+    result.zones = zones.map(z => ({
+      zone: z.zone,
+      sensorKey: z.sensorKey,
+      eventCount: z.events.length,
+      eventLog: z.eventLog,
+      first: z.first ? summarize(z.first) : null,
+      last: z.last ? summarize(z.last) : null,
+      lastClick: summarizeLastClick(z.lastPeak)
+    }));
+  }
+
+  return result;
+}
+
+/**
+ * Parse "KEY=VALUE" overrides into an HSSP_PARAMS patch
+ * @param {Array<string>} assignments - e.g. ['SURGE_WINDOW=8', 'DEBOUNCE_MINUTES=45']
+ * @returns {object}
+ */
+export function parseParamOverrides(assignments) {
+  const overrides = {};
+
+  for (const assignment of assignments) {
+    const [key, value] = assignment.split('=');
+
+    if (!(key in HSSP_PARAMS)) {
+      throw new Error(`Unknown HSSP parameter: ${key} (valid: ${Object.keys(HSSP_PARAMS).join(', ')})`);
+    }
+
+    const numeric = Number(value);
+    if (value === undefined || isNaN(numeric)) {
+      throw new Error(`Invalid value for ${key}: "${value}"`);
+    }
+
+    overrides[key] = numeric;
+  }
+
+  return overrides;
+}
+
+/**
+ * Replay every saved payload in a directory and print first/last times
+ * @param {string} dirPath - Directory of saved responses
+ * @param {object} options - {paramOverrides, outputFile, fusionMode}
+ * @returns {Promise<Array<object>>} - Replay results sorted by farm/date
+ */
+export async function runReplay(dirPath, options = {}) {
+  const { paramOverrides = {}, outputFile = null, fusionMode = null } = options;
+
+  logSection(`Offline Replay: ${dirPath}`);
+
+  if (!fs.existsSync(dirPath) || !fs.statSync(dirPath).isDirectory()) {
+    throw new Error(`Replay directory not found: ${dirPath}`);
+  }
+
+  if (Object.keys(paramOverrides).length > 0) {
+    log(`HSSP overrides: ${JSON.stringify(paramOverrides)}`, 'info');
+  }
+
+  if (fusionMode) {
+    log(`Sensor fusion: ${fusionMode} (weight + VWC)`, 'info');
+  }
+
+  const files = listPayloadFiles(dirPath);
+  log(`Found ${files.length} payload file(s)`, 'info');
+
+  const results = [];
+
+  for (const filePath of files) {
+    const record = loadPayload(filePath);
+    if (!record) continue;
+
+    const result = replayPayload(record, paramOverrides, { fusionMode });
+    result.file = path.relative(dirPath, filePath);
+    results.push(result);
+  }
+
+  results.sort((a, b) =>
+    String(a.farmId).localeCompare(String(b.farmId)) || String(a.date).localeCompare(String(b.date))
+  );
+
+  // Overnight dryback: yesterday's last peak → today's first valley, same farm/section
+  results.forEach((r, i) => {
+    const previous = results[i - 1];
+    if (previous && previous.farmId === r.farmId && previous.sectionId === r.sectionId && isPreviousDay(previous.steering, r.date)) {
+      linkOvernightDryback(r.steering, previous.steering);
+    }
+  });
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // SUMMARY TABLE
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  logSection('Replay Results');
+  console.log(`  ${'Farm'.padEnd(12)} ${'Date'.padEnd(12)} ${'Points'.padStart(6)} ${'Events'.padStart(6)}  First   Last    Conf       Profile`);
+  console.log(`  ${'─'.repeat(81)}`);
+
+  for (const r of results) {
+    const first = r.first?.time || '--:--';
+    const last = r.lastClick?.time || '--:--';
+    const score = c => (c ? c.score.toFixed(2) : ' -  ');
+    const conf = `${score(r.confidence?.first)}/${score(r.confidence?.last)}`;
+    console.log(`  ${String(r.farmId).padEnd(12)} ${String(r.date || '?').padEnd(12)} ${String(r.pointCount).padStart(6)} ${String(r.eventCount).padStart(6)}  ${first}   ${last}   ${conf.padEnd(9)}  ${r.profile.id}`);
+
+    if (r.sun) {
+      const offset = r.sun.minutesAfterSunrise !== null ? `, first irrigation ${r.sun.minutesAfterSunrise} min after` : '';
+      console.log(`      ↳ 🌅 sunrise ${r.sun.sunrise}, sunset ${r.sun.sunset}${offset}`);
+    }
+
+    if (r.steering?.overnightDryback) {
+      const unit = r.steering.unit || '';
+      console.log(`      ↳ 💧 overnight dryback ${r.steering.overnightDryback.value}${unit} (${r.steering.overnightDryback.percent}%), daytime ${r.steering.daytimeDryback}${unit}`);
+    }
+
+    if (r.dataGaps?.count > 0) {
+      console.log(`      ↳ ⚠️ ${r.dataGaps.count} data gap(s), ${r.dataGaps.totalMissingMinutes} min missing`);
+    }
+
+    for (const e of r.events || []) {
+      console.log(`      ↳ ${e.time}  ${e.sensors.join(' + ')}  (confidence ${e.confidence})`);
+    }
+
+    for (const z of r.zones || []) {
+      console.log(`      ↳ 구역 ${z.zone}  ${z.first?.time || '--:--'}   ${z.lastClick?.time || '--:--'}   ${z.sensorKey || '-'} (${z.eventCount} events)`);
+    }
+  }
+
+  console.log('');
+  log(`Replayed ${results.length} farm/date payload(s)`, 'success');
+
+  if (outputFile) {
+    saveJSON(outputFile, {
+      replayedAt: new Date().toISOString(),
+      source: dirPath,
+      params: { ...HSSP_PARAMS, ...paramOverrides },
+      fusionMode,
+      results
+    });
+    log(`Results saved to ${outputFile}`, 'success');
+  }
+
+  return results;
+}
+
+export default {
+  listPayloadFiles,
+  loadPayload,
+  replayPayload,
+  parseParamOverrides,
+  runReplay
+};
@@ -0,0 +1,243 @@
+/**
+ * Review Queue Module
+ * Confidence-gated autonomy: confident days are committed automatically, the rest
+ * wait in a persistent queue for a manager to review from the dashboard
+ *
+ * Policy (decideReview):
+ *   - no autoCommitConfidence set  → old behaviour: overlay for every date (or auto-click
+ *                                     when visual confirmation is off)
+ *   - FIRST and LAST both ≥ threshold → commit without asking
+ *   - otherwise                     → 'queue' (unattended runs) or 'overlay' (someone is watching)
+ *
+ * Queue file (REVIEW_QUEUE_FILE):
+ * { "version": 1, "items": [ { id, farmId, farmName, farmUrl, date, status, detected,
+ *   zones: [{zone, first, last}], confidence, reason, queuedAt, reviewedAt, review, appliedAt } ] }
+ *
+ * status: 'pending' → 'approved' | 'corrected' | 'dismissed' (dashboard) → applied on the
+ * next run for that farm/date (approved = write detected times, corrected = write the
+ * manager's times, dismissed = leave the date empty). zones holds the detected times of
+ * zones 2+, reviewed together with zone 1. appliedAt is set once the date has been saved.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadJSON, saveJSON, log } from './utils.js';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ⚙️ CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Absolute (repo root), so the automation and the dashboard share one queue whatever the cwd
+export const REVIEW_QUEUE_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data', 'review-queue.json');
+
+export const REVIEW_STATUSES = ['pending', 'approved', 'corrected', 'dismissed'];
+
+export const DEFAULT_AUTO_COMMIT_CONFIDENCE = 0.75;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🚦 POLICY
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Decide what to do with a detected date
+ * @param {{first: object|null, last: object|null}|null} confidence - scoreEventConfidence() results
+ * @param {object} options - {autoCommitConfidence (null = no gating), lowConfidenceAction: 'queue'|'overlay', visualConfirmation}
+ * @returns {{action: 'commit'|'queue'|'overlay', reason: string}}
+ */
+export function decideReview(confidence, options = {}) {
+  const { autoCommitConfidence = null, lowConfidenceAction = 'queue', visualConfirmation = true } = options;
+
+  if (autoCommitConfidence === null || autoCommitConfidence === undefined) {
+    return visualConfirmation
+      ? { action: 'overlay', reason: 'visual confirmation for every date' }
+      : { action: 'commit', reason: 'visual confirmation disabled' };
+  }
+
+  const scores = [confidence?.first?.score, confidence?.last?.score];
+  const weakest = Math.min(...scores.map(s => (typeof s === 'number' ? s : 0)));
+
+  if (weakest >= autoCommitConfidence) {
+    return { action: 'commit', reason: `confidence ${weakest.toFixed(2)} ≥ ${autoCommitConfidence}` };
+  }
+
+  return {
+    action: lowConfidenceAction === 'overlay' ? 'overlay' : 'queue',
+    reason: `confidence ${weakest.toFixed(2)} < ${autoCommitConfidence}`
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 📂 QUEUE STORAGE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Load the review queue
+ * @param {string} filePath - Queue file
+ * @returns {{version: number, items: Array<object>}}
+ */
+export function loadReviewQueue(filePath = REVIEW_QUEUE_FILE) {
+  const queue = loadJSON(filePath);
+  return { version: 1, items: Array.isArray(queue?.items) ? queue.items : [] };
+}
+
+/**
+ * Save the review queue (written to a temp file first so a crash never leaves half a queue)
+ * @param {object} queue - {version, items}
+ * @param {string} filePath - Queue file
+ */
+export function saveReviewQueue(queue, filePath = REVIEW_QUEUE_FILE) {
+  const tempPath = `${filePath}.tmp`;
+  saveJSON(tempPath, queue);
+  fs.renameSync(tempPath, filePath);
+}
+
+const itemKey = (farm, date) => `${farm.farmId || farm.farmName}|${date}`;
+
+/**
+ * Queue a farm/date for manual review (an open item for the same farm/date is updated)
+ * @param {object} entry - {farmId, farmName, farmUrl, date, detected: {first, last}, zones: [{zone, first, last}], confidence, reason}
+ * @param {string} filePath - Queue file
+ * @returns {object} - The queued item
+ */
+export function enqueueReview(entry, filePath = REVIEW_QUEUE_FILE) {
+  const queue = loadReviewQueue(filePath);
+  const key = itemKey(entry, entry.date);
+  const existing = queue.items.find(item => item.status === 'pending' && itemKey(item, item.date) === key);
+
+  const item = {
+    id: existing?.id || `${key}|${Date.now()}`,
+    farmId: entry.farmId || null,
+    farmName: entry.farmName,
+    farmUrl: entry.farmUrl || null,
+    date: entry.date,
+    status: 'pending',
+    detected: entry.detected || null,
+    zones: Array.isArray(entry.zones) ? entry.zones : [],
+    confidence: entry.confidence || null,
+    reason: entry.reason || null,
+    queuedAt: new Date().toISOString(),
+    reviewedAt: null,
+    review: null,
+    appliedAt: null
+  };
+
+  if (existing) {
+    Object.assign(existing, item);
+  } else {
+    queue.items.push(item);
+  }
+  saveReviewQueue(queue, filePath);
+
+  log(`Queued for review: ${item.farmName} ${item.date} (${item.reason})`, 'warning');
+  return item;
+}
+
+/**
+ * List queue items
+ * @param {object} filter - {status} to keep one status only
+ * @param {string} filePath - Queue file
+ * @returns {Array<object>} - Oldest first
+ */
+export function listReviewItems(filter = {}, filePath = REVIEW_QUEUE_FILE) {
+  return loadReviewQueue(filePath).items
+    .filter(item => !filter.status || item.status === filter.status)
+    .sort((a, b) => String(a.queuedAt).localeCompare(String(b.queuedAt)));
+}
+
+/**
+ * Record a manager's decision on a queued item
+ * @param {string} id - Item id
+ * @param {object} review - {status: 'approved'|'corrected'|'dismissed', first, last (HH:MM, for corrected),
+ *   zones: [{zone, first, last}] (corrected zone 2+ times), note}
+ * @param {string} filePath - Queue file
+ * @returns {object} - The updated item
+ */
+export function resolveReviewItem(id, review, filePath = REVIEW_QUEUE_FILE) {
+  const queue = loadReviewQueue(filePath);
+  const item = queue.items.find(i => i.id === id);
+
+  if (!item) {
+    throw new Error(`Review item not found: ${id}`);
+  }
+  if (!REVIEW_STATUSES.includes(review.status) || review.status === 'pending') {
+    throw new Error(`Invalid review status: ${review.status} (use approved, corrected or dismissed)`);
+  }
+
+  const timePattern = /^\d{1,2}:\d{2}$/;
+  if (review.status === 'corrected' && ![review.first, review.last].some(t => timePattern.test(String(t || '')))) {
+    throw new Error('A correction needs a first and/or last time as HH:MM');
+  }
+
+  item.status = review.status;
+  item.reviewedAt = new Date().toISOString();
+  const validTime = t => (timePattern.test(String(t || '')) ? t : null);
+  item.review = {
+    first: validTime(review.first),
+    last: validTime(review.last),
+    zones: Array.isArray(review.zones)
+      ? review.zones
+        .filter(z => Number.isInteger(Number(z?.zone)))
+        .map(z => ({ zone: Number(z.zone), first: validTime(z.first), last: validTime(z.last) }))
+      : null,
+    note: review.note || null
+  };
+  saveReviewQueue(queue, filePath);
+
+  return item;
+}
+
+/**
+ * Find a reviewed (not yet applied) decision for a farm/date
+ * @param {object} farm - {farmId, farmName}
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} filePath - Queue file
+ * @returns {object|null}
+ */
+export function findResolvedReview(farm, date, filePath = REVIEW_QUEUE_FILE) {
+  const key = itemKey(farm, date);
+  return loadReviewQueue(filePath).items.find(item =>
+    itemKey(item, item.date) === key && item.status !== 'pending' && !item.appliedAt
+  ) || null;
+}
+
+/**
+ * Zone 2+ times to write for a reviewed item: the manager's for a correction (where given),
+ * else the detected times they approved; nothing for a dismissed item
+ * @param {object} item - Reviewed queue item
+ * @returns {Array<{zone: number, first: string|null, last: string|null}>}
+ */
+export function reviewedZoneTimes(item) {
+  if (!item || item.status === 'dismissed' || item.status === 'pending') return [];
+  const corrected = item.status === 'corrected' ? item.review?.zones || [] : [];
+  return (item.zones || []).map(zone => corrected.find(z => z.zone === zone.zone) || zone);
+}
+
+/**
+ * Mark a reviewed item as written to the site
+ * @param {string} id - Item id
+ * @param {string} filePath - Queue file
+ */
+export function markReviewApplied(id, filePath = REVIEW_QUEUE_FILE) {
+  const queue = loadReviewQueue(filePath);
+  const item = queue.items.find(i => i.id === id);
+  if (item) {
+    item.appliedAt = new Date().toISOString();
+    saveReviewQueue(queue, filePath);
+  }
+}
+
+export default {
+  REVIEW_QUEUE_FILE,
+  REVIEW_STATUSES,
+  DEFAULT_AUTO_COMMIT_CONFIDENCE,
+  decideReview,
+  loadReviewQueue,
+  saveReviewQueue,
+  enqueueReview,
+  listReviewItems,
+  resolveReviewItem,
+  findResolvedReview,
+  reviewedZoneTimes,
+  markReviewApplied
+};
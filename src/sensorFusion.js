@@ -0,0 +1,264 @@
+/**
+ * Sensor Fusion Module
+ * Detects irrigation events from slab weight AND VWC together
+ *
+ * The farm's detector (detectors.js, HSSP unless the profile says otherwise) runs on the
+ * primary weight series (slabwgt*) and the primary VWC series
+ * (calslabvwc* preferred over slabvwc*). Events from both series within
+ * MATCH_TOLERANCE_MINUTES are treated as the same irrigation. Then:
+ *   - 'agree'    keeps only events seen by both sensors
+ *   - 'weighted' scores each event  confidence = Σ sensorWeight × strength
+ *                (strength = rise relative to the series' daily range, capped at 1)
+ *                and keeps events with confidence ≥ MIN_CONFIDENCE
+ * Weight-only noise (plant handling, dripper flushes) has no VWC response, so it
+ * is dropped in 'agree' mode and only survives 'weighted' mode when it is strong.
+ *
+ * Every returned event lists the sensor keys that backed it.
+ */
+
+import { extractDataPoints, extractSensorSeries, resolveSensorKey } from '../network-interceptor.js';
+import { classifySensor, runDetector } from './detectors.js';
+import { log, logSubsection } from './utils.js';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ⚙️ CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const FUSION_MODES = ['agree', 'weighted'];
+
+export const FUSION_PARAMS = {
+  MATCH_TOLERANCE_MINUTES: 10,      // Weight/VWC events this close are one irrigation
+  WEIGHT_SENSOR_WEIGHT: 0.6,        // Contribution of the weight sensor in 'weighted' mode
+  VWC_SENSOR_WEIGHT: 0.4,           // Contribution of the VWC sensor in 'weighted' mode
+  FULL_STRENGTH_RISE_FRACTION: 0.1, // Rise of 10% of the daily range counts as full strength
+  MIN_CONFIDENCE: 0.5               // 'weighted' keeps events at or above this
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🔎 SENSOR SELECTION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// classifySensor lives in detectors.js (detector choice by sensor type); re-exported here
+export { classifySensor };
+
+/**
+ * Pick the weight and VWC series to fuse, plus the anchor series whose indices events use
+ * @param {object} series - extractSensorSeries() result
+ * @param {string|null} preferredSensorKey - Profile sensorKey (becomes the anchor if present)
+ * @returns {{weight: string|null, vwc: string|null, anchor: string|null}}
+ */
+export function pickPrimarySensors(series, preferredSensorKey = null) {
+  const keys = Object.keys(series);
+  const weight = keys.find(k => classifySensor(k) === 'weight') || null;
+  const vwc = keys.find(k => k.toLowerCase().startsWith('calslabvwc')) ||
+              keys.find(k => classifySensor(k) === 'vwc') || null;
+
+  const preferred = preferredSensorKey
+    ? [weight, vwc].find(k => k && k.toLowerCase().startsWith(preferredSensorKey.toLowerCase()))
+    : null;
+
+  return { weight, vwc, anchor: preferred || weight || vwc };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🔗 FUSION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Find the point index closest in time to x
+ * @param {Array<{x: number}>} points - Series sorted by x
+ * @param {number} x - Target timestamp
+ * @returns {number}
+ */
+function nearestIndex(points, x) {
+  let best = 0;
+  for (let i = 1; i < points.length; i++) {
+    if (Math.abs(points[i].x - x) < Math.abs(points[best].x - x)) {
+      best = i;
+    }
+  }
+  return best;
+}
+
+/**
+ * Rise strength of an event relative to its series' daily range (0-1)
+ */
+function eventStrength(event, points, fusionParams) {
+  const yValues = points.map(p => p.y);
+  const range = Math.max(...yValues) - Math.min(...yValues);
+  if (!range) return 0;
+  return Math.min(1, event.rise / (range * fusionParams.FULL_STRENGTH_RISE_FRACTION));
+}
+
+/**
+ * Detect events on weight and VWC and fuse them
+ * @param {object} series - extractSensorSeries() result
+ * @param {object} options - {mode, paramOverrides, profile, fusionParams, alignTo}
+ *   alignTo: points array to re-index events against (e.g. the chart series being clicked)
+ * @returns {{mode: string, sensors: object, detectors: object, lastPoint: string, fallback: boolean, anchorPoints: Array, events: Array, rejected: Array}}
+ *   detectors: detector name per sensor type; lastPoint: how the anchor's detector finds the LAST click
+ */
+export function detectFusedEvents(series, options = {}) {
+  const {
+    mode = 'agree',
+    paramOverrides = {},
+    profile = null,
+    fusionParams: fusionOverrides = {},
+    alignTo = null
+  } = options;
+
+  if (!FUSION_MODES.includes(mode)) {
+    throw new Error(`Unknown fusion mode: ${mode} (use ${FUSION_MODES.join(' or ')})`);
+  }
+
+  const fusionParams = { ...FUSION_PARAMS, ...fusionOverrides };
+  const sensors = pickPrimarySensors(series, profile?.sensorKey);
+
+  logSubsection(`Sensor Fusion (${mode}): weight=${sensors.weight || '-'} vwc=${sensors.vwc || '-'}`);
+
+  const detect = key => (key ? runDetector(series[key], { paramOverrides, profile, sensorKey: key }) : null);
+  const weightDetection = detect(sensors.weight);
+  const vwcDetection = detect(sensors.vwc);
+  const weightEvents = weightDetection?.events || [];
+  const vwcEvents = vwcDetection?.events || [];
+  const anchorDetection = sensors.anchor === sensors.vwc ? vwcDetection : weightDetection;
+  const detectors = { weight: weightDetection?.detector || null, vwc: vwcDetection?.detector || null };
+
+  const anchorPoints = sensors.anchor ? series[sensors.anchor] : [];
+  const targetPoints = alignTo || anchorPoints;
+  const fallback = !sensors.weight || !sensors.vwc;
+
+  if (fallback) {
+    log(`Only one sensor type available - fusion falls back to ${sensors.anchor || 'nothing'}`, 'warning');
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // MATCH: pair weight and VWC events by farm-local minute of day
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  const minuteOf = e => e.hour * 60 + e.minute;
+  const unmatchedVwc = [...vwcEvents];
+  const candidates = [];
+
+  for (const weightEvent of weightEvents) {
+    let matchIdx = -1;
+    let bestDiff = Infinity;
+
+    unmatchedVwc.forEach((vwcEvent, idx) => {
+      const diff = Math.abs(minuteOf(vwcEvent) - minuteOf(weightEvent));
+      if (diff <= fusionParams.MATCH_TOLERANCE_MINUTES && diff < bestDiff) {
+        bestDiff = diff;
+        matchIdx = idx;
+      }
+    });
+
+    const vwcEvent = matchIdx !== -1 ? unmatchedVwc.splice(matchIdx, 1)[0] : null;
+    candidates.push({ weightEvent, vwcEvent });
+  }
+  unmatchedVwc.forEach(vwcEvent => candidates.push({ weightEvent: null, vwcEvent }));
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // SCORE & FILTER
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  const events = [];
+  const rejected = [];
+
+  for (const { weightEvent, vwcEvent } of candidates) {
+    const weightStrength = weightEvent ? eventStrength(weightEvent, series[sensors.weight], fusionParams) : 0;
+    const vwcStrength = vwcEvent ? eventStrength(vwcEvent, series[sensors.vwc], fusionParams) : 0;
+    const confidence = fusionParams.WEIGHT_SENSOR_WEIGHT * weightStrength + fusionParams.VWC_SENSOR_WEIGHT * vwcStrength;
+
+    const backedBy = [weightEvent && sensors.weight, vwcEvent && sensors.vwc].filter(Boolean);
+
+    // Anchor on the preferred series' event when it exists, otherwise the other one
+    const anchorEvent = (sensors.anchor === sensors.vwc ? vwcEvent || weightEvent : weightEvent || vwcEvent);
+    const fused = {
+      ...anchorEvent,
+      sensors: backedBy,
+      confidence: Number(confidence.toFixed(3))
+    };
+
+    // Indices must refer to the series the caller will click/plot: every index of the
+    // anchor event points into its own sensor's series, so map each through its timestamp
+    if (targetPoints.length > 0) {
+      const sourcePoints = series[anchorEvent === vwcEvent ? sensors.vwc : sensors.weight] || [];
+      fused.index = nearestIndex(targetPoints, anchorEvent.x);
+      fused.y = targetPoints[fused.index].y;
+      for (const key of ['startIndex', 'peakIndex']) {
+        if (typeof anchorEvent[key] === 'number' && sourcePoints[anchorEvent[key]]) {
+          fused[key] = nearestIndex(targetPoints, sourcePoints[anchorEvent[key]].x);
+        }
+      }
+    }
+
+    let keep;
+    if (fallback) {
+      keep = true;
+    } else if (mode === 'agree') {
+      keep = backedBy.length === 2;
+    } else {
+      keep = confidence >= fusionParams.MIN_CONFIDENCE;
+    }
+
+    if (keep) {
+      events.push(fused);
+    } else {
+      rejected.push(fused);
+      log(`⏭️ REJECTED ${fused.time}: backed by ${backedBy.join(', ')} (confidence ${fused.confidence})`, 'warning');
+    }
+  }
+
+  events.sort((a, b) => a.x - b.x);
+
+  log(`Fused events: ${events.length} kept, ${rejected.length} rejected`, 'success');
+
+  return { mode, sensors, detectors, lastPoint: anchorDetection?.lastPoint || 'peak', fallback, anchorPoints, events, rejected };
+}
+
+/**
+ * Detect events for a raw payload, fused when a mode is given (or set in the profile)
+ * @param {object} payload - Raw API response with "node." keys
+ * @param {object} options - {profile, paramOverrides, fusionMode}
+ * @returns {{events: Array, dataPoints: Array|null, sensorKey: string|null, detector: string|object|null, lastPoint: string, fusion: object|null}}
+ *   detector: the registry detector used (per sensor type when fused); lastPoint: see detectors.js
+ */
+export function detectPayloadEvents(payload, options = {}) {
+  const { profile = null, paramOverrides = {}, fusionMode = null } = options;
+  const mode = fusionMode || profile?.fusion || null;
+
+  if (mode) {
+    const fused = detectFusedEvents(extractSensorSeries(payload, profile?.timezone), { mode, paramOverrides, profile });
+    return {
+      events: fused.events,
+      dataPoints: fused.anchorPoints,
+      sensorKey: fused.sensors.anchor,
+      detector: fused.detectors,
+      lastPoint: fused.lastPoint,
+      fusion: { mode, sensors: fused.sensors, fallback: fused.fallback, rejected: fused.rejected.length }
+    };
+  }
+
+  const dataPoints = extractDataPoints(payload, profile?.sensorKey, profile?.timezone);
+  const sensorKey = resolveSensorKey(payload, profile?.sensorKey);
+  const detection = dataPoints
+    ? runDetector(dataPoints, { paramOverrides, profile, sensorKey })
+    : { detector: null, lastPoint: 'peak', events: [] };
+  return {
+    events: detection.events,
+    dataPoints,
+    sensorKey,
+    detector: detection.detector,
+    lastPoint: detection.lastPoint,
+    fusion: null
+  };
+}
+
+export default {
+  FUSION_MODES,
+  FUSION_PARAMS,
+  classifySensor,
+  pickPrimarySensors,
+  detectFusedEvents,
+  detectPayloadEvents
+};
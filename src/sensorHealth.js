@@ -0,0 +1,343 @@
+/**
+ * Sensor Health Module
+ * Flags sensor problems in a day of captured data and writes them as issue-tracker rows
+ *
+ * Checks per sensor series (every "node." key, every sensor):
+ *   - flatline   value unchanged for FLATLINE_MINUTES or more (dead / frozen sensor)
+ *   - stale      last timestamp more than STALE_MINUTES before the end of the day (or now)
+ *   - jump       step between samples beyond what the sensor can physically do
+ *   - noise      sample-to-sample jitter large relative to the day's range
+ *   - sparse     day covered by too few data points
+ *
+ * Findings become rows in the farm_issues_tracking.csv column format
+ * (농가명, 노드 ID, 발생일자, 문제 유형, 상세 증상, ...) appended to SENSOR_ISSUES_FILE,
+ * so they can be reviewed and merged into the tracker instead of typed by hand.
+ * The automation runs this on every captured day; runHealthCheck does the same for
+ * archived payloads (node main.js health).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { extractSensorSeries } from '../network-interceptor.js';
+import { listPayloadFiles, loadPayload } from './replay.js';
+import { ARCHIVE_DIR } from './payloadArchive.js';
+import { getFarmProfile } from './farmProfiles.js';
+import { classifySensor } from './detectors.js';
+import { log, logSection, logSubsection, formatDateISO, formatTimeHM, zonedTimeToEpoch, DEFAULT_TIMEZONE } from './utils.js';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ⚙️ CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const SENSOR_ISSUES_FILE = './data/farm-issues-detected.csv';
+
+// Same columns as farm_issues_tracking.csv
+export const ISSUE_COLUMNS = ['농가명', '노드 ID', '발생일자', '문제 유형', '상세 증상', '측정 속도', '조치 사항', '조치일', '담당자', '현재 상태', '출처 URL'];
+
+export const HEALTH_PARAMS = {
+  FLATLINE_MINUTES: 240,        // Identical values this long = frozen sensor (night VWC can sit still for a while)
+  STALE_MINUTES: 60,            // Last point older than this before end of day / now
+  MAX_STEP_PER_MINUTE: {        // Largest believable change per minute, by sensor type
+    weight: 10,                 //   slab weight, kg
+    vwc: 20,                    //   VWC, % points
+    default: null               //   others: no physical limit, only the range check below
+  },
+  VALUE_RANGE: {                // Physically possible values, by sensor type
+    weight: [0, Infinity],
+    vwc: [0, 100]
+  },
+  NOISE_MAX_FRACTION: 0.05,     // Robust jitter (MAD of steps) above this share of the day's range
+  MIN_COVERAGE: 0.5,            // Points must cover at least half of the day
+  MIN_POINTS: 60                // ...and there must be at least this many
+};
+
+// 문제 유형 written to the tracker for each check
+export const ISSUE_TYPES = {
+  flatline: '센서값 고정',
+  stale: '데이터 수신 중단',
+  jump: '비정상 급변',
+  noise: '센서 노이즈',
+  sparse: '데이터 부족'
+};
+
+const AUTO_STATUS = '자동 감지';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🩺 CHECKS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const median = values => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+/**
+ * Run every health check on one sensor series
+ * @param {Array<{x: number, y: number}>} points - Series with epoch-ms x, sorted by x
+ * @param {object} options - {sensorKey, date (YYYY-MM-DD, farm-local), timeZone, now, healthParams}
+ * @returns {Array<{type: string, sensorKey: string, detail: string}>}
+ */
+export function analyzeSeriesHealth(points, options = {}) {
+  const {
+    sensorKey = 'sensor',
+    timeZone = DEFAULT_TIMEZONE,
+    now = Date.now(),
+    healthParams: overrides = {}
+  } = options;
+  const params = { ...HEALTH_PARAMS, ...overrides };
+  const findings = [];
+  const add = (type, detail) => findings.push({ type, sensorKey, detail: `${sensorKey}: ${detail}` });
+
+  if (!points || points.length === 0) {
+    add('sparse', '데이터 없음');
+    return findings;
+  }
+
+  const hasTimestamps = points[0].x > 1e11;
+  const date = options.date || (hasTimestamps ? formatDateISO(new Date(points[0].x), timeZone) : null);
+  const intervals = points.slice(1).map((p, i) => p.x - points[i].x);
+  const intervalMs = hasTimestamps && intervals.length > 0 ? median(intervals) : 60000;
+  const minutesOf = ms => Math.round(ms / 60000);
+  const timeOf = x => (hasTimestamps ? formatTimeHM(x, timeZone) : `#${x}`);
+
+  // Day window in farm-local time; today is only covered up to now
+  let dayStart = null;
+  let dayEnd = null;
+  if (hasTimestamps && date) {
+    const [year, month, day] = date.split('-').map(Number);
+    dayStart = zonedTimeToEpoch(year, month, day, 0, 0, 0, timeZone);
+    dayEnd = Math.min(zonedTimeToEpoch(year, month, day + 1, 0, 0, 0, timeZone), now);
+  }
+
+  // SPARSE: too few points for the part of the day that has passed
+  const expected = dayStart !== null ? Math.max(1, (dayEnd - dayStart) / intervalMs) : points.length;
+  const coverage = Math.min(1, points.length / expected);
+  if (points.length < params.MIN_POINTS || coverage < params.MIN_COVERAGE) {
+    add('sparse', `데이터 ${points.length}개 (예상 ${Math.round(expected)}개, ${Math.round(coverage * 100)}%)`);
+  }
+
+  // STALE: the series stops well before the end of the day
+  const last = points[points.length - 1];
+  if (dayEnd !== null && dayEnd - last.x > params.STALE_MINUTES * 60000) {
+    add('stale', `마지막 데이터 ${timeOf(last.x)}, 이후 ${minutesOf(dayEnd - last.x)}분간 수신 없음`);
+  }
+
+  // FLATLINE: longest run of identical values
+  let runStart = 0;
+  let longest = { start: 0, end: 0 };
+  for (let i = 1; i <= points.length; i++) {
+    if (i < points.length && points[i].y === points[runStart].y) continue;
+    if (points[i - 1].x - points[runStart].x > points[longest.end].x - points[longest.start].x) {
+      longest = { start: runStart, end: i - 1 };
+    }
+    runStart = i;
+  }
+  const flatMinutes = hasTimestamps
+    ? minutesOf(points[longest.end].x - points[longest.start].x)
+    : longest.end - longest.start;
+  if (flatMinutes >= params.FLATLINE_MINUTES) {
+    add('flatline', `값 ${points[longest.start].y} 고정 ${timeOf(points[longest.start].x)}-${timeOf(points[longest.end].x)} (${flatMinutes}분)`);
+  }
+
+  // JUMP: impossible values or steps
+  const type = classifySensor(sensorKey);
+  const range = type ? params.VALUE_RANGE[type] : null;
+  const outOfRange = range ? points.filter(p => p.y < range[0] || p.y > range[1]) : [];
+  if (outOfRange.length > 0) {
+    add('jump', `범위 밖 값 ${outOfRange.length}개 (예: ${timeOf(outOfRange[0].x)} ${outOfRange[0].y})`);
+  }
+
+  const maxStep = params.MAX_STEP_PER_MINUTE[type] ?? params.MAX_STEP_PER_MINUTE.default;
+  if (maxStep) {
+    const jumps = [];
+    for (let i = 1; i < points.length; i++) {
+      const minutes = hasTimestamps ? Math.max(1, (points[i].x - points[i - 1].x) / 60000) : 1;
+      if (Math.abs(points[i].y - points[i - 1].y) > maxStep * minutes) jumps.push(i);
+    }
+    if (jumps.length > 0) {
+      const i = jumps[0];
+      add('jump', `급변 ${jumps.length}회 (예: ${timeOf(points[i].x)} ${points[i - 1].y} → ${points[i].y})`);
+    }
+  }
+
+  // NOISE: robust step jitter (MAD ignores the few irrigation steps) vs. the day's range
+  const yValues = points.map(p => p.y);
+  const dayRange = Math.max(...yValues) - Math.min(...yValues);
+  if (points.length > 2 && dayRange > 0) {
+    const steps = points.slice(1).map((p, i) => p.y - points[i].y);
+    const typical = median(steps);
+    const jitter = 1.4826 * median(steps.map(s => Math.abs(s - typical)));
+    if (jitter / dayRange > params.NOISE_MAX_FRACTION) {
+      add('noise', `변동폭 ±${jitter.toFixed(3)} (일 범위 ${dayRange.toFixed(3)}의 ${Math.round((jitter / dayRange) * 100)}%)`);
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Run the health checks on every sensor of every node in a payload
+ * @param {object} payload - Raw API response with "node." keys
+ * @param {object} options - {date, timeZone, now, healthParams}
+ * @returns {Array<{nodeId: string, type: string, sensorKey: string, detail: string}>}
+ */
+export function analyzePayloadHealth(payload, options = {}) {
+  const nodeKeys = Object.keys(payload || {}).filter(key => key.startsWith('node.') && Array.isArray(payload[key]));
+  const findings = [];
+
+  if (nodeKeys.length === 0) {
+    return [{ nodeId: '', type: 'sparse', sensorKey: '', detail: '센서 데이터 없음 ("node." 키 없음)' }];
+  }
+
+  for (const nodeKey of nodeKeys) {
+    const nodeId = nodeKey.slice('node.'.length);
+    const series = extractSensorSeries({ [nodeKey]: payload[nodeKey] }, options.timeZone);
+
+    for (const [sensorKey, points] of Object.entries(series)) {
+      analyzeSeriesHealth(points, { ...options, sensorKey })
+        .forEach(finding => findings.push({ nodeId, ...finding }));
+    }
+  }
+
+  return findings;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 📝 ISSUE TRACKER ROWS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Convert findings into farm_issues_tracking.csv rows
+ * @param {Array} findings - analyzePayloadHealth() result
+ * @param {object} context - {farmName, date}
+ * @returns {Array<object>} - Rows keyed by ISSUE_COLUMNS
+ */
+export function toIssueRows(findings, context = {}) {
+  return findings.map(finding => {
+    const row = Object.fromEntries(ISSUE_COLUMNS.map(column => [column, '']));
+    row['농가명'] = context.farmName || '';
+    row['노드 ID'] = finding.nodeId || '';
+    row['발생일자'] = context.date || '';
+    row['문제 유형'] = ISSUE_TYPES[finding.type] || finding.type;
+    row['상세 증상'] = finding.detail;
+    row['현재 상태'] = AUTO_STATUS;
+    return row;
+  });
+}
+
+const csvCell = value => {
+  const text = String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One issue per farm/node/date/type/sensor; the detail text after the sensor key may change between runs
+const rowKey = row => [row['농가명'], row['노드 ID'], row['발생일자'], row['문제 유형'], row['상세 증상'].split(':')[0]].join('|');
+
+/**
+ * Append issue rows to the CSV (header written on first use, duplicates skipped)
+ * @param {Array<object>} rows - toIssueRows() result
+ * @param {string} filePath - Target CSV
+ * @returns {number} - Rows actually added
+ */
+export function appendIssueRows(rows, filePath = SENSOR_ISSUES_FILE) {
+  if (rows.length === 0) return 0;
+
+  const existing = new Set();
+  if (fs.existsSync(filePath)) {
+    const lines = fs.readFileSync(filePath, 'utf8').split(/\r?\n/).slice(1).filter(line => line.trim());
+    for (const line of lines) {
+      // Cells are quoted only when they contain commas/quotes; split on unquoted commas
+      const cells = line.match(/("([^"]|"")*"|[^,]*)(,|$)/g).map(c => c.replace(/,$/, '').replace(/^"|"$/g, '').replace(/""/g, '"'));
+      existing.add(rowKey(Object.fromEntries(ISSUE_COLUMNS.map((column, i) => [column, cells[i] || '']))));
+    }
+  } else {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, `${ISSUE_COLUMNS.join(',')}\n`);
+  }
+
+  const fresh = rows.filter(row => !existing.has(rowKey(row)));
+  if (fresh.length > 0) {
+    fs.appendFileSync(filePath, fresh.map(row => ISSUE_COLUMNS.map(c => csvCell(row[c])).join(',')).join('\n') + '\n');
+  }
+
+  return fresh.length;
+}
+
+/**
+ * Analyse one captured day and record its findings
+ * @param {object} payload - Raw API response with "node." keys
+ * @param {object} context - {farmName, date, timeZone, now, healthParams, filePath}
+ * @returns {{findings: Array, added: number}}
+ */
+export function recordSensorHealth(payload, context = {}) {
+  const { filePath = SENSOR_ISSUES_FILE } = context;
+  const findings = analyzePayloadHealth(payload, context);
+
+  logSubsection(`Sensor Health: ${context.farmName || '?'} ${context.date || ''}`);
+  if (findings.length === 0) {
+    log('All sensors healthy', 'success');
+    return { findings, added: 0 };
+  }
+
+  findings.forEach(f => log(`${ISSUE_TYPES[f.type]} - node ${f.nodeId}: ${f.detail}`, 'warning'));
+  const added = appendIssueRows(toIssueRows(findings, context), filePath);
+  log(`${added} new issue row(s) written to ${filePath}`, 'info');
+
+  return { findings, added };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🔁 ARCHIVED PAYLOADS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Health-check every saved payload in a directory
+ * @param {object} options - {payloadDir, filePath, healthParams}
+ * @returns {Promise<{days: number, findings: number, added: number}>}
+ */
+export async function runHealthCheck(options = {}) {
+  const { payloadDir = ARCHIVE_DIR, filePath = SENSOR_ISSUES_FILE, healthParams = {} } = options;
+
+  logSection(`Sensor Health Check: ${payloadDir}`);
+
+  if (!fs.existsSync(payloadDir) || !fs.statSync(payloadDir).isDirectory()) {
+    throw new Error(`Payload directory not found: ${payloadDir}`);
+  }
+
+  const summary = { days: 0, findings: 0, added: 0 };
+
+  for (const file of listPayloadFiles(payloadDir)) {
+    const record = loadPayload(file);
+    if (!record) continue;
+
+    const profile = getFarmProfile(record.farmId);
+    const { findings, added } = recordSensorHealth(record.payload, {
+      farmName: profile.name || record.farmId,
+      date: record.date,
+      timeZone: profile.timezone,
+      healthParams,
+      filePath
+    });
+
+    summary.days++;
+    summary.findings += findings.length;
+    summary.added += added;
+  }
+
+  log(`Checked ${summary.days} farm/day(s): ${summary.findings} finding(s), ${summary.added} new row(s) in ${filePath}`, 'success');
+  return summary;
+}
+
+export default {
+  SENSOR_ISSUES_FILE,
+  ISSUE_COLUMNS,
+  HEALTH_PARAMS,
+  ISSUE_TYPES,
+  analyzeSeriesHealth,
+  analyzePayloadHealth,
+  toIssueRows,
+  appendIssueRows,
+  recordSensorHealth,
+  runHealthCheck
+};
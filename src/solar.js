@@ -0,0 +1,148 @@
+/**
+ * Solar Calculator Module
+ * Sunrise / sunset from a farm's latitude and longitude, computed offline
+ *
+ * Algorithm: the sunrise equation (NOAA low-precision solar position), accurate to about
+ * a minute between the polar circles. Times are for the farm's local calendar date.
+ *
+ * Farm profile (see farmProfiles.js):
+ *   "location": { "latitude": 35.18, "longitude": 128.11 }
+ *   "daytime": { "solar": true, "sunriseOffsetMinutes": 0, "sunsetOffsetMinutes": 0 }
+ *
+ * With "solar": true the fixed DAYTIME_START / DAYTIME_END hours are replaced, per date, by the
+ * hours of sunrise and sunset (plus the offsets). The detection filter works on whole hours
+ * (accepted while hour ≤ DAYTIME_END), so a 17:40 sunset gives DAYTIME_END 17.
+ */
+
+import { getZonedParts, formatTimeHM, DEFAULT_TIMEZONE } from './utils.js';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ⚙️ CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Sun centre below the horizon at sunrise/sunset: refraction + solar radius (degrees)
+export const SUNRISE_ALTITUDE = -0.833;
+
+const J2000 = 2451545.0;           // Julian day of 2000-01-01 12:00 UTC
+const UNIX_EPOCH_JD = 2440587.5;   // Julian day of 1970-01-01 00:00 UTC
+const DAY_MS = 86400000;
+const toRadians = deg => (deg * Math.PI) / 180;
+const toDegrees = rad => (rad * 180) / Math.PI;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ☀️ SUNRISE / SUNSET
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Compute sunrise, solar noon and sunset for a farm-local date
+ * @param {Date|number} date - Any instant on the farm-local day
+ * @param {{latitude: number, longitude: number}} location - Degrees, north and east positive
+ * @param {string} timeZone - IANA timezone of the farm (picks the calendar day)
+ * @returns {{sunrise: number|null, solarNoon: number, sunset: number|null}} - Epoch ms;
+ *   sunrise/sunset are null during polar day or night
+ */
+export function computeSunTimes(date, location, timeZone = DEFAULT_TIMEZONE) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  const { latitude, longitude } = location;
+
+  // Days since J2000 at noon UTC of the local calendar date, shifted to local solar noon
+  const n = Date.UTC(year, month - 1, day, 12) / DAY_MS + UNIX_EPOCH_JD - J2000;
+  const meanSolarNoon = n - longitude / 360;
+
+  const meanAnomaly = (357.5291 + 0.98560028 * meanSolarNoon) % 360;
+  const M = toRadians(meanAnomaly);
+  const center = 1.9148 * Math.sin(M) + 0.02 * Math.sin(2 * M) + 0.0003 * Math.sin(3 * M);
+  const eclipticLongitude = toRadians((meanAnomaly + center + 180 + 102.9372) % 360);
+
+  const transit = J2000 + meanSolarNoon + 0.0053 * Math.sin(M) - 0.0069 * Math.sin(2 * eclipticLongitude);
+  const declination = Math.asin(Math.sin(eclipticLongitude) * Math.sin(toRadians(23.4397)));
+
+  const phi = toRadians(latitude);
+  const cosHourAngle = (Math.sin(toRadians(SUNRISE_ALTITUDE)) - Math.sin(phi) * Math.sin(declination)) /
+    (Math.cos(phi) * Math.cos(declination));
+
+  const toEpoch = julianDay => Math.round((julianDay - UNIX_EPOCH_JD) * DAY_MS);
+  const solarNoon = toEpoch(transit);
+
+  if (cosHourAngle < -1 || cosHourAngle > 1) {
+    return { sunrise: null, solarNoon, sunset: null };
+  }
+
+  const hourAngle = toDegrees(Math.acos(cosHourAngle));
+  return {
+    sunrise: toEpoch(transit - hourAngle / 360),
+    solarNoon,
+    sunset: toEpoch(transit + hourAngle / 360)
+  };
+}
+
+/**
+ * Check that a profile has a usable location
+ * @param {object} profile - getFarmProfile() result
+ * @returns {boolean}
+ */
+export function hasLocation(profile) {
+  return Number.isFinite(profile?.location?.latitude) && Number.isFinite(profile?.location?.longitude);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🕖 DAYTIME WINDOW
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * DAYTIME_START / DAYTIME_END for one date from sunrise and sunset
+ * @param {object} profile - getFarmProfile() result with daytime.solar and a location
+ * @param {Date|number} date - Any instant on the farm-local day
+ * @returns {{DAYTIME_START: number, DAYTIME_END: number}|null} - null when the profile does not
+ *   use the solar window, has no location, or the sun does not rise/set that day
+ */
+export function solarDaytimeOverrides(profile, date) {
+  if (!profile?.daytime?.solar || !hasLocation(profile) || date === null || date === undefined) return null;
+
+  const timeZone = profile.timezone || DEFAULT_TIMEZONE;
+  const { sunrise, sunset } = computeSunTimes(date, profile.location, timeZone);
+  if (sunrise === null || sunset === null) return null;
+
+  const offsetMs = minutes => (Number(minutes) || 0) * 60000;
+  return {
+    DAYTIME_START: getZonedParts(sunrise + offsetMs(profile.daytime.sunriseOffsetMinutes), timeZone).hour,
+    DAYTIME_END: getZonedParts(sunset + offsetMs(profile.daytime.sunsetOffsetMinutes), timeZone).hour
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🌅 SUNRISE-RELATIVE TIMING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Sunrise/sunset of a date and how long after sunrise the first irrigation started
+ * @param {object} profile - getFarmProfile() result
+ * @param {Date|number} date - Any instant on the farm-local day
+ * @param {object|null} firstEvent - Detected FIRST event ({x} epoch ms)
+ * @returns {{sunrise: string|null, sunset: string|null, dayLengthMinutes: number|null, firstIrrigation: string|null, minutesAfterSunrise: number|null}|null}
+ *   null when the profile has no location, or date is not an epoch (x is an index without timestamps)
+ */
+export function describeSunriseTiming(profile, date, firstEvent = null) {
+  const epoch = date instanceof Date ? date.getTime() : date;
+  if (!hasLocation(profile) || !(epoch > 1e11)) return null;
+
+  const timeZone = profile.timezone || DEFAULT_TIMEZONE;
+  const { sunrise, sunset } = computeSunTimes(date, profile.location, timeZone);
+  const firstX = firstEvent?.x > 1e11 ? firstEvent.x : null;
+
+  return {
+    sunrise: sunrise !== null ? formatTimeHM(sunrise, timeZone) : null,
+    sunset: sunset !== null ? formatTimeHM(sunset, timeZone) : null,
+    dayLengthMinutes: sunrise !== null && sunset !== null ? Math.round((sunset - sunrise) / 60000) : null,
+    firstIrrigation: firstX !== null ? formatTimeHM(firstX, timeZone) : null,
+    minutesAfterSunrise: firstX !== null && sunrise !== null ? Math.round((firstX - sunrise) / 60000) : null
+  };
+}
+
+export default {
+  SUNRISE_ALTITUDE,
+  computeSunTimes,
+  hasLocation,
+  solarDaytimeOverrides,
+  describeSunriseTiming
+};
@@ -0,0 +1,208 @@
+/**
+ * Substrate Steering Module
+ * Dryback and daily water-balance metrics from the captured series and the day's event log
+ *
+ * Metrics per farm/day (computeSteeringMetrics):
+ *   - max / min          Highest and lowest value of the day (VWC % or slab weight kg)
+ *   - firstValley        Lowest value before the first irrigation (end of the overnight dryback)
+ *   - lastPeak           Peak after the last irrigation (start of the next overnight dryback)
+ *   - overnightDryback   Previous day's lastPeak → today's firstValley (needs the previous day)
+ *   - daytimeDryback     Sum of the falls between one irrigation's peak and the next start
+ *   - totalDailyRise     Sum of the shot sizes (eventLog.totalShotSize)
+ *   - nightMoistureDeviation  The send-report 야간 함수율 편차 value: overnight dryback of a
+ *                        VWC sensor in percentage points, one decimal (null for weight sensors)
+ *
+ * The site leaves today's 야간 함수율 편차 cell as '-' until the report is sent; the earlier
+ * columns are compared with the values computed here (checkNightMoistureDeviation).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { classifySensor } from './detectors.js';
+import { formatTimeHM, getDateRange, DEFAULT_TIMEZONE } from './utils.js';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ⚙️ CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Largest |site − computed| still counted as agreeing (percentage points)
+export const NIGHT_DEVIATION_TOLERANCE = 0.5;
+
+const EMPTY_CELL_VALUES = ['-', '—', ''];
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 💧 DAILY METRICS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Compute the steering metrics for one day
+ * @param {Array<{x: number, y: number}>} dataPoints - The day's series
+ * @param {object} eventLog - buildEventLog() result for the same series
+ * @param {object} options - {sensorKey, timeZone, date (YYYY-MM-DD), previousDay (this function's result for the day before)}
+ * @returns {object|null} - null when the series is empty
+ */
+export function computeSteeringMetrics(dataPoints, eventLog, options = {}) {
+  const { sensorKey = null, timeZone = DEFAULT_TIMEZONE, date = null, previousDay = null } = options;
+  if (!dataPoints || dataPoints.length === 0) return null;
+
+  const round = value => Number(value.toFixed(4));
+  // x is epoch ms when the payload had timestamps, otherwise the point index
+  const pointAt = index => ({
+    value: round(dataPoints[index].y),
+    time: dataPoints[index].x > 1e11 ? formatTimeHM(dataPoints[index].x, timeZone) : null,
+    index
+  });
+  const extremeIndex = (from, to, better) => {
+    let best = from;
+    for (let i = from + 1; i <= to; i++) {
+      if (better(dataPoints[i].y, dataPoints[best].y)) best = i;
+    }
+    return best;
+  };
+
+  const last = dataPoints.length - 1;
+  const events = [...(eventLog?.events || [])].sort((a, b) => a.startIndex - b.startIndex);
+  const first = events[0];
+  const final = events[events.length - 1];
+
+  const firstValley = first ? pointAt(extremeIndex(0, first.startIndex, (a, b) => a < b)) : null;
+  const lastPeak = final ? pointAt(final.peakIndex) : null;
+
+  // DAYTIME: peak of one irrigation down to the start of the next
+  let daytimeDryback = 0;
+  for (let i = 0; i < events.length - 1; i++) {
+    daytimeDryback += Math.max(0, dataPoints[events[i].peakIndex].y - dataPoints[events[i + 1].startIndex].y);
+  }
+
+  const metrics = {
+    date,
+    sensorKey,
+    unit: eventLog?.shotUnit || null,
+    max: pointAt(extremeIndex(0, last, (a, b) => a > b)),
+    min: pointAt(extremeIndex(0, last, (a, b) => a < b)),
+    firstValley,
+    lastPeak,
+    overnightDryback: null,
+    daytimeDryback: events.length > 0 ? round(daytimeDryback) : null,
+    totalDailyRise: eventLog ? eventLog.totalShotSize : null,
+    nightMoistureDeviation: null
+  };
+
+  return previousDay ? linkOvernightDryback(metrics, previousDay) : metrics;
+}
+
+/**
+ * Fill the overnight dryback of a day from the day before (previous lastPeak → firstValley)
+ * @param {object} day - computeSteeringMetrics() result (updated in place)
+ * @param {object|null} previousDay - computeSteeringMetrics() result for the day before
+ * @returns {object} - day
+ */
+export function linkOvernightDryback(day, previousDay) {
+  if (!day?.firstValley || !previousDay?.lastPeak) return day;
+
+  const drop = previousDay.lastPeak.value - day.firstValley.value;
+  day.overnightDryback = {
+    value: Number(drop.toFixed(4)),
+    percent: previousDay.lastPeak.value !== 0 ? Number(((drop / previousDay.lastPeak.value) * 100).toFixed(1)) : null,
+    from: { date: previousDay.date || null, time: previousDay.lastPeak.time },
+    to: { date: day.date, time: day.firstValley.time }
+  };
+  day.nightMoistureDeviation = classifySensor(day.sensorKey) === 'vwc'
+    ? Number(drop.toFixed(1))
+    : null;
+
+  return day;
+}
+
+/**
+ * Check that a stored result is the calendar day before a date
+ * @param {object|null} previousDay - computeSteeringMetrics() result
+ * @param {string} date - YYYY-MM-DD
+ * @returns {boolean}
+ */
+export function isPreviousDay(previousDay, date) {
+  if (!previousDay?.date || !date) return false;
+  const [year, month, day] = date.split('-').map(Number);
+  const expected = new Date(Date.UTC(year, month - 1, day - 1)).toISOString().slice(0, 10);
+  return previousDay.date === expected;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🌙 SITE CROSS-CHECK (야간 함수율 편차)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Load the computed steering metrics of a farm from the newest saved run that has them
+ * @param {string} farmName - Farm name as shown on the site
+ * @param {string} dataDir - Folder with all-farms-data-*.json
+ * @returns {Object<string, object>} - date (YYYY-MM-DD) → metrics
+ */
+export function loadComputedSteering(farmName, dataDir = './data') {
+  if (!fs.existsSync(dataDir)) return {};
+
+  const files = fs.readdirSync(dataDir)
+    .filter(f => f.startsWith('all-farms-data-') && f.endsWith('.json'))
+    .sort()
+    .reverse();
+
+  for (const file of files) {
+    try {
+      const saved = JSON.parse(fs.readFileSync(path.join(dataDir, file), 'utf-8'));
+      const farm = (saved.farms || []).find(f => f.farmName === farmName);
+      const byDate = {};
+      (farm?.dates || []).forEach(d => {
+        if (d.steering?.date) byDate[d.steering.date] = d.steering;
+      });
+      if (Object.keys(byDate).length > 0) return byDate;
+    } catch {
+      // Unreadable file: try the next older one
+    }
+  }
+  return {};
+}
+
+/**
+ * Compare the site's 야간 함수율 편차 row with the computed values
+ * Columns are consecutive days ending today (rightmost); today must still be '-'
+ * @param {Array<string>} siteValues - Row cells left → right, label excluded
+ * @param {Object<string, object>} computedByDate - loadComputedSteering() result
+ * @param {object} options - {timeZone, tolerance, now}
+ * @returns {{compared: number, mismatches: number, rows: Array<{date: string, site: number|null, computed: number|null, match: boolean|null}>}}
+ */
+export function checkNightMoistureDeviation(siteValues, computedByDate, options = {}) {
+  const { timeZone = DEFAULT_TIMEZONE, tolerance = NIGHT_DEVIATION_TOLERANCE, now = new Date() } = options;
+  if (!siteValues || siteValues.length < 2) return { compared: 0, mismatches: 0, rows: [] };
+
+  const dates = getDateRange(siteValues.length - 1, timeZone, now);
+  const rows = [];
+
+  // Today's column is the one being filled by the report, so only earlier days are compared
+  for (let i = 0; i < siteValues.length - 1; i++) {
+    const text = String(siteValues[i]).trim();
+    const site = EMPTY_CELL_VALUES.includes(text) ? null : parseFloat(text.replace(/[^\d.-]/g, ''));
+    const computed = computedByDate[dates[i].dateString]?.nightMoistureDeviation ?? null;
+
+    rows.push({
+      date: dates[i].dateString,
+      site: Number.isFinite(site) ? site : null,
+      computed,
+      match: Number.isFinite(site) && computed !== null ? Math.abs(site - computed) <= tolerance : null
+    });
+  }
+
+  const compared = rows.filter(r => r.match !== null);
+  return {
+    compared: compared.length,
+    mismatches: compared.filter(r => !r.match).length,
+    rows
+  };
+}
+
+export default {
+  NIGHT_DEVIATION_TOLERANCE,
+  computeSteeringMetrics,
+  linkOvernightDryback,
+  isPreviousDay,
+  loadComputedSteering,
+  checkNightMoistureDeviation
+};
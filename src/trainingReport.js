@@ -0,0 +1,479 @@
+/**
+ * Training Report Module
+ * HTML analytics of the training store: is the learning mode actually converging?
+ *
+ * Sections (buildTrainingReport → renderTrainingReport):
+ *   - Weekly timeline     Corrections per week, mean |error| in minutes, accept-vs-correct rate
+ *   - Error histograms    Signed FIRST / LAST correction minutes (+ means the user moved the point later)
+ *   - Per farm            Corrections, reviews, accept rate, mean |error|, the learned bias in use
+ *   - Per manager         Corrections, reviews, accept rate
+ *   - Worst farm/dates    Largest corrections with a thumbnail of the screenshot saved at review time
+ *
+ * Accept rate counts overlay reviews (training store `reviews`) and learning-mode / F8 click
+ * sessions. Corrections saved before reviews were recorded have no accepted counterpart, so they
+ * appear in the error figures but not in the rate.
+ *
+ * Served by the dashboard at /training-report; `npm run analyze` writes TRAINING_REPORT_FILE.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { correctionMinutes, describeFarmBiases } from './learnedBias.js';
+import { TRAINING_FILE, loadTrainingStore } from './trainingStore.js';
+import { log, ensureDir, formatDateISO, DEFAULT_TIMEZONE } from './utils.js';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ⚙️ CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const TRAINING_REPORT_FILE = './training/training-report.html';
+
+export const REPORT_DEFAULTS = {
+  binMinutes: 5,       // Histogram bin width
+  rangeMinutes: 60,    // Histogram covers ±range; larger errors fall in the edge bins
+  worstCases: 10       // Farm/dates listed under "worst offenders"
+};
+
+const UNKNOWN = '(unknown)';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 📊 AGGREGATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Monday of the week an ISO timestamp falls in (farm-local calendar)
+ * @param {string} timestamp - ISO timestamp
+ * @param {string} timeZone - IANA timezone
+ * @returns {string|null} - YYYY-MM-DD
+ */
+function weekOf(timestamp, timeZone) {
+  const time = Date.parse(timestamp);
+  if (!Number.isFinite(time)) return null;
+
+  const [year, month, day] = formatDateISO(new Date(time), timeZone).split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  date.setUTCDate(day - ((date.getUTCDay() + 6) % 7));
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Mean of the absolute values, one decimal
+ * @param {Array<number|null>} values
+ * @returns {number|null} - null when there are no values
+ */
+function meanAbs(values) {
+  const usable = values.filter(v => typeof v === 'number');
+  if (usable.length === 0) return null;
+  return Math.round(usable.reduce((sum, v) => sum + Math.abs(v), 0) / usable.length * 10) / 10;
+}
+
+/**
+ * Share of accepted outcomes, percent with one decimal
+ * @param {number} accepted
+ * @param {number} total
+ * @returns {number|null} - null when nothing was reviewed
+ */
+function acceptRate(accepted, total) {
+  return total > 0 ? Math.round(accepted / total * 1000) / 10 : null;
+}
+
+/**
+ * Signed-minute histogram with open-ended edge bins
+ * @param {Array<number|null>} values - Signed minutes
+ * @param {number} binMinutes - Bin width
+ * @param {number} rangeMinutes - Covered range (±)
+ * @returns {Array<{label: string, from: number|null, to: number|null, count: number}>}
+ */
+export function buildHistogram(values, binMinutes = REPORT_DEFAULTS.binMinutes, rangeMinutes = REPORT_DEFAULTS.rangeMinutes) {
+  const bins = [{ label: `< -${rangeMinutes}`, from: null, to: -rangeMinutes, count: 0 }];
+  for (let from = -rangeMinutes; from < rangeMinutes; from += binMinutes) {
+    bins.push({ label: `${from}…${from + binMinutes}`, from, to: from + binMinutes, count: 0 });
+  }
+  bins.push({ label: `≥ ${rangeMinutes}`, from: rangeMinutes, to: null, count: 0 });
+
+  values.filter(v => typeof v === 'number').forEach(value => {
+    if (value < -rangeMinutes) {
+      bins[0].count++;
+    } else if (value >= rangeMinutes) {
+      bins[bins.length - 1].count++;
+    } else {
+      bins[1 + Math.floor((value + rangeMinutes) / binMinutes)].count++;
+    }
+  });
+
+  return bins;
+}
+
+/**
+ * Aggregate the training store into the report sections
+ * @param {object} store - loadTrainingStore() result
+ * @param {object} options - {timeZone, binMinutes, rangeMinutes, worstCases}
+ * @returns {object} - {generatedAt, totals, timeline, histograms, farms, managers, worst}
+ */
+export function buildTrainingReport(store, options = {}) {
+  const { timeZone = DEFAULT_TIMEZONE } = options;
+  const { binMinutes, rangeMinutes, worstCases } = { ...REPORT_DEFAULTS, ...options };
+
+  // One row per correction, with the farm key shared by reviews and sessions (farm name, else id)
+  const corrections = (store.corrections || []).map(c => {
+    const context = c.context || {};
+    const minutes = correctionMinutes(c);
+    return {
+      farmKey: context.farmName || (context.farmId ? String(context.farmId) : UNKNOWN),
+      farmId: context.farmId ? String(context.farmId) : null,
+      farmName: context.farmName || null,
+      manager: context.manager || UNKNOWN,
+      date: context.date || null,
+      week: weekOf(c.timestamp, timeZone),
+      timestamp: c.timestamp,
+      first: minutes.first,
+      last: minutes.last,
+      screenshot: c.metadata?.screenshot || null
+    };
+  });
+
+  // Accept-vs-correct outcomes: overlay reviews and click sessions
+  const outcomes = [
+    ...(store.reviews || []).map(r => ({
+      farmKey: r.farmName || (r.farmId ? String(r.farmId) : UNKNOWN),
+      manager: r.manager || UNKNOWN,
+      week: weekOf(r.timestamp, timeZone),
+      corrected: Boolean(r.corrected)
+    })),
+    ...(store.sessions || []).map(s => ({
+      farmKey: s.farmName || UNKNOWN,
+      manager: UNKNOWN,
+      week: weekOf(s.timestamp, timeZone),
+      corrected: Boolean(s.corrected)
+    }))
+  ];
+
+  const groupBy = (rows, key) => rows.reduce((map, row) => {
+    const value = row[key] ?? UNKNOWN;
+    if (!map.has(value)) map.set(value, []);
+    map.get(value).push(row);
+    return map;
+  }, new Map());
+  const outcomeStats = rows => {
+    const accepted = rows.filter(o => !o.corrected).length;
+    return { reviews: rows.length, accepted, acceptRate: acceptRate(accepted, rows.length) };
+  };
+
+  // ─── Weekly timeline ───
+  const correctionsByWeek = groupBy(corrections, 'week');
+  const outcomesByWeek = groupBy(outcomes, 'week');
+  const weeks = [...new Set([...correctionsByWeek.keys(), ...outcomesByWeek.keys()])].sort();
+  const timeline = weeks.map(week => {
+    const rows = correctionsByWeek.get(week) || [];
+    return {
+      week,
+      corrections: rows.length,
+      meanAbsFirst: meanAbs(rows.map(r => r.first)),
+      meanAbsLast: meanAbs(rows.map(r => r.last)),
+      ...outcomeStats(outcomesByWeek.get(week) || [])
+    };
+  });
+
+  // ─── Per farm (with the bias currently applied) ───
+  const biases = new Map(describeFarmBiases(store.learnedAdjustments).map(b => [b.farmId, b]));
+  const correctionsByFarm = groupBy(corrections, 'farmKey');
+  const outcomesByFarm = groupBy(outcomes, 'farmKey');
+  const farms = [...new Set([...correctionsByFarm.keys(), ...outcomesByFarm.keys()])].map(farmKey => {
+    const rows = correctionsByFarm.get(farmKey) || [];
+    const farmId = rows.find(r => r.farmId)?.farmId || null;
+    const bias = farmId ? biases.get(farmId) : null;
+    return {
+      farm: farmKey,
+      farmId,
+      corrections: rows.length,
+      meanAbsFirst: meanAbs(rows.map(r => r.first)),
+      meanAbsLast: meanAbs(rows.map(r => r.last)),
+      ...outcomeStats(outcomesByFarm.get(farmKey) || []),
+      firstMinuteBias: bias ? bias.firstMinuteBias : null,
+      lastMinuteBias: bias ? bias.lastMinuteBias : null,
+      biasSource: bias ? bias.source : null
+    };
+  }).sort((a, b) => b.corrections - a.corrections || b.reviews - a.reviews);
+
+  // ─── Per manager ───
+  const correctionsByManager = groupBy(corrections, 'manager');
+  const outcomesByManager = groupBy(outcomes, 'manager');
+  const managers = [...new Set([...correctionsByManager.keys(), ...outcomesByManager.keys()])].map(manager => ({
+    manager,
+    corrections: (correctionsByManager.get(manager) || []).length,
+    ...outcomeStats(outcomesByManager.get(manager) || [])
+  })).sort((a, b) => b.corrections - a.corrections || b.reviews - a.reviews);
+
+  // ─── Worst farm/dates (a later correction of the same farm/date supersedes earlier ones) ───
+  const reviewShots = new Map((store.reviews || [])
+    .filter(r => r.screenshot)
+    .map(r => [`${r.farmName || r.farmId}|${r.date}`, r.screenshot]));
+  const latest = new Map(corrections.filter(r => r.date).map(r => [`${r.farmKey}|${r.date}`, r]));
+  const worst = [...latest.entries()]
+    .map(([key, r]) => ({
+      farm: r.farmKey,
+      farmId: r.farmId,
+      date: r.date,
+      manager: r.manager,
+      firstMinutes: r.first,
+      lastMinutes: r.last,
+      worstMinutes: Math.max(Math.abs(r.first || 0), Math.abs(r.last || 0)),
+      timestamp: r.timestamp,
+      screenshot: r.screenshot || reviewShots.get(key) || null
+    }))
+    .filter(r => r.worstMinutes > 0)
+    .sort((a, b) => b.worstMinutes - a.worstMinutes)
+    .slice(0, worstCases);
+
+  const accepted = outcomes.filter(o => !o.corrected).length;
+  return {
+    generatedAt: new Date().toISOString(),
+    totals: {
+      corrections: corrections.length,
+      reviews: outcomes.length,
+      accepted,
+      corrected: outcomes.length - accepted,
+      acceptRate: acceptRate(accepted, outcomes.length),
+      meanAbsFirst: meanAbs(corrections.map(r => r.first)),
+      meanAbsLast: meanAbs(corrections.map(r => r.last))
+    },
+    timeline,
+    histograms: {
+      binMinutes,
+      rangeMinutes,
+      first: buildHistogram(corrections.map(r => r.first), binMinutes, rangeMinutes),
+      last: buildHistogram(corrections.map(r => r.last), binMinutes, rangeMinutes)
+    },
+    farms,
+    managers,
+    worst
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🖼️ HTML RENDERING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Escape text for HTML
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const fmt = (value, suffix = '') => (value === null || value === undefined ? '–' : `${value}${suffix}`);
+const signed = value => (value === null || value === undefined ? '–' : `${value > 0 ? '+' : ''}${value}`);
+
+/**
+ * Horizontal bar inside a table cell
+ * @param {number|null} value
+ * @param {number} max
+ * @param {string} color
+ * @param {string} text
+ * @returns {string}
+ */
+function barCell(value, max, color, text) {
+  const width = value !== null && max > 0 ? Math.max(2, Math.round(value / max * 100)) : 0;
+  return `<td class="bar"><span style="width:${width}%;background:${color}"></span><em>${escapeHtml(text)}</em></td>`;
+}
+
+/**
+ * Vertical SVG bar chart of histogram bins
+ * @param {Array<{label: string, count: number}>} bins
+ * @param {string} color
+ * @returns {string}
+ */
+function histogramSvg(bins, color) {
+  const width = 24;
+  const height = 140;
+  const max = Math.max(1, ...bins.map(b => b.count));
+  const bars = bins.map((bin, i) => {
+    const barHeight = Math.round(bin.count / max * (height - 20));
+    const x = i * width;
+    return `<g><title>${escapeHtml(bin.label)} min: ${bin.count}</title>` +
+      `<rect x="${x + 2}" y="${height - barHeight}" width="${width - 4}" height="${barHeight}" fill="${color}"/>` +
+      (bin.count > 0 ? `<text x="${x + width / 2}" y="${height - barHeight - 4}" text-anchor="middle">${bin.count}</text>` : '') +
+      '</g>';
+  }).join('');
+  const centre = (bins.length / 2) * width;
+  return `<svg viewBox="0 0 ${bins.length * width} ${height + 16}" class="histogram">${bars}` +
+    `<line x1="${centre}" y1="0" x2="${centre}" y2="${height}" class="zero"/>` +
+    `<text x="2" y="${height + 14}">${escapeHtml(bins[0].label)}</text>` +
+    `<text x="${centre}" y="${height + 14}" text-anchor="middle">0</text>` +
+    `<text x="${bins.length * width - 2}" y="${height + 14}" text-anchor="end">${escapeHtml(bins[bins.length - 1].label)}</text>` +
+    '</svg>';
+}
+
+/**
+ * Render the report as a standalone HTML page
+ * @param {object} report - buildTrainingReport() result
+ * @param {object} options - {screenshotUrl: (path) => string} maps a saved screenshot path to an <img> src
+ * @returns {string}
+ */
+export function renderTrainingReport(report, options = {}) {
+  const { screenshotUrl = p => p } = options;
+  const { totals, timeline, histograms, farms, managers, worst } = report;
+
+  const maxError = Math.max(1, ...timeline.flatMap(w => [w.meanAbsFirst || 0, w.meanAbsLast || 0]));
+  const timelineRows = timeline.map(w => `
+      <tr>
+        <td>${escapeHtml(w.week)}</td>
+        <td class="num">${w.corrections}</td>
+        ${barCell(w.meanAbsFirst, maxError, '#e74c3c', fmt(w.meanAbsFirst, ' min'))}
+        ${barCell(w.meanAbsLast, maxError, '#3498db', fmt(w.meanAbsLast, ' min'))}
+        <td class="num">${w.accepted}/${w.reviews}</td>
+        ${barCell(w.acceptRate, 100, '#2ecc71', fmt(w.acceptRate, '%'))}
+      </tr>`).join('');
+
+  const farmRows = farms.map(f => `
+      <tr>
+        <td>${escapeHtml(f.farm)}${f.farmId && f.farmId !== f.farm ? ` <small>#${escapeHtml(f.farmId)}</small>` : ''}</td>
+        <td class="num">${f.corrections}</td>
+        <td class="num">${fmt(f.meanAbsFirst)}</td>
+        <td class="num">${fmt(f.meanAbsLast)}</td>
+        <td class="num">${f.accepted}/${f.reviews}</td>
+        ${barCell(f.acceptRate, 100, '#2ecc71', fmt(f.acceptRate, '%'))}
+        <td>${f.biasSource ? `${signed(f.firstMinuteBias)} / ${signed(f.lastMinuteBias)} min <small>(${f.biasSource})</small>` : '–'}</td>
+      </tr>`).join('');
+
+  const managerRows = managers.map(m => `
+      <tr>
+        <td>${escapeHtml(m.manager)}</td>
+        <td class="num">${m.corrections}</td>
+        <td class="num">${m.accepted}/${m.reviews}</td>
+        ${barCell(m.acceptRate, 100, '#2ecc71', fmt(m.acceptRate, '%'))}
+      </tr>`).join('');
+
+  const worstCards = worst.map(w => `
+      <div class="case">
+        ${w.screenshot
+          ? `<a href="${escapeHtml(screenshotUrl(w.screenshot))}" target="_blank"><img src="${escapeHtml(screenshotUrl(w.screenshot))}" alt="${escapeHtml(w.farm)} ${escapeHtml(w.date)}" loading="lazy"></a>`
+          : '<div class="no-shot">No screenshot</div>'}
+        <div><strong>${escapeHtml(w.farm)}</strong> ${escapeHtml(w.date)}</div>
+        <div>FIRST ${signed(w.firstMinutes)} min · LAST ${signed(w.lastMinutes)} min</div>
+        <div><small>${escapeHtml(w.manager)} · ${escapeHtml(w.timestamp || '')}</small></div>
+      </div>`).join('');
+
+  const empty = (rows, colspan, text) => rows || `<tr><td colspan="${colspan}" class="empty">${text}</td></tr>`;
+
+  return `<!DOCTYPE html>
+<html lang="ko">
+<head>
+<meta charset="UTF-8">
+<title>Training Report</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; margin: 0; padding: 24px; background: #f4f6fb; color: #2c3e50; }
+  h1 { margin: 0 0 4px; }
+  h2 { margin-top: 32px; border-bottom: 2px solid #667eea; padding-bottom: 6px; }
+  .meta { opacity: 0.7; margin-bottom: 20px; }
+  .cards { display: flex; gap: 16px; flex-wrap: wrap; }
+  .card { background: white; border-radius: 10px; padding: 14px 18px; min-width: 150px; box-shadow: 0 2px 6px rgba(0,0,0,0.08); }
+  .card .value { font-size: 1.8em; font-weight: bold; color: #667eea; }
+  table { border-collapse: collapse; width: 100%; background: white; box-shadow: 0 2px 6px rgba(0,0,0,0.08); }
+  th, td { padding: 6px 10px; border-bottom: 1px solid #eee; text-align: left; }
+  th { background: #667eea; color: white; font-weight: 600; }
+  td.num { text-align: right; font-variant-numeric: tabular-nums; }
+  td.bar { position: relative; min-width: 140px; }
+  td.bar span { position: absolute; left: 0; top: 4px; bottom: 4px; opacity: 0.35; border-radius: 3px; }
+  td.bar em { position: relative; font-style: normal; }
+  td.empty { text-align: center; opacity: 0.6; }
+  .histograms { display: flex; gap: 24px; flex-wrap: wrap; }
+  .histograms > div { background: white; border-radius: 10px; padding: 12px; flex: 1 1 420px; box-shadow: 0 2px 6px rgba(0,0,0,0.08); }
+  svg.histogram { width: 100%; height: auto; font-size: 9px; fill: #2c3e50; }
+  svg.histogram line.zero { stroke: #999; stroke-dasharray: 3 3; }
+  .cases { display: flex; flex-wrap: wrap; gap: 16px; }
+  .case { background: white; border-radius: 10px; padding: 10px; width: 260px; box-shadow: 0 2px 6px rgba(0,0,0,0.08); font-size: 0.9em; }
+  .case img { width: 100%; border-radius: 6px; border: 1px solid #ddd; }
+  .no-shot { height: 120px; display: flex; align-items: center; justify-content: center; background: #eee; border-radius: 6px; opacity: 0.6; }
+  .note { opacity: 0.7; font-size: 0.9em; }
+</style>
+</head>
+<body>
+  <h1>📈 Training Report</h1>
+  <div class="meta">Generated ${escapeHtml(report.generatedAt)}</div>
+
+  <div class="cards">
+    <div class="card"><div>Corrections</div><div class="value">${totals.corrections}</div></div>
+    <div class="card"><div>Reviews</div><div class="value">${totals.reviews}</div></div>
+    <div class="card"><div>Accept rate</div><div class="value">${fmt(totals.acceptRate, '%')}</div></div>
+    <div class="card"><div>Mean |FIRST| error</div><div class="value">${fmt(totals.meanAbsFirst, ' min')}</div></div>
+    <div class="card"><div>Mean |LAST| error</div><div class="value">${fmt(totals.meanAbsLast, ' min')}</div></div>
+  </div>
+
+  <h2>Convergence by week</h2>
+  <p class="note">Converging means the mean error falls and the accept rate rises week over week.</p>
+  <table>
+    <tr><th>Week of</th><th>Corrections</th><th>Mean |FIRST|</th><th>Mean |LAST|</th><th>Accepted</th><th>Accept rate</th></tr>
+    ${empty(timelineRows, 6, 'No training data yet')}
+  </table>
+
+  <h2>Error histograms (minutes)</h2>
+  <p class="note">Signed correction: + means the user moved the point later than detected. Bins of ${histograms.binMinutes} min, ±${histograms.rangeMinutes} min.</p>
+  <div class="histograms">
+    <div><strong>FIRST</strong>${histogramSvg(histograms.first, '#e74c3c')}</div>
+    <div><strong>LAST</strong>${histogramSvg(histograms.last, '#3498db')}</div>
+  </div>
+
+  <h2>Per farm</h2>
+  <table>
+    <tr><th>Farm</th><th>Corrections</th><th>Mean |FIRST|</th><th>Mean |LAST|</th><th>Accepted</th><th>Accept rate</th><th>Bias in use (FIRST / LAST)</th></tr>
+    ${empty(farmRows, 7, 'No farms yet')}
+  </table>
+
+  <h2>Per manager</h2>
+  <table>
+    <tr><th>Manager</th><th>Corrections</th><th>Accepted</th><th>Accept rate</th></tr>
+    ${empty(managerRows, 4, 'No managers yet')}
+  </table>
+
+  <h2>Worst farm/dates</h2>
+  <div class="cases">
+    ${worstCards || '<p class="note">No corrections yet</p>'}
+  </div>
+
+  <p class="note">Accept rate counts overlay reviews and learning-mode / F8 sessions; corrections saved before reviews were recorded only count in the error figures.</p>
+</body>
+</html>
+`;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 💾 REPORT FILE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Build the report from the training file and write it as HTML
+ * Screenshot links are made relative to the report file.
+ * @param {object} options - {filePath, outputFile, ...buildTrainingReport options}
+ * @returns {{outputFile: string, report: object}}
+ */
+export function writeTrainingReport(options = {}) {
+  const { filePath = TRAINING_FILE, outputFile = TRAINING_REPORT_FILE } = options;
+
+  const report = buildTrainingReport(loadTrainingStore(filePath), options);
+  const outputDir = path.dirname(outputFile);
+  const html = renderTrainingReport(report, {
+    screenshotUrl: p => path.relative(outputDir, p).split(path.sep).join('/')
+  });
+
+  ensureDir(outputDir);
+  fs.writeFileSync(outputFile, html, 'utf8');
+  log(`Training report saved: ${outputFile}`, 'success');
+
+  return { outputFile, report };
+}
+
+export default {
+  TRAINING_REPORT_FILE,
+  REPORT_DEFAULTS,
+  buildHistogram,
+  buildTrainingReport,
+  renderTrainingReport,
+  writeTrainingReport
+};
@@ -0,0 +1,384 @@
+/**
+ * Training Store Module
+ * One versioned file for every kind of training data, read and written only through here
+ *
+ * Schema (TRAINING_SCHEMA_VERSION 4, TRAINING_FILE):
+ * {
+ *   "version": 4,
+ *   "corrections": [ overlay corrections, learned in minutes (see learnedBias.js):
+ *     { timestamp, predicted: {firstIndex, lastIndex, firstTimestamp, lastTimestamp, firstScreenX, lastScreenX},
+ *       corrected: {firstIndex, lastIndex, firstTime, lastTime, firstTimestamp, lastTimestamp, firstScreenX, lastScreenX},
+ *       delta: {firstMinutes, lastMinutes, ...}, metadata: {..., screenshot},
+ *       context: {farmId, farmName, manager, date, sensorType} } ],
+ *   "reviews": [ every confirmed overlay, corrected or accepted as detected:
+ *     { timestamp, farmId, farmName, manager, date, sensorType, corrected: boolean, screenshot } ],
+ *   "eventLabels": [ every irrigation of a day, marked in the event labelling overlay:
+ *     { timestamp, farmId, farmName, manager, date, sensorKey, timeZone,
+ *       events: [{index, timestamp, time}], detected: [{index, time}] } ],
+ *   "sessions": [ screen-click sessions (chart learning mode, F8 training):
+ *     { timestamp, source: 'learning-mode'|'f8-training', farmName, date,
+ *       predicted: {first: {x, y}, last: {x, y}}, corrected: {first, last}|null,
+ *       events: [{x, y}] (F8 clicks after START/END), feedback } ],
+ *   "unrecognized": [ legacy entries migration could not place, kept verbatim ],
+ *   "statistics": { ... }, "learnedAdjustments": { ... }   ← recomputed on every load/save
+ * }
+ *
+ * Legacy shapes converted by migrateTrainingData():
+ *   - bare array of {algorithmDetection: {svgX, svgY}, userCorrections}        (learning mode)
+ *   - bare array of {algorithmPrediction: {x, y}, userCorrections, offsets}    (trainAlgorithm.js F8)
+ *   - {version: 1, corrections: [...]}                                          (overlay corrections)
+ *   - {version: 2, corrections, sessions, unrecognized}                          (no reviews yet)
+ *   - {version: 3, ..., reviews}                                                 (no event labels yet)
+ * Writes go to a temp file that is renamed over the store, so a crash never leaves half a file.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { log, logSection, ensureDir } from './utils.js';
+import { learnBias } from './learnedBias.js';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ⚙️ CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const TRAINING_FILE = './training/training-data.json';
+
+export const TRAINING_SCHEMA_VERSION = 4;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🔄 MIGRATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Empty store in the current schema
+ * @returns {object}
+ */
+export function createTrainingStore() {
+  return withStatistics({
+    version: TRAINING_SCHEMA_VERSION,
+    corrections: [],
+    sessions: [],
+    reviews: [],
+    eventLabels: [],
+    unrecognized: []
+  });
+}
+
+/**
+ * Point from a legacy shape: learning mode stored chart coordinates (svgX/svgY),
+ * F8 training stored page coordinates (x/y) for both the prediction and the clicks
+ * @param {object|null} point - Legacy point
+ * @param {boolean} chartCoordinates - Read svgX/svgY first
+ * @returns {{x: number, y: number|null}|null}
+ */
+function toScreenPoint(point, chartCoordinates = false) {
+  if (!point) return null;
+  const x = chartCoordinates ? point.svgX ?? point.x : point.x ?? point.svgX;
+  const y = chartCoordinates ? point.svgY ?? point.y : point.y ?? point.svgY;
+  return typeof x === 'number' ? { x, y: typeof y === 'number' ? y : null } : null;
+}
+
+/**
+ * Convert a legacy click session to the current session shape
+ * @param {object} entry - Learning-mode or F8 entry (or an already converted session)
+ * @returns {object|null} - null when the entry is neither
+ */
+export function normalizeSession(entry) {
+  const predicted = entry?.algorithmDetection || entry?.algorithmPrediction || entry?.predicted;
+  if (!predicted || typeof predicted !== 'object') return null;
+
+  const source = entry.source
+    || (entry.algorithmPrediction ? 'f8-training' : 'learning-mode');
+  const chartCoordinates = Boolean(entry.algorithmDetection);
+  const corrections = entry.userCorrections || entry.corrected || null;
+  const point = p => toScreenPoint(p, chartCoordinates);
+
+  return {
+    timestamp: entry.timestamp || null,
+    source,
+    farmName: entry.farmName || entry.farm || null,
+    date: entry.date || null,
+    predicted: { first: point(predicted.first), last: point(predicted.last) },
+    corrected: corrections
+      ? { first: point(corrections.first), last: point(corrections.last) }
+      : null,
+    events: Array.isArray(entry.events) ? entry.events.map(point).filter(Boolean) : [],
+    feedback: entry.feedback || null
+  };
+}
+
+/**
+ * Bring any known training file shape up to the current schema
+ * @param {object|Array|null} raw - Parsed training file
+ * @returns {{store: object, report: {fromVersion: number|null, corrections: number, sessions: number, reviews: number, eventLabels: number, unrecognized: number, changed: boolean}}}
+ */
+export function migrateTrainingData(raw) {
+  const store = {
+    version: TRAINING_SCHEMA_VERSION,
+    corrections: [],
+    sessions: [],
+    reviews: [],
+    eventLabels: [],
+    unrecognized: []
+  };
+
+  let fromVersion = null;
+  let entries = [];
+
+  if (Array.isArray(raw)) {
+    fromVersion = 0;
+    entries = raw;
+  } else if (raw && typeof raw === 'object') {
+    fromVersion = raw.version ?? 1;
+    store.corrections = Array.isArray(raw.corrections) ? raw.corrections : [];
+    store.sessions = Array.isArray(raw.sessions) ? raw.sessions : [];
+    store.reviews = Array.isArray(raw.reviews) ? raw.reviews : [];
+    store.eventLabels = Array.isArray(raw.eventLabels) ? raw.eventLabels : [];
+    store.unrecognized = Array.isArray(raw.unrecognized) ? raw.unrecognized : [];
+  }
+
+  // Bare arrays mixed learning-mode and F8 sessions (and, after a v1 write, nothing else)
+  for (const entry of entries) {
+    if (entry?.delta && entry?.predicted && entry?.corrected) {
+      store.corrections.push(entry);
+      continue;
+    }
+    const session = normalizeSession(entry);
+    if (session) {
+      store.sessions.push(session);
+    } else {
+      store.unrecognized.push(entry);
+    }
+  }
+
+  return {
+    store: withStatistics(store),
+    report: {
+      fromVersion,
+      corrections: store.corrections.length,
+      sessions: store.sessions.length,
+      reviews: store.reviews.length,
+      eventLabels: store.eventLabels.length,
+      unrecognized: store.unrecognized.length,
+      changed: fromVersion !== null && fromVersion !== TRAINING_SCHEMA_VERSION
+    }
+  };
+}
+
+/**
+ * Recompute the derived overlay statistics and learned bias
+ * @param {object} store - Training store (updated in place)
+ * @returns {object} - store
+ */
+function withStatistics(store) {
+  const { statistics, learnedAdjustments } = learnBias(store.corrections);
+  store.statistics = statistics;
+  store.learnedAdjustments = learnedAdjustments;
+  return store;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 📂 LOAD / SAVE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Load the training store (legacy files are migrated in memory; written back on the next save)
+ * A file that cannot be parsed is moved aside instead of being overwritten.
+ * @param {string} filePath - Training file
+ * @returns {object} - Store in the current schema
+ */
+export function loadTrainingStore(filePath = TRAINING_FILE) {
+  if (!fs.existsSync(filePath)) {
+    return createTrainingStore();
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    const asidePath = `${filePath}.corrupt-${Date.now()}`;
+    fs.renameSync(filePath, asidePath);
+    log(`Training file unreadable (${error.message}), moved to ${asidePath}`, 'warning');
+    return createTrainingStore();
+  }
+
+  return migrateTrainingData(raw).store;
+}
+
+/**
+ * Save the training store atomically (temp file + rename)
+ * @param {object} store - Training store
+ * @param {string} filePath - Training file
+ * @returns {object} - The saved store (statistics recomputed)
+ */
+export function saveTrainingStore(store, filePath = TRAINING_FILE) {
+  const saved = withStatistics({ ...store, version: TRAINING_SCHEMA_VERSION });
+  ensureDir(path.dirname(filePath));
+
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(saved, null, 2), 'utf8');
+  fs.renameSync(tempPath, filePath);
+
+  return saved;
+}
+
+/**
+ * Append an overlay correction
+ * @param {object} correction - Correction in the schema above
+ * @param {string} filePath - Training file
+ * @returns {object} - The saved store
+ */
+export function addCorrection(correction, filePath = TRAINING_FILE) {
+  const store = loadTrainingStore(filePath);
+  store.corrections.push(correction);
+  return saveTrainingStore(store, filePath);
+}
+
+/**
+ * Append a screen-click session
+ * @param {object} session - {timestamp, source, farmName, date, predicted: {first, last}, corrected, feedback}
+ * @param {string} filePath - Training file
+ * @returns {object} - The saved store
+ */
+export function addSession(session, filePath = TRAINING_FILE) {
+  const store = loadTrainingStore(filePath);
+  store.sessions.push(normalizeSession(session));
+  return saveTrainingStore(store, filePath);
+}
+
+/**
+ * Append an overlay review outcome (accepted or corrected)
+ * @param {object} review - {timestamp, farmId, farmName, manager, date, sensorType, corrected, screenshot}
+ * @param {string} filePath - Training file
+ * @returns {object} - The saved store
+ */
+export function addReview(review, filePath = TRAINING_FILE) {
+  const store = loadTrainingStore(filePath);
+  store.reviews.push(review);
+  return saveTrainingStore(store, filePath);
+}
+
+/**
+ * Append the labelled events of one farm/date
+ * @param {object} label - {timestamp, farmId, farmName, manager, date, sensorKey, timeZone, events, detected}
+ * @param {string} filePath - Training file
+ * @returns {object} - The saved store
+ */
+export function addEventLabel(label, filePath = TRAINING_FILE) {
+  const store = loadTrainingStore(filePath);
+  store.eventLabels.push(label);
+  return saveTrainingStore(store, filePath);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 📊 SESSION OFFSETS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Learning mode records chart (SVG) coordinates, F8 training page coordinates
+export const SESSION_COORDINATES = { 'learning-mode': 'chart', 'f8-training': 'page' };
+
+/**
+ * Average screen offset of one source's click sessions (user click − algorithm point).
+ * Sources are never mixed: their coordinates are relative to different origins.
+ * @param {Array<object>} sessions - store.sessions
+ * @param {string} source - 'learning-mode' or 'f8-training'
+ * @returns {{source: string, coordinates: string, count: number, accepted: number, corrected: number, firstX: number, firstY: number, lastX: number, lastY: number, firstCount: number, lastCount: number}}
+ */
+export function summarizeSessions(sessions = [], source = 'f8-training') {
+  const ofSource = sessions.filter(s => s.source === source);
+  const corrected = ofSource.filter(s => s.corrected);
+  const totals = { firstX: 0, firstY: 0, lastX: 0, lastY: 0, firstCount: 0, lastCount: 0 };
+
+  corrected.forEach(s => {
+    for (const which of ['first', 'last']) {
+      const user = s.corrected[which];
+      const algorithm = s.predicted[which];
+      if (user && algorithm) {
+        totals[`${which}X`] += user.x - algorithm.x;
+        totals[`${which}Y`] += (user.y ?? 0) - (algorithm.y ?? 0);
+        totals[`${which}Count`]++;
+      }
+    }
+  });
+
+  const mean = (total, count) => (count > 0 ? total / count : 0);
+  return {
+    source,
+    coordinates: SESSION_COORDINATES[source] || null,
+    count: ofSource.length,
+    accepted: ofSource.length - corrected.length,
+    corrected: corrected.length,
+    firstX: mean(totals.firstX, totals.firstCount),
+    firstY: mean(totals.firstY, totals.firstCount),
+    lastX: mean(totals.lastX, totals.lastCount),
+    lastY: mean(totals.lastY, totals.lastCount),
+    firstCount: totals.firstCount,
+    lastCount: totals.lastCount
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🛠️ MIGRATION TOOL
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Convert a training file to the current schema in place (original kept as a backup)
+ * @param {object} options - {filePath, dryRun}
+ * @returns {{fromVersion: number|null, corrections: number, sessions: number, reviews: number, eventLabels: number, unrecognized: number, changed: boolean, backupPath: string|null}}
+ */
+export function migrateTrainingFile(options = {}) {
+  const { filePath = TRAINING_FILE, dryRun = false } = options;
+
+  logSection(`Training Data Migration: ${filePath}`);
+
+  if (!fs.existsSync(filePath)) {
+    log('No training file - nothing to migrate', 'info');
+    return { fromVersion: null, corrections: 0, sessions: 0, reviews: 0, eventLabels: 0, unrecognized: 0, changed: false, backupPath: null };
+  }
+
+  const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const { store, report } = migrateTrainingData(raw);
+
+  log(`Schema: ${report.fromVersion === 0 ? 'legacy array' : `v${report.fromVersion}`} → v${TRAINING_SCHEMA_VERSION}`, 'info');
+  log(`Overlay corrections: ${report.corrections}`, 'info');
+  log(`Click sessions: ${report.sessions}`, 'info');
+  log(`Overlay reviews: ${report.reviews}`, 'info');
+  log(`Event labels: ${report.eventLabels}`, 'info');
+  if (report.unrecognized > 0) {
+    log(`Unrecognized entries kept verbatim: ${report.unrecognized}`, 'warning');
+  }
+
+  if (!report.changed) {
+    log('Already in the current schema', 'success');
+    return { ...report, backupPath: null };
+  }
+
+  if (dryRun) {
+    log('Dry run - file not changed', 'info');
+    return { ...report, backupPath: null };
+  }
+
+  const backupPath = `${filePath}.v${report.fromVersion}.bak`;
+  fs.copyFileSync(filePath, backupPath);
+  saveTrainingStore(store, filePath);
+  log(`Migrated (backup: ${backupPath})`, 'success');
+
+  return { ...report, backupPath };
+}
+
+export default {
+  TRAINING_FILE,
+  TRAINING_SCHEMA_VERSION,
+  createTrainingStore,
+  normalizeSession,
+  migrateTrainingData,
+  loadTrainingStore,
+  saveTrainingStore,
+  addCorrection,
+  addSession,
+  addReview,
+  addEventLabel,
+  SESSION_COORDINATES,
+  summarizeSessions,
+  migrateTrainingFile
+};
@@ -0,0 +1,253 @@
+/**
+ * HSSP Tuner Module
+ * Searches HSSP_PARAMS against labelled farm/date cases and saves the best set
+ *
+ * Objective (higher is better):
+ *   F1 × 100 − mean absolute FIRST/LAST error in minutes
+ * so one missed/extra event costs about as much as being several minutes off.
+ *
+ * Output: a versioned config file (TUNED_PARAMS_FILE)
+ *   { activeVersion, versions: [{ version, tunedAt, method, objective, metrics, params, ... }] }
+ * Every run appends a version. The new version only becomes active when it beats
+ * the currently active parameters on the same labels.
+ */
+
+import { HSSP_PARAMS, TUNED_PARAMS_FILE } from './chartAnalysis.js';
+import { loadLabels, indexPayloads, evaluateLabels, DEFAULT_TOLERANCE_MINUTES } from './evaluation.js';
+import { ARCHIVE_DIR } from './payloadArchive.js';
+import { log, logSection, loadJSON, saveJSON, setQuietMode } from './utils.js';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🔍 SEARCH SPACE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const SEARCH_SPACE = {
+  SURGE_WINDOW: [5, 8, 10, 15],
+  SURGE_THRESHOLD_PERCENT: [0.02, 0.03, 0.05, 0.08],
+  LOOKBACK_WINDOW: [20, 30, 45],
+  DEBOUNCE_MINUTES: [30, 45, 60, 90],
+  MIN_VALLEY_DEPTH: [0.01, 0.03, 0.05]
+};
+
+/**
+ * Enumerate every combination of the search space
+ * @param {object} space - {KEY: [values]}
+ * @returns {Array<object>}
+ */
+export function gridCandidates(space = SEARCH_SPACE) {
+  let candidates = [{}];
+
+  for (const [key, values] of Object.entries(space)) {
+    candidates = candidates.flatMap(candidate => values.map(value => ({ ...candidate, [key]: value })));
+  }
+
+  return candidates;
+}
+
+/**
+ * Seeded PRNG (mulberry32) so random searches are reproducible
+ * @param {number} seed - Integer seed
+ * @returns {function(): number} - Returns floats in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Draw unique random combinations from the search space
+ * @param {number} samples - Number of candidates to draw
+ * @param {number} seed - PRNG seed
+ * @param {object} space - {KEY: [values]}
+ * @returns {Array<object>}
+ */
+export function randomCandidates(samples, seed = 1, space = SEARCH_SPACE) {
+  const random = createRandom(seed);
+  const total = Object.values(space).reduce((n, values) => n * values.length, 1);
+  const seen = new Set();
+  const candidates = [];
+
+  while (candidates.length < Math.min(samples, total)) {
+    const candidate = {};
+    for (const [key, values] of Object.entries(space)) {
+      candidate[key] = values[Math.floor(random() * values.length)];
+    }
+
+    const key = JSON.stringify(candidate);
+    if (!seen.has(key)) {
+      seen.add(key);
+      candidates.push(candidate);
+    }
+  }
+
+  return candidates;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 📈 OBJECTIVE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Score an evaluation summary (higher is better)
+ * @param {object} overall - evaluateLabels().overall
+ * @returns {number}
+ */
+export function objectiveScore(overall) {
+  const { precision, recall } = overall;
+  const f1 = precision && recall ? (2 * precision * recall) / (precision + recall) : 0;
+
+  const errors = [overall.first.meanAbs, overall.last.meanAbs].filter(e => e !== null);
+  const meanError = errors.length > 0 ? errors.reduce((a, e) => a + e, 0) / errors.length : 0;
+
+  return f1 * 100 - meanError;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 💾 VERSIONED CONFIG
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Append a tuned parameter set to the versioned config file
+ * @param {object} entry - Version entry without a version number
+ * @param {boolean} activate - Make this version the active one
+ * @param {string} filePath - Config path
+ * @returns {number} - Assigned version number
+ */
+export function saveTunedVersion(entry, activate, filePath = TUNED_PARAMS_FILE) {
+  const config = loadJSON(filePath) || { activeVersion: null, versions: [] };
+  const version = config.versions.reduce((max, v) => Math.max(max, v.version), 0) + 1;
+
+  config.versions.push({ version, ...entry });
+  if (activate) {
+    config.activeVersion = version;
+  }
+
+  saveJSON(filePath, config);
+  return version;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🎛️ TUNING RUN
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Search HSSP parameters against labelled cases and save the best set
+ * @param {object} options - {labelsFile, payloadDir, method, samples, seed, toleranceMinutes, configFile}
+ * @returns {Promise<object>} - {best, baseline, version, activated}
+ */
+export async function runTuning(options = {}) {
+  const {
+    labelsFile = null,
+    payloadDir = ARCHIVE_DIR,
+    method = 'grid',
+    samples = 100,
+    seed = 1,
+    toleranceMinutes = DEFAULT_TOLERANCE_MINUTES,
+    configFile = TUNED_PARAMS_FILE
+  } = options;
+
+  logSection(`HSSP Parameter Tuning (${method})`);
+
+  const { labels, source } = loadLabels(labelsFile);
+  const payloadIndex = indexPayloads(payloadDir);
+  const usable = labels.filter(label => payloadIndex.has(`${label.farmId}|${label.date}`));
+
+  log(`${usable.length}/${labels.length} label(s) from ${source} have payloads in ${payloadDir}`, 'info');
+  if (usable.length === 0) {
+    throw new Error('No labelled cases with payloads - nothing to tune against');
+  }
+
+  let candidates;
+  if (method === 'grid') {
+    candidates = gridCandidates();
+  } else if (method === 'random') {
+    candidates = randomCandidates(samples, seed);
+  } else {
+    throw new Error(`Unknown search method: ${method} (use grid or random)`);
+  }
+  if (candidates.length === 0) {
+    throw new Error(`No parameter sets to evaluate (${method}${method === 'random' ? `, samples=${samples}` : ''}) - samples must be a positive integer`);
+  }
+
+  log(`Evaluating ${candidates.length} parameter set(s) on ${usable.length} case(s)...`, 'step');
+
+  const evaluate = overrides => {
+    const { overall } = evaluateLabels(usable, payloadIndex, { paramOverrides: overrides, toleranceMinutes });
+    return { overrides, overall, objective: objectiveScore(overall) };
+  };
+
+  // Detection logs every candidate/case; silence it for the search
+  setQuietMode(true);
+  let baseline;
+  let best = null;
+  try {
+    baseline = evaluate({});
+    for (const candidate of candidates) {
+      const result = evaluate(candidate);
+      if (!best || result.objective > best.objective) {
+        best = result;
+      }
+    }
+  } finally {
+    setQuietMode(false);
+  }
+
+  const activated = best.objective > baseline.objective;
+  const summarize = ({ overall, objective }) => ({
+    objective: Number(objective.toFixed(3)),
+    precision: overall.precision,
+    recall: overall.recall,
+    firstMeanAbsMinutes: overall.first.meanAbs,
+    lastMeanAbsMinutes: overall.last.meanAbs
+  });
+
+  const version = saveTunedVersion({
+    tunedAt: new Date().toISOString(),
+    method,
+    ...(method === 'random' ? { samples, seed } : {}),
+    labels: source,
+    payloads: payloadDir,
+    cases: usable.length,
+    toleranceMinutes,
+    metrics: summarize(best),
+    baselineMetrics: summarize(baseline),
+    params: best.overrides
+  }, activated, configFile);
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // SUMMARY
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  logSection('Tuning Results');
+  console.log(`  ${'Param'.padEnd(26)} ${'Current'.padStart(10)} ${'Best'.padStart(10)}`);
+  console.log(`  ${'─'.repeat(48)}`);
+  for (const [key, value] of Object.entries(best.overrides)) {
+    console.log(`  ${key.padEnd(26)} ${String(HSSP_PARAMS[key]).padStart(10)} ${String(value).padStart(10)}`);
+  }
+  console.log('');
+  console.log(`  Objective: ${baseline.objective.toFixed(2)} → ${best.objective.toFixed(2)}`);
+  console.log('');
+
+  if (activated) {
+    log(`Saved version ${version} to ${configFile} and made it active`, 'success');
+  } else {
+    log(`Saved version ${version} to ${configFile} (not activated - current parameters score as well or better)`, 'warning');
+  }
+
+  return { best, baseline, version, activated };
+}
+
+export default {
+  SEARCH_SPACE,
+  gridCandidates,
+  randomCandidates,
+  objectiveScore,
+  saveTunedVersion,
+  runTuning
+};
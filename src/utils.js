@@ -10,12 +10,24 @@ import path from 'path';
 // 📝 LOGGING UTILITIES
 // ═══════════════════════════════════════════════════════════════════════════════
 
+let quietMode = false;
+
+/**
+ * Suppress log/logSection/logSubsection output (used by batch jobs such as the tuner)
+ * @param {boolean} enabled - true to silence logging
+ */
+export function setQuietMode(enabled) {
+  quietMode = !!enabled;
+}
+
 /**
  * Create a formatted log message with timestamp
  * @param {string} message - The message to log
  * @param {string} level - Log level: 'info', 'success', 'warning', 'error'
  */
 export function log(message, level = 'info') {
+  if (quietMode) return;
+  
   const timestamp = new Date().toISOString().split('T')[1].split('.')[0];
   const prefix = {
     info: '📋',
@@ -33,6 +45,8 @@ export function log(message, level = 'info') {
  * @param {string} title - Section title
  */
 export function logSection(title) {
+  if (quietMode) return;
+  
   console.log(`\n${'═'.repeat(70)}`);
   console.log(`🎯 ${title}`);
   console.log(`${'═'.repeat(70)}\n`);
@@ -43,6 +57,8 @@ export function logSection(title) {
  * @param {string} title - Subsection title
  */
 export function logSubsection(title) {
+  if (quietMode) return;
+  
   console.log(`\n  ${'─'.repeat(60)}`);
   console.log(`  📌 ${title}`);
   console.log(`  ${'─'.repeat(60)}`);
@@ -153,25 +169,142 @@ export function extractFarmIds(urlOrPath) {
 // 📅 DATE UTILITIES
 // ═══════════════════════════════════════════════════════════════════════════════
 
+// Farm data is recorded in Korean local time; never rely on the host TZ
+export const DEFAULT_TIMEZONE = 'Asia/Seoul';
+
+const zonedFormatters = new Map();
+
+/**
+ * Get (and cache) an Intl formatter that yields numeric wall-clock parts in a timezone
+ * @param {string} timeZone - IANA timezone
+ * @returns {Intl.DateTimeFormat}
+ */
+function getZonedFormatter(timeZone) {
+  if (!zonedFormatters.has(timeZone)) {
+    zonedFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return zonedFormatters.get(timeZone);
+}
+
+/**
+ * Get wall-clock date/time parts of an instant in a timezone
+ * @param {Date|number} value - Date or epoch milliseconds
+ * @param {string} timeZone - IANA timezone (default: Asia/Seoul)
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ */
+export function getZonedParts(value, timeZone = DEFAULT_TIMEZONE) {
+  const date = value instanceof Date ? value : new Date(value);
+  const parts = {};
+  
+  for (const { type, value: part } of getZonedFormatter(timeZone).formatToParts(date)) {
+    if (type !== 'literal') {
+      parts[type] = parseInt(part, 10);
+    }
+  }
+  
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour === 24 ? 0 : parts.hour,
+    minute: parts.minute,
+    second: parts.second
+  };
+}
+
+/**
+ * Convert a wall-clock time in a timezone to epoch milliseconds
+ * @param {number} year - Full year
+ * @param {number} month - Month 1-12
+ * @param {number} day - Day of month
+ * @param {number} hour - Hour 0-23
+ * @param {number} minute - Minute
+ * @param {number} second - Second
+ * @param {string} timeZone - IANA timezone (default: Asia/Seoul)
+ * @returns {number}
+ */
+export function zonedTimeToEpoch(year, month, day, hour = 0, minute = 0, second = 0, timeZone = DEFAULT_TIMEZONE) {
+  const wallClockAsUTC = Date.UTC(year, month - 1, day, hour, minute, second);
+  
+  const offsetAt = (epoch) => {
+    const p = getZonedParts(epoch, timeZone);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(epoch / 1000) * 1000;
+  };
+  
+  // Second pass settles the offset when the first guess lands across a DST change
+  const firstGuess = wallClockAsUTC - offsetAt(wallClockAsUTC);
+  return wallClockAsUTC - offsetAt(firstGuess);
+}
+
+/**
+ * Parse a sensor timestamp into epoch milliseconds
+ * Accepts epoch seconds or milliseconds (number or numeric string), ISO strings with an
+ * offset, and naive "YYYY-MM-DD HH:MM[:SS]" strings (read as wall-clock time in timeZone).
+ * @param {number|string|Date} raw - Raw timestamp
+ * @param {string} timeZone - Timezone for naive strings (default: Asia/Seoul)
+ * @returns {number|null}
+ */
+export function parseTimestamp(raw, timeZone = DEFAULT_TIMEZONE) {
+  if (raw === null || raw === undefined || raw === '') return null;
+  if (raw instanceof Date) return raw.getTime();
+  
+  const text = String(raw).trim();
+  
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    const numeric = Number(text);
+    return numeric < 1e11 ? numeric * 1000 : numeric; // Epoch seconds vs milliseconds
+  }
+  
+  const naive = text.match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?$/);
+  if (naive) {
+    const [, y, mo, d, h, mi, sec] = naive.map(Number);
+    return zonedTimeToEpoch(y, mo, d, h, mi, sec || 0, timeZone);
+  }
+  
+  const parsed = Date.parse(text);
+  return isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Format an instant as HH:MM in a timezone
+ * @param {Date|number} value - Date or epoch milliseconds
+ * @param {string} timeZone - IANA timezone (default: Asia/Seoul)
+ * @returns {string}
+ */
+export function formatTimeHM(value, timeZone = DEFAULT_TIMEZONE) {
+  const { hour, minute } = getZonedParts(value, timeZone);
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
 /**
- * Format a date as YYYY-MM-DD
+ * Format a date as YYYY-MM-DD (calendar date in the given timezone)
  * @param {Date} date - Date object
+ * @param {string} timeZone - IANA timezone (default: Asia/Seoul)
  * @returns {string}
  */
-export function formatDateISO(date) {
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const day = String(date.getDate()).padStart(2, '0');
-  return `${year}-${month}-${day}`;
+export function formatDateISO(date, timeZone = DEFAULT_TIMEZONE) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
 }
 
 /**
  * Format a date in Korean locale
  * @param {Date} date - Date object
+ * @param {string} timeZone - IANA timezone (default: Asia/Seoul)
  * @returns {string}
  */
-export function formatDateKorean(date) {
+export function formatDateKorean(date, timeZone = DEFAULT_TIMEZONE) {
   return date.toLocaleDateString('ko-KR', {
+    timeZone,
     year: 'numeric',
     month: 'long',
     day: 'numeric',
@@ -180,23 +313,27 @@ export function formatDateKorean(date) {
 }
 
 /**
- * Get an array of dates from N days ago to today
+ * Get an array of dates from N days ago to today (midnights in the farm timezone)
  * @param {number} daysBack - Number of days to go back
+ * @param {string} timeZone - IANA timezone (default: Asia/Seoul)
+ * @param {Date} now - Reference instant (default: current time)
  * @returns {Array<{date: Date, dateString: string, koreanDate: string, dayOffset: number}>}
  */
-export function getDateRange(daysBack = 5) {
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
+export function getDateRange(daysBack = 5, timeZone = DEFAULT_TIMEZONE, now = new Date()) {
+  const today = getZonedParts(now, timeZone);
   
   const dates = [];
   for (let offset = daysBack; offset >= 0; offset--) {
-    const date = new Date(today);
-    date.setDate(today.getDate() - offset);
+    // Calendar arithmetic in UTC avoids host-TZ month/DST rollovers
+    const calendar = new Date(Date.UTC(today.year, today.month - 1, today.day - offset));
+    const date = new Date(zonedTimeToEpoch(
+      calendar.getUTCFullYear(), calendar.getUTCMonth() + 1, calendar.getUTCDate(), 0, 0, 0, timeZone
+    ));
     
     dates.push({
       date,
-      dateString: formatDateISO(date),
-      koreanDate: formatDateKorean(date),
+      dateString: formatDateISO(date, timeZone),
+      koreanDate: formatDateKorean(date, timeZone),
       dayOffset: offset
     });
   }
@@ -208,6 +345,7 @@ export default {
   log,
   logSection,
   logSubsection,
+  setQuietMode,
   delay,
   getTimestamp,
   ensureDir,
@@ -215,6 +353,11 @@ export default {
   loadJSON,
   buildUrlWithManager,
   extractFarmIds,
+  DEFAULT_TIMEZONE,
+  getZonedParts,
+  zonedTimeToEpoch,
+  parseTimestamp,
+  formatTimeHM,
   formatDateISO,
   formatDateKorean,
   getDateRange
@@ -0,0 +1,126 @@
+/**
+ * Irrigation Zones Module
+ * Multi-zone (구역) support: discover zones from the table labels and detect per zone
+ *
+ * The right-hand table has one pair of fields per zone:
+ *   "구역 N 첫 급액 시간 1 (시분)" / "구역 N 마지막 급액 시간 1 (시분)"
+ * Each zone is matched to its own sensor series (see extractZoneSeries for the
+ * node/suffix → zone rule) and detection runs on that series only, so zone 2's
+ * irrigations never end up in zone 1's fields.
+ *
+ * Sensor choice per zone follows the farm profile: profile sensorKey (prefix) first,
+ * then slab weight, then VWC - the same order as sensor fusion's anchor.
+ */
+
+import { extractZoneSeries } from '../network-interceptor.js';
+import { getFirstAndLastEvents, buildEventLog } from './chartAnalysis.js';
+import { runDetector } from './detectors.js';
+import { detectFusedEvents, pickPrimarySensors } from './sensorFusion.js';
+import { log, logSubsection } from './utils.js';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🏷️ TABLE LABELS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// "구역 2 첫 급액 시간 1 (시분)" → zone 2, kind 첫
+export const ZONE_LABEL_PATTERN = /구역\s*(\d+)\s*(첫|마지막)\s*급액\s*시간/;
+
+/**
+ * Build the table label of a zone's first/last field
+ * @param {number} zone - Zone number (1-based)
+ * @param {'first'|'last'} kind - Which field
+ * @returns {string}
+ */
+export function zoneFieldLabel(zone, kind) {
+  return `구역 ${zone} ${kind === 'first' ? '첫' : '마지막'} 급액 시간 1 (시분)`;
+}
+
+/**
+ * Discover irrigation zones from table label texts
+ * @param {Array<string>} labels - Leaf label texts scraped from the page
+ * @returns {Array<{zone: number, firstLabel: string|null, lastLabel: string|null}>} - Sorted by zone
+ */
+export function discoverZones(labels) {
+  const zones = new Map();
+
+  for (const label of labels) {
+    const match = String(label).trim().match(ZONE_LABEL_PATTERN);
+    if (!match) continue;
+
+    const zone = Number(match[1]);
+    const entry = zones.get(zone) || { zone, firstLabel: null, lastLabel: null };
+    if (match[2] === '첫') {
+      entry.firstLabel = entry.firstLabel || label.trim();
+    } else {
+      entry.lastLabel = entry.lastLabel || label.trim();
+    }
+    zones.set(zone, entry);
+  }
+
+  return [...zones.values()].sort((a, b) => a.zone - b.zone);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🔬 PER-ZONE DETECTION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Pick the sensor series to detect on for one zone
+ * @param {object} zoneSeries - sensorKey → points for the zone
+ * @param {string|null} preferredSensorKey - Profile sensorKey (exact key or prefix)
+ * @returns {string|null}
+ */
+export function pickZoneSensorKey(zoneSeries, preferredSensorKey = null) {
+  return pickPrimarySensors(zoneSeries || {}, preferredSensorKey).anchor;
+}
+
+/**
+ * Detect irrigation events separately for each zone of a payload
+ * @param {object} payload - Raw API response with "node." keys
+ * @param {Array<number>|null} zoneNumbers - Zones to detect (null = every zone with data)
+ * @param {object} options - {profile, paramOverrides, fusionMode}
+ * @returns {Array<{zone: number, sensorKey: string|null, pointCount: number, events: Array, eventLog: object|null, first: object|null, last: object|null, lastPeak: object|null, error?: string}>}
+ *   lastPeak is the LAST click point (peak + spike rule, see findIrrigationPeak)
+ */
+export function detectZoneEvents(payload, zoneNumbers = null, options = {}) {
+  const { profile = null, paramOverrides = {}, fusionMode = null } = options;
+  const mode = fusionMode || profile?.fusion || null;
+  const seriesByZone = extractZoneSeries(payload, profile?.timezone);
+  const zones = zoneNumbers || Object.keys(seriesByZone).map(Number).sort((a, b) => a - b);
+
+  return zones.map(zone => {
+    const zoneSeries = seriesByZone[zone];
+    const sensorKey = pickZoneSensorKey(zoneSeries, profile?.sensorKey);
+
+    logSubsection(`Zone ${zone}: ${sensorKey || 'no sensor data'}`);
+
+    if (!sensorKey) {
+      log(`No sensor series mapped to zone ${zone}`, 'warning');
+      return { zone, sensorKey: null, pointCount: 0, events: [], eventLog: null, first: null, last: null, lastPeak: null, error: 'no_sensor_series' };
+    }
+
+    const { events, lastPoint } = mode
+      ? detectFusedEvents(zoneSeries, { mode, paramOverrides, profile })
+      : runDetector(zoneSeries[sensorKey], { paramOverrides, profile, sensorKey });
+    const { first, last, lastPeak } = getFirstAndLastEvents(events, zoneSeries[sensorKey], { profile, paramOverrides, lastPoint });
+
+    return {
+      zone,
+      sensorKey,
+      pointCount: zoneSeries[sensorKey].length,
+      events,
+      eventLog: buildEventLog(events, zoneSeries[sensorKey], { sensorKey, profile, paramOverrides }),
+      first,
+      last,
+      lastPeak
+    };
+  });
+}
+
+export default {
+  ZONE_LABEL_PATTERN,
+  zoneFieldLabel,
+  discoverZones,
+  pickZoneSensorKey,
+  detectZoneEvents
+};
@@ -0,0 +1,129 @@
+/**
+ * Test Script for Timezone-Independent Detection
+ *
+ * Runs the same synthetic sensor day through data point parsing, HSSP detection,
+ * payload date inference and getDateRange under several host TZ settings, and
+ * checks the results are identical and in Asia/Seoul farm time.
+ *
+ * Usage: node test-timezone.js
+ */
+
+import { execFileSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { extractDataPoints } from './network-interceptor.js';
+import { detectIrrigationEvents } from './src/chartAnalysis.js';
+import { inferPayloadDate } from './src/payloadArchive.js';
+import { getDateRange, zonedTimeToEpoch, setQuietMode } from './src/utils.js';
+
+const HOST_TIMEZONES = ['UTC', 'Asia/Seoul', 'America/Los_Angeles', 'Europe/Berlin'];
+
+// Irrigation starts in Seoul wall-clock time; 05:30 is before the daytime window
+const IRRIGATION_STARTS = ['05:30', '08:00', '11:00', '15:00'];
+const EXPECTED_EVENTS = ['08:00', '11:00', '15:00'];
+const DAY = { year: 2026, month: 1, day: 20 };
+
+/**
+ * Build one day of minute data (epoch seconds, like the real API) with sharp
+ * rises at IRRIGATION_STARTS and slow drying in between
+ */
+function buildSyntheticPayload() {
+  const startSeconds = zonedTimeToEpoch(DAY.year, DAY.month, DAY.day, 0, 0, 0, 'Asia/Seoul') / 1000;
+  const startMinutes = IRRIGATION_STARTS.map(t => {
+    const [h, m] = t.split(':').map(Number);
+    return h * 60 + m;
+  });
+
+  const entries = [];
+  let weight = 50;
+  for (let minute = 0; minute < 1440; minute++) {
+    const irrigating = startMinutes.some(start => minute > start && minute <= start + 5);
+    weight += irrigating ? 0.4 : -0.002;
+    entries.push({ timestamp: startSeconds + minute * 60, slabwgt_1: Number(weight.toFixed(3)) });
+  }
+
+  return { 'node.1': entries };
+}
+
+/**
+ * Worker: run everything under the current process TZ and print JSON
+ */
+function runWorker() {
+  const payload = buildSyntheticPayload();
+
+  // Silence module logging so stdout carries only the JSON result
+  const originalLog = console.log;
+  console.log = () => {};
+  setQuietMode(true);
+
+  const dataPoints = extractDataPoints(payload);
+  const events = detectIrrigationEvents(dataPoints);
+  const range = getDateRange(2, 'Asia/Seoul', new Date('2026-01-20T16:30:00Z')); // 01:30 on the 21st in Seoul
+
+  console.log = originalLog;
+
+  console.log(JSON.stringify({
+    events: events.map(e => e.time),
+    payloadDate: inferPayloadDate(payload),
+    dateRange: range.map(d => d.dateString),
+    rangeMidnights: range.map(d => d.date.toISOString())
+  }));
+}
+
+function testTimezoneIndependence() {
+  console.log('🧪 Testing Timezone-Independent Detection\n');
+  console.log('═══════════════════════════════════════════════════════════════\n');
+
+  const results = {};
+
+  console.log('1️⃣  Running detection under each host TZ...');
+  for (const tz of HOST_TIMEZONES) {
+    const output = execFileSync(process.execPath, [fileURLToPath(import.meta.url), '--worker'], {
+      env: { ...process.env, TZ: tz },
+      encoding: 'utf8'
+    });
+    results[tz] = JSON.parse(output.trim().split('\n').pop());
+    console.log(`   → TZ=${tz.padEnd(20)} events: ${results[tz].events.join(', ')}`);
+  }
+  console.log('');
+
+  const failures = [];
+  const reference = JSON.stringify(results[HOST_TIMEZONES[0]]);
+
+  console.log('2️⃣  Comparing results across timezones...');
+  for (const tz of HOST_TIMEZONES) {
+    if (JSON.stringify(results[tz]) !== reference) {
+      failures.push(`TZ=${tz} result differs from TZ=${HOST_TIMEZONES[0]}`);
+    }
+  }
+  console.log(`   ${failures.length === 0 ? '✅ Identical' : '❌ Differences found'}\n`);
+
+  console.log('3️⃣  Checking values are in Asia/Seoul time...');
+  const result = results[HOST_TIMEZONES[0]];
+  const checks = [
+    ['event times', result.events, EXPECTED_EVENTS],
+    ['payload date', result.payloadDate, '2026-01-20'],
+    ['date range', result.dateRange, ['2026-01-19', '2026-01-20', '2026-01-21']],
+    ['range midnights', result.rangeMidnights, ['2026-01-18T15:00:00.000Z', '2026-01-19T15:00:00.000Z', '2026-01-20T15:00:00.000Z']]
+  ];
+
+  for (const [name, actual, expected] of checks) {
+    const ok = JSON.stringify(actual) === JSON.stringify(expected);
+    console.log(`   ${ok ? '✅' : '❌'} ${name}: ${JSON.stringify(actual)}`);
+    if (!ok) failures.push(`${name}: expected ${JSON.stringify(expected)}`);
+  }
+  console.log('');
+
+  console.log('═══════════════════════════════════════════════════════════════');
+  if (failures.length > 0) {
+    console.log('❌ TIMEZONE TEST FAILED');
+    failures.forEach(f => console.log(`   → ${f}`));
+    process.exit(1);
+  }
+  console.log('✅ TIMEZONE TEST PASSED - results do not depend on host TZ');
+}
+
+if (process.argv.includes('--worker')) {
+  runWorker();
+} else {
+  testTimezoneIndependence();
+}
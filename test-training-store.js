@@ -0,0 +1,143 @@
+/**
+ * Test Script for the Training Store Migration
+ *
+ * Writes each legacy training file shape (learning-mode array, F8 array, v1, and a mixed
+ * array) to a temporary directory, migrates it in place, and checks the counts in
+ * corrections, sessions and unrecognized, the session coordinates and the backup file.
+ *
+ * Usage: node test-training-store.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { migrateTrainingFile, loadTrainingStore, TRAINING_SCHEMA_VERSION } from './src/trainingStore.js';
+import { setQuietMode } from './src/utils.js';
+
+// Learning mode: chart (SVG) coordinates
+const LEARNING_MODE_ENTRY = {
+  timestamp: '2025-11-02T01:00:00.000Z',
+  farmName: '테스트 농장',
+  date: '2025-11-01',
+  algorithmDetection: { first: { svgX: 120, svgY: 40 }, last: { svgX: 410, svgY: 35 } },
+  userCorrections: { first: { svgX: 125, svgY: 41 }, last: { svgX: 400, svgY: 35 } }
+};
+
+// F8 training (trainAlgorithm.js): page coordinates
+const F8_ENTRY = {
+  timestamp: '2025-11-03T01:00:00.000Z',
+  farm: '테스트 농장',
+  date: '2025-11-02',
+  algorithmPrediction: { first: { x: 620, y: 340 }, last: { x: 910, y: 330 } },
+  userCorrections: { first: { x: 630, y: 341 }, last: { x: 905, y: 331 } },
+  offsets: { first: { x: 10, y: 1 }, last: { x: -5, y: 1 } }
+};
+
+// Overlay correction (v1 and later)
+const CORRECTION_ENTRY = {
+  timestamp: '2026-01-21T01:00:00.000Z',
+  predicted: { firstIndex: 480, lastIndex: 905, firstScreenX: 600, lastScreenX: 900 },
+  corrected: { firstIndex: 483, lastIndex: 905, firstTime: '08:03', lastTime: '15:05', firstScreenX: 602, lastScreenX: 900 },
+  delta: { firstMinutes: 3, lastMinutes: 0, firstOffsetX: 2, lastOffsetX: 0 },
+  metadata: { totalDataPoints: 1440, chartWidth: 900 },
+  context: { farmId: '583', farmName: '테스트 농장', date: '2026-01-20' }
+};
+
+const UNKNOWN_ENTRY = { note: 'not a training entry' };
+
+const CASES = [
+  {
+    name: 'learning-mode array',
+    data: [LEARNING_MODE_ENTRY, { ...LEARNING_MODE_ENTRY, userCorrections: null }],
+    expected: { fromVersion: 0, corrections: 0, sessions: 2, unrecognized: 0 },
+    sessionSources: ['learning-mode', 'learning-mode'],
+    firstPredictedX: 120
+  },
+  {
+    name: 'F8 array',
+    data: [F8_ENTRY],
+    expected: { fromVersion: 0, corrections: 0, sessions: 1, unrecognized: 0 },
+    sessionSources: ['f8-training'],
+    firstPredictedX: 620
+  },
+  {
+    name: 'v1',
+    data: { version: 1, corrections: [CORRECTION_ENTRY, CORRECTION_ENTRY] },
+    expected: { fromVersion: 1, corrections: 2, sessions: 0, unrecognized: 0 },
+    sessionSources: []
+  },
+  {
+    name: 'mixed array',
+    data: [LEARNING_MODE_ENTRY, F8_ENTRY, CORRECTION_ENTRY, UNKNOWN_ENTRY],
+    expected: { fromVersion: 0, corrections: 1, sessions: 2, unrecognized: 1 },
+    sessionSources: ['learning-mode', 'f8-training'],
+    firstPredictedX: 120
+  }
+];
+
+function testTrainingStore() {
+  console.log('🧪 Testing Training Store Migration\n');
+  console.log('═══════════════════════════════════════════════════════════════\n');
+
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'training-store-test-'));
+  const failures = [];
+  const check = (name, ok, detail) => {
+    console.log(`   ${ok ? '✅' : '❌'} ${name}${detail ? `: ${detail}` : ''}`);
+    if (!ok) failures.push(name);
+  };
+
+  setQuietMode(true);
+  try {
+    CASES.forEach((testCase, i) => {
+      console.log(`${i + 1}️⃣  ${testCase.name}...`);
+      const filePath = path.join(workDir, `training-${i}.json`);
+      const original = JSON.stringify(testCase.data);
+      fs.writeFileSync(filePath, original);
+
+      // Dry run reports the same counts and leaves the file alone
+      const dryRun = migrateTrainingFile({ filePath, dryRun: true });
+      check('dry run leaves the file unchanged', fs.readFileSync(filePath, 'utf8') === original && dryRun.backupPath === null);
+
+      const report = migrateTrainingFile({ filePath });
+      for (const [key, value] of Object.entries(testCase.expected)) {
+        check(key, report[key] === value, `${report[key]} (expected ${value})`);
+      }
+
+      const store = loadTrainingStore(filePath);
+      const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      check('file rewritten in the current schema', saved.version === TRAINING_SCHEMA_VERSION);
+      check('store counts match the report',
+        store.corrections.length === report.corrections
+          && store.sessions.length === report.sessions
+          && store.unrecognized.length === report.unrecognized);
+      check('session sources', JSON.stringify(store.sessions.map(s => s.source)) === JSON.stringify(testCase.sessionSources),
+        store.sessions.map(s => s.source).join(', ') || 'none');
+      if (testCase.firstPredictedX !== undefined) {
+        check('session coordinates kept', store.sessions[0].predicted.first?.x === testCase.firstPredictedX,
+          `first x ${store.sessions[0].predicted.first?.x}`);
+      }
+
+      const backupPath = `${filePath}.v${testCase.expected.fromVersion}.bak`;
+      check('backup written', report.backupPath === backupPath && fs.existsSync(backupPath)
+        && fs.readFileSync(backupPath, 'utf8') === original, report.backupPath);
+
+      // A second run finds nothing to do and writes no further backup
+      const again = migrateTrainingFile({ filePath });
+      check('second run is a no-op', !again.changed && again.backupPath === null);
+      console.log('');
+    });
+  } finally {
+    setQuietMode(false);
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+
+  console.log('═══════════════════════════════════════════════════════════════');
+  if (failures.length > 0) {
+    console.log('❌ TRAINING STORE TEST FAILED');
+    failures.forEach(f => console.log(`   → ${f}`));
+    process.exit(1);
+  }
+  console.log('✅ TRAINING STORE TEST PASSED');
+}
+
+testTrainingStore();
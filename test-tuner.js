@@ -0,0 +1,111 @@
+/**
+ * Test Script for the HSSP Tuner
+ *
+ * Writes one synthetic sensor day and its label to a temporary directory, runs a small
+ * random search over it, and checks that a version is saved and that a search with
+ * no candidates fails with a clear error instead of a TypeError.
+ *
+ * Usage: node test-tuner.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { runTuning } from './src/tuner.js';
+import { zonedTimeToEpoch, setQuietMode } from './src/utils.js';
+
+const FARM_ID = '9001';
+const DATE = '2026-01-20';
+
+// Irrigation starts in Seoul wall-clock time
+const IRRIGATION_STARTS = ['08:00', '11:00', '15:00'];
+
+/**
+ * Build one day of minute data with sharp rises at IRRIGATION_STARTS and slow drying in between
+ */
+function buildSyntheticPayload() {
+  const startSeconds = zonedTimeToEpoch(2026, 1, 20, 0, 0, 0, 'Asia/Seoul') / 1000;
+  const startMinutes = IRRIGATION_STARTS.map(t => {
+    const [h, m] = t.split(':').map(Number);
+    return h * 60 + m;
+  });
+
+  const entries = [];
+  let weight = 50;
+  for (let minute = 0; minute < 1440; minute++) {
+    const irrigating = startMinutes.some(start => minute > start && minute <= start + 5);
+    weight += irrigating ? 0.4 : -0.002;
+    entries.push({ timestamp: startSeconds + minute * 60, slabwgt_1: Number(weight.toFixed(3)) });
+  }
+
+  return { 'node.1': entries };
+}
+
+/**
+ * Run a tuning case with module logging silenced
+ */
+async function quietly(fn) {
+  const originalLog = console.log;
+  console.log = () => {};
+  setQuietMode(true);
+  try {
+    return await fn();
+  } finally {
+    console.log = originalLog;
+    setQuietMode(false);
+  }
+}
+
+async function testTuner() {
+  console.log('🧪 Testing HSSP Tuner\n');
+  console.log('═══════════════════════════════════════════════════════════════\n');
+
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tuner-test-'));
+  const payloadDir = path.join(workDir, 'payloads');
+  const labelsFile = path.join(workDir, 'labels.csv');
+  const configFile = path.join(workDir, 'tuned-params.json');
+
+  fs.mkdirSync(path.join(payloadDir, FARM_ID), { recursive: true });
+  fs.writeFileSync(path.join(payloadDir, FARM_ID, `${DATE}.json`), JSON.stringify(buildSyntheticPayload()));
+  fs.writeFileSync(labelsFile, `farmId,date,first,last,events\n${FARM_ID},${DATE},08:00,15:00,${IRRIGATION_STARTS.join(';')}\n`);
+
+  const failures = [];
+  const check = (name, ok, detail) => {
+    console.log(`   ${ok ? '✅' : '❌'} ${name}${detail ? `: ${detail}` : ''}`);
+    if (!ok) failures.push(name);
+  };
+
+  try {
+    console.log('1️⃣  Random search over the synthetic day...');
+    const result = await quietly(() => runTuning({ labelsFile, payloadDir, configFile, method: 'random', samples: 3, seed: 1 }));
+    const config = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+    check('best parameter set found', !!result.best, result.best ? `objective ${result.best.objective.toFixed(2)}` : null);
+    check('all labelled events recalled', result.best?.overall.recall === 1, `recall ${result.best?.overall.recall}`);
+    check('version saved', config.versions.length === 1 && config.versions[0].version === result.version);
+    console.log('');
+
+    console.log('2️⃣  Searches with no candidates fail clearly...');
+    for (const samples of [0, NaN]) {
+      let message = null;
+      try {
+        await quietly(() => runTuning({ labelsFile, payloadDir, configFile, method: 'random', samples }));
+      } catch (error) {
+        message = error.message;
+      }
+      check(`samples=${samples}`, !!message && message.includes('No parameter sets'), message);
+    }
+    console.log('');
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+
+  console.log('═══════════════════════════════════════════════════════════════');
+  if (failures.length > 0) {
+    console.log('❌ TUNER TEST FAILED');
+    failures.forEach(f => console.log(`   → ${f}`));
+    process.exit(1);
+  }
+  console.log('✅ TUNER TEST PASSED');
+}
+
+testTuner();
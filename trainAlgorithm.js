@@ -5,10 +5,7 @@
  * Press F8 to resume automation after clicking correct points
  */
 
-import fs from 'fs';
-import path from 'path';
-
-const TRAINING_FILE = './training/training-data.json';
+import { TRAINING_FILE, addSession } from './src/trainingStore.js';
 
 /**
  * Train the algorithm by allowing manual point selection
@@ -65,7 +62,8 @@ export async function trainAlgorithm(page, farmName, date, predictedFirst, predi
       🎓 LEARNING MODE 🎓<br>
       <span style="font-size: 18px; font-weight: normal; color: #333;">
         Click correct points: <span style="color: #00ff00; font-weight: bold;">Start=Green</span>, 
-        <span style="color: #ff0000; font-weight: bold;">End=Red</span>
+        <span style="color: #ff0000; font-weight: bold;">End=Red</span>,
+        then any other irrigation events
       </span><br>
       <span style="font-size: 22px; color: #fff; background: #000; padding: 5px 15px; border-radius: 5px; margin-top: 10px; display: inline-block;">
         Press [F8] to Resume ⏩
@@ -177,7 +175,7 @@ export async function trainAlgorithm(page, farmName, date, predictedFirst, predi
       
       const clickNum = window._userClicks.length + 1;
       const color = clickNum === 1 ? '#FFD700' : clickNum === 2 ? '#FF6347' : '#00BFFF';
-      const label = clickNum === 1 ? 'START' : clickNum === 2 ? 'END' : `#${clickNum}`;
+      const label = clickNum === 1 ? 'START' : clickNum === 2 ? 'END' : `EVENT ${clickNum - 2}`;
       
       // Save click coordinates
       window._userClicks.push({
@@ -227,7 +225,7 @@ export async function trainAlgorithm(page, farmName, date, predictedFirst, predi
       
       // Update banner with click count
       const banner = document.getElementById('training-banner');
-      if (banner && clickNum <= 2) {
+      if (banner) {
         const clickInfo = document.createElement('div');
         clickInfo.style.cssText = `
           font-size: 16px; 
@@ -235,7 +233,7 @@ export async function trainAlgorithm(page, farmName, date, predictedFirst, predi
           margin-top: 5px;
           font-weight: bold;
         `;
-        clickInfo.textContent = `✓ ${label} clicked (${clickNum}/2)`;
+        clickInfo.textContent = clickNum <= 2 ? `✓ ${label} clicked (${clickNum}/2)` : `✓ ${label} clicked`;
         banner.appendChild(clickInfo);
       }
     };
@@ -348,48 +346,26 @@ export async function trainAlgorithm(page, farmName, date, predictedFirst, predi
     // STEP 4: SAVE TO TRAINING FILE
     // ═══════════════════════════════════════════════════════════════════════
     
-    const trainingEntry = {
+    const store = addSession({
       timestamp: new Date().toISOString(),
-      farm: farmName,
-      date: date,
-      algorithmPrediction: {
+      source: 'f8-training',
+      farmName,
+      date,
+      predicted: {
         first: predictedFirst,
         last: predictedLast
       },
-      userCorrections: {
+      corrected: {
         first: userFirst,
         last: userLast
       },
-      offsets: trainingData.offsets,
+      // Clicks after START/END mark the other irrigation events of the day
+      events: userClicks.slice(2).map(click => ({ x: click.x, y: click.y })),
       feedback: `User provided ${userClicks.length} clicks`
-    };
-    
-    // Load existing training data
-    let allTrainingData = [];
-    if (fs.existsSync(TRAINING_FILE)) {
-      try {
-        const fileContent = fs.readFileSync(TRAINING_FILE, 'utf-8');
-        allTrainingData = JSON.parse(fileContent);
-      } catch (err) {
-        console.log('   ⚠️  Could not parse existing training file, creating new');
-        allTrainingData = [];
-      }
-    }
-    
-    // Append new entry
-    allTrainingData.push(trainingEntry);
-    
-    // Ensure directory exists
-    const trainingDir = path.dirname(TRAINING_FILE);
-    if (!fs.existsSync(trainingDir)) {
-      fs.mkdirSync(trainingDir, { recursive: true });
-    }
-    
-    // Save to file
-    fs.writeFileSync(TRAINING_FILE, JSON.stringify(allTrainingData, null, 2));
+    }, TRAINING_FILE);
     
     console.log(`   💾 Training data saved to: ${TRAINING_FILE}`);
-    console.log(`   📈 Total training entries: ${allTrainingData.length}\n`);
+    console.log(`   📈 Total training sessions: ${store.sessions.length}\n`);
     
   } else if (userClicks.length === 1) {
     console.log(`   ⚠️  Only 1 click detected - need at least 2 (START and END)`);